@@ -0,0 +1,251 @@
+import { createHash, randomBytes } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+import { recordCacheEviction } from '../utils/metrics.js';
+import { deserializeEntry, readHeader, serializeEntry } from './serialize.js';
+
+const FILE_EXTENSION = '.entry';
+
+/**
+ * Filesystem cache store: one file per entry, so the cache survives restarts.
+ * An in-memory index (rebuilt from the file headers on startup) tracks keys,
+ * sizes and expiry for LRU eviction against the key and byte-size limits.
+ */
+export class FileStore {
+  constructor(options = {}) {
+    this.directory = path.resolve(options.directory || '.cache/widget-proxy');
+    this.maxKeys = options.maxKeys || 0;
+    this.maxBytes = options.maxBytes || 0;
+
+    this.index = new Map();
+    this.bytes = 0;
+    this.stats = { hits: 0, misses: 0, sets: 0, evictions: 0, expirations: 0 };
+
+    // Reported once here; every operation then fails with the same error, which callers treat as a miss
+    this.ready = this.load();
+    this.ready.catch((error) => logger.error(`File cache directory ${this.directory} is unusable`, { error: error.message }));
+
+    this.sweepTimer = setInterval(() => {
+      this.prune().catch((error) => logger.warn('File cache sweep failed', { error: error.message }));
+    }, (options.checkPeriod || 600) * 1000);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Rebuild the index from the entry files already on disk
+   */
+  async load() {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    for (const name of await fs.readdir(this.directory)) {
+      if (!name.endsWith(FILE_EXTENSION)) continue;
+
+      const file = path.join(this.directory, name);
+      try {
+        const { header, size } = await this.readFileHeader(file);
+        this.index.set(header.key, { file, size, expiresAt: header.expiresAt, hits: 0 });
+        this.bytes += size;
+      } catch (error) {
+        logger.warn(`Discarding unreadable cache file ${name}`, { error: error.message });
+        await fs.rm(file, { force: true });
+      }
+    }
+
+    await this.prune();
+    logger.info('File cache loaded', { directory: this.directory, keys: this.index.size, bytes: this.bytes });
+  }
+
+  async get(key) {
+    await this.ready;
+    const record = this.index.get(key);
+
+    if (!record) {
+      this.stats.misses++;
+      return undefined;
+    }
+
+    if (record.expiresAt <= Date.now()) {
+      await this.remove(key);
+      this.stats.expirations++;
+      this.stats.misses++;
+      return undefined;
+    }
+
+    let buffer;
+    try {
+      buffer = await fs.readFile(record.file);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      await this.remove(key);
+      this.stats.misses++;
+      return undefined;
+    }
+
+    // Mark as most recently used
+    this.index.delete(key);
+    this.index.set(key, record);
+    record.hits++;
+    this.stats.hits++;
+
+    return deserializeEntry(buffer).entry;
+  }
+
+  async set(key, value, ttl) {
+    await this.ready;
+
+    const expiresAt = Date.now() + ttl * 1000;
+    const buffer = serializeEntry(value, { key, expiresAt });
+
+    if (this.maxBytes && buffer.length > this.maxBytes) {
+      return false;
+    }
+
+    // Write to a temporary file and rename so readers never see a partial entry
+    const file = this.fileFor(key);
+    const tempFile = `${file}.${process.pid}.${randomBytes(6).toString('hex')}.tmp`;
+    await fs.writeFile(tempFile, buffer);
+    await fs.rename(tempFile, file);
+
+    const previous = this.index.get(key);
+    if (previous) {
+      this.index.delete(key);
+      this.bytes -= previous.size;
+    }
+
+    this.index.set(key, { file, size: buffer.length, expiresAt, hits: 0 });
+    this.bytes += buffer.length;
+    this.stats.sets++;
+
+    await this.evict();
+    return true;
+  }
+
+  async delete(key) {
+    await this.ready;
+    return this.remove(key);
+  }
+
+  /**
+   * Read an entry without counting a hit or touching LRU order
+   */
+  async peek(key) {
+    await this.ready;
+    const record = this.index.get(key);
+    if (!record || record.expiresAt <= Date.now()) {
+      return undefined;
+    }
+
+    try {
+      return deserializeEntry(await fs.readFile(record.file)).entry;
+    } catch (error) {
+      if (error.code === 'ENOENT') return undefined;
+      throw error;
+    }
+  }
+
+  /**
+   * Stored keys with their size (bytes), store expiry and hit count
+   */
+  async entries() {
+    await this.ready;
+    await this.prune();
+    return [...this.index].map(([key, { size, expiresAt, hits }]) => ({ key, size, expiresAt, hits }));
+  }
+
+  async keys() {
+    await this.ready;
+    await this.prune();
+    return [...this.index.keys()];
+  }
+
+  async clear() {
+    await this.ready;
+
+    for (const key of [...this.index.keys()]) {
+      await this.remove(key);
+    }
+  }
+
+  async getStats() {
+    await this.ready;
+
+    return {
+      backend: 'file',
+      directory: this.directory,
+      keys: this.index.size,
+      bytes: this.bytes,
+      maxKeys: this.maxKeys,
+      maxBytes: this.maxBytes,
+      ...this.stats
+    };
+  }
+
+  async close() {
+    clearInterval(this.sweepTimer);
+  }
+
+  fileFor(key) {
+    return path.join(this.directory, `${createHash('sha1').update(key).digest('hex')}${FILE_EXTENSION}`);
+  }
+
+  async readFileHeader(file) {
+    const handle = await fs.open(file, 'r');
+
+    try {
+      const { size } = await handle.stat();
+      const lengthBuffer = Buffer.alloc(4);
+      await handle.read(lengthBuffer, 0, 4, 0);
+
+      const headerBuffer = Buffer.alloc(4 + lengthBuffer.readUInt32BE(0));
+      await handle.read(headerBuffer, 0, headerBuffer.length, 0);
+
+      return { header: readHeader(headerBuffer), size };
+    } finally {
+      await handle.close();
+    }
+  }
+
+  async remove(key) {
+    const record = this.index.get(key);
+    if (!record) {
+      return false;
+    }
+
+    this.index.delete(key);
+    this.bytes -= record.size;
+    await fs.rm(record.file, { force: true });
+    return true;
+  }
+
+  /**
+   * Drop least recently used entries until both limits are respected
+   */
+  async evict() {
+    for (const key of [...this.index.keys()]) {
+      const overKeys = this.maxKeys && this.index.size > this.maxKeys;
+      const overBytes = this.maxBytes && this.bytes > this.maxBytes;
+      if (!overKeys && !overBytes) {
+        break;
+      }
+
+      await this.remove(key);
+      this.stats.evictions++;
+      recordCacheEviction('file');
+    }
+  }
+
+  /**
+   * Remove expired entries
+   */
+  async prune() {
+    const now = Date.now();
+
+    for (const [key, record] of [...this.index]) {
+      if (record.expiresAt <= now) {
+        await this.remove(key);
+        this.stats.expirations++;
+      }
+    }
+  }
+}
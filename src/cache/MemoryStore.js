@@ -0,0 +1,147 @@
+import { recordCacheEviction } from '../utils/metrics.js';
+import { entrySize } from './serialize.js';
+
+/**
+ * In-process cache store with TTLs, a key and byte-size limit and LRU eviction
+ */
+export class MemoryStore {
+  constructor(options = {}) {
+    this.maxKeys = options.maxKeys || 0;
+    this.maxBytes = options.maxBytes || 0;
+
+    // Map iteration order doubles as LRU order: the first key is the least recently used
+    this.records = new Map();
+    this.bytes = 0;
+    this.stats = { hits: 0, misses: 0, sets: 0, evictions: 0, expirations: 0 };
+
+    this.sweepTimer = setInterval(() => this.prune(), (options.checkPeriod || 600) * 1000);
+    this.sweepTimer.unref();
+  }
+
+  async get(key) {
+    const record = this.records.get(key);
+
+    if (!record) {
+      this.stats.misses++;
+      return undefined;
+    }
+
+    if (record.expiresAt <= Date.now()) {
+      this.remove(key);
+      this.stats.expirations++;
+      this.stats.misses++;
+      return undefined;
+    }
+
+    // Mark as most recently used
+    this.records.delete(key);
+    this.records.set(key, record);
+    record.hits++;
+    this.stats.hits++;
+
+    return record.value;
+  }
+
+  async set(key, value, ttl) {
+    const size = entrySize(value);
+
+    if (this.maxBytes && size > this.maxBytes) {
+      return false;
+    }
+
+    this.remove(key);
+    this.records.set(key, { value, size, expiresAt: Date.now() + ttl * 1000, hits: 0 });
+    this.bytes += size;
+    this.stats.sets++;
+
+    this.evict();
+    return true;
+  }
+
+  async delete(key) {
+    return this.remove(key);
+  }
+
+  /**
+   * Read an entry without counting a hit or touching LRU order
+   */
+  async peek(key) {
+    const record = this.records.get(key);
+    return record && record.expiresAt > Date.now() ? record.value : undefined;
+  }
+
+  /**
+   * Stored keys with their size (bytes), store expiry and hit count
+   */
+  async entries() {
+    this.prune();
+    return [...this.records].map(([key, { size, expiresAt, hits }]) => ({ key, size, expiresAt, hits }));
+  }
+
+  async keys() {
+    this.prune();
+    return [...this.records.keys()];
+  }
+
+  async clear() {
+    this.records.clear();
+    this.bytes = 0;
+  }
+
+  async getStats() {
+    return {
+      backend: 'memory',
+      keys: this.records.size,
+      bytes: this.bytes,
+      maxKeys: this.maxKeys,
+      maxBytes: this.maxBytes,
+      ...this.stats
+    };
+  }
+
+  async close() {
+    clearInterval(this.sweepTimer);
+  }
+
+  remove(key) {
+    const record = this.records.get(key);
+    if (!record) {
+      return false;
+    }
+
+    this.records.delete(key);
+    this.bytes -= record.size;
+    return true;
+  }
+
+  /**
+   * Drop least recently used records until both limits are respected
+   */
+  evict() {
+    for (const key of this.records.keys()) {
+      const overKeys = this.maxKeys && this.records.size > this.maxKeys;
+      const overBytes = this.maxBytes && this.bytes > this.maxBytes;
+      if (!overKeys && !overBytes) {
+        break;
+      }
+
+      this.remove(key);
+      this.stats.evictions++;
+      recordCacheEviction('memory');
+    }
+  }
+
+  /**
+   * Remove expired records
+   */
+  prune() {
+    const now = Date.now();
+
+    for (const [key, record] of this.records) {
+      if (record.expiresAt <= now) {
+        this.remove(key);
+        this.stats.expirations++;
+      }
+    }
+  }
+}
@@ -0,0 +1,113 @@
+import Redis from 'ioredis';
+import { logger } from '../utils/logger.js';
+import { deserializeEntry, serializeEntry } from './serialize.js';
+
+/**
+ * Shared cache store for any server speaking the Redis protocol, so replicas
+ * share one cache. Entries are stored as serialized buffers with a native TTL.
+ */
+export class RedisStore {
+  constructor(options = {}) {
+    this.keyPrefix = options.keyPrefix ?? 'widget-proxy:';
+    this.stats = { hits: 0, misses: 0, sets: 0 };
+
+    this.client = options.client || new Redis(options.url || 'redis://localhost:6379/0', {
+      keyPrefix: this.keyPrefix,
+      maxRetriesPerRequest: 1,
+      connectTimeout: options.connectTimeout || 5000
+    });
+
+    // Reads and writes fail fast while disconnected; ProxyService treats that as a miss
+    this.client.on('error', (error) => logger.warn('Redis cache error', { error: error.message }));
+  }
+
+  async get(key) {
+    const buffer = await this.client.getBuffer(key);
+
+    if (!buffer) {
+      this.stats.misses++;
+      return undefined;
+    }
+
+    this.stats.hits++;
+    return deserializeEntry(buffer).entry;
+  }
+
+  async set(key, value, ttl) {
+    await this.client.set(key, serializeEntry(value), 'EX', Math.max(Math.ceil(ttl), 1));
+    this.stats.sets++;
+    return true;
+  }
+
+  async delete(key) {
+    return (await this.client.del(key)) > 0;
+  }
+
+  /**
+   * Read an entry without counting a hit
+   */
+  async peek(key) {
+    const buffer = await this.client.getBuffer(key);
+    return buffer ? deserializeEntry(buffer).entry : undefined;
+  }
+
+  /**
+   * Stored keys with their size (bytes) and store expiry; hit counts are not tracked per key
+   */
+  async entries() {
+    const keys = await this.keys();
+    const pipeline = this.client.pipeline();
+    for (const key of keys) {
+      pipeline.strlen(key).pttl(key);
+    }
+
+    const results = keys.length ? await pipeline.exec() : [];
+    const now = Date.now();
+
+    return keys.map((key, index) => ({
+      key,
+      size: results[index * 2][1],
+      expiresAt: now + Math.max(results[index * 2 + 1][1], 0),
+      hits: null
+    }));
+  }
+
+  async keys() {
+    const keys = [];
+    let cursor = '0';
+
+    // SCAN patterns are not prefixed by the client, and returned keys keep the prefix
+    do {
+      const [next, batch] = await this.client.scan(cursor, 'MATCH', `${this.keyPrefix}*`, 'COUNT', 500);
+      cursor = next;
+      keys.push(...batch.map((key) => key.slice(this.keyPrefix.length)));
+    } while (cursor !== '0');
+
+    return keys;
+  }
+
+  async clear() {
+    const keys = await this.keys();
+
+    for (let i = 0; i < keys.length; i += 500) {
+      await this.client.del(...keys.slice(i, i + 500));
+    }
+  }
+
+  /**
+   * Counting keys scans the keyspace: for the admin API and /health/detailed, not for probes
+   */
+  async getStats() {
+    return {
+      backend: 'redis',
+      status: this.client.status,
+      keyPrefix: this.keyPrefix,
+      keys: (await this.keys()).length,
+      ...this.stats
+    };
+  }
+
+  async close() {
+    await this.client.quit();
+  }
+}
@@ -0,0 +1,46 @@
+import { logger } from '../utils/logger.js';
+import { FileStore } from './FileStore.js';
+import { MemoryStore } from './MemoryStore.js';
+import { RedisStore } from './RedisStore.js';
+
+/**
+ * Cache backends
+ *
+ * Every store implements the same async interface:
+ *   get(key) -> entry | undefined
+ *   set(key, entry, ttlSeconds) -> boolean
+ *   delete(key) -> boolean
+ *   peek(key) -> entry | undefined (no hit counted, LRU order untouched)
+ *   keys() -> string[]
+ *   entries() -> { key, size, expiresAt, hits }[]
+ *   clear()
+ *   getStats() -> { backend, keys, ... }
+ *   close()
+ */
+
+/**
+ * Create the cache store selected by the `cache` block of providers.yaml
+ */
+export function createCacheStore(cacheConfig = {}) {
+  const backend = cacheConfig.backend || 'memory';
+  const limits = {
+    maxKeys: cacheConfig.maxKeys,
+    maxBytes: cacheConfig.maxBytes,
+    checkPeriod: cacheConfig.checkPeriod
+  };
+
+  logger.info(`Using ${backend} cache backend`);
+
+  switch (backend) {
+    case 'memory':
+      return new MemoryStore(limits);
+    case 'file':
+      return new FileStore({ ...limits, ...cacheConfig.file });
+    case 'redis':
+      return new RedisStore(cacheConfig.redis);
+    default:
+      throw new Error(`Unknown cache backend '${backend}'`);
+  }
+}
+
+export { FileStore, MemoryStore, RedisStore };
@@ -0,0 +1,49 @@
+/**
+ * Binary envelope for cache entries stored outside the process:
+ * 4-byte header length, JSON header, then the raw body bytes.
+ */
+
+/**
+ * Serialize a cache entry ({ body, ...fields }) with optional store-specific header fields
+ */
+export function serializeEntry(entry, extra = {}) {
+  const { body, ...fields } = entry;
+  const isBuffer = Buffer.isBuffer(body);
+  const payload = isBuffer ? body : Buffer.from(body ?? '', 'utf8');
+
+  const header = Buffer.from(JSON.stringify({ ...extra, fields, bodyType: isBuffer ? 'buffer' : 'string' }), 'utf8');
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(header.length);
+
+  return Buffer.concat([length, header, payload]);
+}
+
+/**
+ * Deserialize a buffer produced by serializeEntry()
+ * @returns {{ header: Object, entry: Object }}
+ */
+export function deserializeEntry(buffer) {
+  const header = readHeader(buffer);
+  const payload = buffer.subarray(4 + buffer.readUInt32BE(0));
+  const body = header.bodyType === 'buffer' ? payload : payload.toString('utf8');
+
+  return { header, entry: { ...header.fields, body } };
+}
+
+/**
+ * Parse only the JSON header of a serialized entry
+ */
+export function readHeader(buffer) {
+  const headerLength = buffer.readUInt32BE(0);
+  return JSON.parse(buffer.subarray(4, 4 + headerLength).toString('utf8'));
+}
+
+/**
+ * Approximate in-memory size of an entry in bytes (body plus metadata)
+ */
+export function entrySize(entry) {
+  const { body, ...fields } = entry;
+  const bodySize = Buffer.isBuffer(body) ? body.length : Buffer.byteLength(String(body ?? ''), 'utf8');
+
+  return bodySize + Buffer.byteLength(JSON.stringify(fields), 'utf8');
+}
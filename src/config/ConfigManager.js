@@ -0,0 +1,134 @@
+import { EventEmitter } from 'events';
+import { watch } from 'fs';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+import { CONFIG_PATH, configHash, logConfigErrors, readConfig } from './index.js';
+
+/**
+ * Holds the active configuration and reloads it from disk on file changes,
+ * SIGHUP or an admin call. A reloaded config is validated first; an invalid
+ * one is rejected and the current config stays active. Accepted configs are
+ * announced with a 'change' event (config, previous) whose listeners swap them in;
+ * listeners may be async and are awaited in order, and a failing one rolls the change back.
+ */
+export class ConfigManager extends EventEmitter {
+  constructor(config, options = {}) {
+    super();
+    this.configPath = options.configPath || CONFIG_PATH;
+    this.current = config;
+    this.version = 1;
+    this.hash = configHash(config);
+    this.loadedAt = new Date().toISOString();
+    this.trigger = 'startup';
+    this.lastError = null;
+    this.reloading = null;
+    this.watcher = null;
+  }
+
+  /**
+   * Watch the config directory; editors and Kubernetes ConfigMaps replace the file rather than write it.
+   * Only events for the config file itself (or a ConfigMap's `..data` link swap) trigger a reload.
+   */
+  watch(debounceMs = 300) {
+    const names = new Set([path.basename(this.configPath), '..data']);
+    let timer = null;
+
+    try {
+      this.watcher = watch(path.dirname(this.configPath), (eventType, filename) => {
+        // Some platforms do not report the name; the hash check makes a needless reload cheap
+        if (filename && !names.has(filename.toString())) return;
+
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+          this.reload('file').catch((error) => logger.error('Configuration reload (file) failed', { error: error.message }));
+        }, debounceMs);
+      });
+      this.watcher.on('error', (error) => logger.warn('Config watcher error', { error: error.message }));
+      logger.info('Watching configuration for changes', { path: this.configPath });
+    } catch (error) {
+      logger.warn('Cannot watch configuration', { path: this.configPath, error: error.message });
+    }
+  }
+
+  /**
+   * Re-read and validate the config file, swapping it in when valid and changed
+   * @param {string} trigger - What asked for the reload (file, SIGHUP, admin:<name>)
+   * @returns {Promise<{ reloaded: boolean, version: number, hash: string, errors?: string[] }>}
+   */
+  async reload(trigger = 'manual') {
+    // Reloads run one at a time; a reload requested meanwhile waits for the running one.
+    // The queue itself never rejects, so a failed reload does not block the next; the caller gets the error.
+    const previous = this.reloading || Promise.resolve();
+    const run = previous.then(() => this.doReload(trigger));
+    const queued = run.catch(() => {}).finally(() => {
+      if (this.reloading === queued) this.reloading = null;
+    });
+    this.reloading = queued;
+    return run;
+  }
+
+  async doReload(trigger) {
+    let config;
+    try {
+      config = await readConfig(this.configPath);
+    } catch (error) {
+      const errors = error.errors || [error.message];
+      this.lastError = { trigger, at: new Date().toISOString(), errors };
+
+      logConfigErrors(`Configuration reload (${trigger}) rejected, keeping version ${this.version}`, { errors });
+      return { reloaded: false, version: this.version, hash: this.hash, errors };
+    }
+
+    const hash = configHash(config);
+    if (hash === this.hash) {
+      logger.debug(`Configuration unchanged (${trigger})`);
+      return { reloaded: false, version: this.version, hash };
+    }
+
+    // Listeners rebuild routes and services; if any of them fails the old config stays active
+    try {
+      await this.announce(config, this.current);
+    } catch (error) {
+      const errors = error.errors || [error.message];
+      this.lastError = { trigger, at: new Date().toISOString(), errors };
+      logConfigErrors(`Configuration reload (${trigger}) failed to apply, keeping version ${this.version}`, { errors });
+      await this.announce(this.current, config);
+      return { reloaded: false, version: this.version, hash: this.hash, errors };
+    }
+
+    this.current = config;
+    this.version++;
+    this.hash = hash;
+    this.loadedAt = new Date().toISOString();
+    this.trigger = trigger;
+    this.lastError = null;
+
+    logger.info(`Configuration reloaded (${trigger})`, { version: this.version, hash });
+    return { reloaded: true, version: this.version, hash };
+  }
+
+  /**
+   * Run the 'change' listeners one after another, awaiting async ones
+   */
+  async announce(config, previous) {
+    for (const listener of this.listeners('change')) {
+      await listener(config, previous);
+    }
+  }
+
+  getStatus() {
+    return {
+      version: this.version,
+      hash: this.hash,
+      loadedAt: this.loadedAt,
+      trigger: this.trigger,
+      path: this.configPath,
+      watching: Boolean(this.watcher),
+      lastError: this.lastError
+    };
+  }
+
+  close() {
+    this.watcher?.close();
+  }
+}
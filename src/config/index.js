@@ -1,38 +1,208 @@
+import { createHash } from 'crypto';
 import fs from 'fs/promises';
 import path from 'path';
 import yaml from 'js-yaml';
-import { logger } from '../utils/logger.js';
+import { LOG_LEVELS, logger, normalizeLogLevel } from '../utils/logger.js';
+import { configSchema, schemaAt, validate } from './schema.js';
+
+export const CONFIG_PATH = path.join(process.cwd(), 'config', 'providers.yaml');
+
+// Generic overrides: WIDGET_PROXY__providers__sportradar__widgetId=abc sets providers.sportradar.widgetId
+const ENV_OVERRIDE_PREFIX = 'WIDGET_PROXY__';
 
 /**
- * Load configuration from YAML files and environment variables
+ * Load configuration from YAML files and environment variables.
+ * An unreadable or invalid file is fatal in strict mode (CONFIG_STRICT=true,
+ * the default in production); otherwise the built-in defaults are used, loudly.
  */
 export async function loadConfig() {
   try {
-    // Load base configuration
-    const configPath = path.join(process.cwd(), 'config', 'providers.yaml');
-    const configFile = await fs.readFile(configPath, 'utf8');
-    const config = yaml.load(configFile);
-
-    // Override with environment variables
-    if (process.env.SPORTRADAR_BASE_URL) {
-      config.providers.sportradar.baseUrl = process.env.SPORTRADAR_BASE_URL;
+    const config = await readConfig();
+
+    logger.info('Configuration loaded successfully');
+    return config;
+  } catch (error) {
+    logConfigErrors(`Failed to load configuration from ${CONFIG_PATH}`, error);
+
+    if (isStrictConfig()) {
+      throw new Error('Refusing to start with an invalid configuration (strict mode)');
     }
 
-    if (process.env.CACHE_TTL) {
-      config.cache.defaultTtl = parseInt(process.env.CACHE_TTL);
+    logger.warn('Using built-in default configuration; set CONFIG_STRICT=true to refuse to start instead');
+    const config = getDefaultConfig();
+    applyEnvOverrides(config);
+
+    const errors = validateConfig(config);
+    if (errors.length) {
+      const invalid = new Error('Default configuration is invalid after environment overrides');
+      invalid.errors = errors;
+      logConfigErrors(invalid.message, invalid);
+      throw invalid;
     }
 
-    logger.info('Configuration loaded successfully');
     return config;
-  } catch (error) {
-    logger.error('Failed to load configuration:', error);
-    
-    // Fallback to default configuration
-    logger.warn('Using fallback configuration');
-    return getDefaultConfig();
   }
 }
 
+/**
+ * Read, override and validate the configuration file; throws on any problem
+ * (with `errors` listing every validation failure) so callers can keep their current config
+ */
+export async function readConfig(configPath = CONFIG_PATH) {
+  const configFile = await fs.readFile(configPath, 'utf8');
+  const config = yaml.load(configFile, { filename: configPath });
+
+  if (config && typeof config === 'object') {
+    applyEnvOverrides(config);
+  }
+
+  const errors = validateConfig(config);
+  if (errors.length) {
+    const error = new Error(`Invalid configuration in ${configPath}: ${errors.join('; ')}`);
+    error.errors = errors;
+    throw error;
+  }
+
+  return config;
+}
+
+/**
+ * Validate a configuration object against the declared schema
+ * @returns {string[]} Problems, each prefixed with the offending path
+ */
+export function validateConfig(config) {
+  return validate(configSchema, config);
+}
+
+/**
+ * Whether invalid configuration must stop the server (CONFIG_STRICT, default: production only)
+ */
+export function isStrictConfig() {
+  const strict = process.env.CONFIG_STRICT;
+  return strict === undefined ? process.env.NODE_ENV === 'production' : ['1', 'true', 'yes'].includes(strict.toLowerCase());
+}
+
+/**
+ * Log every configuration problem on its own line
+ */
+export function logConfigErrors(message, error) {
+  logger.error(message);
+  for (const problem of error.errors || [error.message]) {
+    logger.error(`  ${problem}`);
+  }
+}
+
+/**
+ * Override configuration with environment variables: the named shortcuts first,
+ * then generic WIDGET_PROXY__path__to__key overrides
+ */
+function applyEnvOverrides(config) {
+  if (process.env.SPORTRADAR_BASE_URL && config.providers?.sportradar) {
+    config.providers.sportradar.baseUrl = process.env.SPORTRADAR_BASE_URL;
+  }
+
+  if (process.env.PUBLIC_BASE_URL) {
+    config.server = { ...config.server, publicBaseUrl: process.env.PUBLIC_BASE_URL };
+  }
+
+  if (process.env.CACHE_TTL) {
+    setPath(config, ['cache', 'defaultTtl'], parseInt(process.env.CACHE_TTL));
+  }
+
+  if (process.env.CORS_ALLOWED_ORIGINS) {
+    setPath(config, ['security', 'allowedOrigins'], parseList(process.env.CORS_ALLOWED_ORIGINS));
+  }
+
+  if (process.env.ADMIN_TOKEN || process.env.ADMIN_TOKENS) {
+    config.admin = { ...config.admin, tokens: [...(config.admin?.tokens || []), ...parseAdminTokens()] };
+  }
+
+  if (process.env.FIXTURES_MODE) {
+    setPath(config, ['fixtures', 'mode'], process.env.FIXTURES_MODE);
+  }
+
+  if (process.env.CACHE_BACKEND) {
+    setPath(config, ['cache', 'backend'], process.env.CACHE_BACKEND);
+  }
+
+  if (process.env.REDIS_URL) {
+    setPath(config, ['cache', 'redis', 'url'], process.env.REDIS_URL);
+  }
+
+  for (const [name, value] of Object.entries(process.env).sort(([a], [b]) => a.localeCompare(b))) {
+    if (!name.startsWith(ENV_OVERRIDE_PREFIX) || value === undefined) continue;
+
+    const keys = name.slice(ENV_OVERRIDE_PREFIX.length).split('__').filter(Boolean);
+    if (keys.length) {
+      setPath(config, keys, coerceEnvValue(value, schemaAt(configSchema, keys)));
+    }
+  }
+}
+
+/**
+ * Convert an environment string to the type the schema expects at its path.
+ * Lists accept JSON or comma-separated values; undeclared paths accept JSON or a plain string.
+ */
+function coerceEnvValue(value, schema) {
+  const types = [].concat(schema?.type || []);
+
+  if (types.includes('number') && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (types.includes('boolean') && /^(true|false)$/i.test(value)) {
+    return value.toLowerCase() === 'true';
+  }
+  if (types.includes('string')) {
+    return value;
+  }
+  if (types.includes('array') && !value.trim().startsWith('[')) {
+    return parseList(value);
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Set a nested value, creating intermediate mappings
+ */
+function setPath(target, keys, value) {
+  let node = target;
+
+  for (const key of keys.slice(0, -1)) {
+    if (node[key] === null || typeof node[key] !== 'object') {
+      node[key] = {};
+    }
+    node = node[key];
+  }
+
+  node[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Short, stable fingerprint of a configuration, shown on /health/detailed
+ */
+export function configHash(config) {
+  return createHash('sha256').update(JSON.stringify(config)).digest('hex').slice(0, 12);
+}
+
+/**
+ * Log level for the default configuration from LOG_LEVEL; levels the schema does not
+ * know (silent, typos) fall back to info so the fallback config stays valid
+ */
+function defaultLogLevel() {
+  const level = normalizeLogLevel(process.env.LOG_LEVEL);
+  if (LOG_LEVELS.includes(level)) {
+    return level;
+  }
+
+  logger.warn(`Ignoring LOG_LEVEL=${process.env.LOG_LEVEL} in the default configuration: expected one of ${LOG_LEVELS.join(', ')}`);
+  return 'info';
+}
+
 /**
  * Default configuration fallback
  */
@@ -41,43 +211,225 @@ function getDefaultConfig() {
     providers: {
       sportradar: {
         name: 'SportRadar',
+        adapter: 'sportradar',
         baseUrl: 'https://widgets.sir-sportradar.com',
+        widgetId: '984c87dccac74331a2261fd032f80dbf',
         widgetTypes: {
           'match.lmtPlus': {
             path: '/{widgetId}/widgetloader',
-            assets: ['/assets/**/*']
+            assets: ['/assets/**/*'],
+            options: {
+              layout: { type: 'keyword', enum: ['single', 'double', 'topdown'] },
+              momentum: { type: 'keyword' },
+              tabsPosition: { type: 'keyword', default: 'top' },
+              scoreboard: { type: 'keyword' },
+              detailedScoreboard: { type: 'keyword' },
+              collapseTo: { type: 'keyword' },
+              activeSwitcher: { type: 'keyword' },
+              scoreboardLargeJerseys: { type: 'boolean' },
+              disablePitchNoise: { type: 'boolean' },
+              disablePitchStripes: { type: 'boolean' },
+              disablePitchOverlay: { type: 'boolean' },
+              disablePitchSpotlights: { type: 'boolean' },
+              disableMoreStats: { type: 'boolean' },
+              isCollapsed: { type: 'boolean' },
+              pitchCustomBgColor: { type: 'color' },
+              pitchLogo: { type: 'url' },
+              goalBannerImage: { type: 'url' },
+              logo: { type: 'url[]' }
+            },
+            presets: {
+              'desktop-full': { layout: 'topdown', momentum: 'bars', scoreboardLargeJerseys: true },
+              'mobile-compact': {
+                layout: 'single',
+                scoreboard: 'disable',
+                collapseTo: 'disable',
+                activeSwitcher: 'scoreDetails',
+                disablePitchNoise: true,
+                disablePitchStripes: true,
+                disablePitchOverlay: true,
+                disablePitchSpotlights: true
+              }
+            }
           },
           'match.preview': {
             path: '/{widgetId}/widgetloader',
-            assets: ['/assets/**/*']
+            assets: ['/assets/**/*'],
+            options: {
+              layout: { type: 'keyword', enum: ['single', 'double'] },
+              isCollapsed: { type: 'boolean' },
+              disableMoreStats: { type: 'boolean' },
+              logo: { type: 'url[]' }
+            },
+            presets: {
+              'mobile-compact': { layout: 'single', isCollapsed: true }
+            }
           }
         },
+        feeds: {
+          'lt-fn': 'https://lt-fn.sir-sportradar.com',
+          'ws-fn': 'https://ws-fn.sir-sportradar.com'
+        },
+        feedCache: {
+          enabled: true,
+          ttl: 1,
+          maxEntrySize: 262144
+        },
+        matchLookup: {
+          enabled: false,
+          url: 'https://lt-fn.sir-sportradar.com/{widgetId}/en/Etc:UTC/gismo/match_info/{id}',
+          timeout: 2000,
+          ttl: 600,
+          negativeTtl: 60
+        },
+        longPoll: [],
+        rewrites: [
+          {
+            name: 'lt-fn-urls',
+            match: 'https://lt-fn.sir-sportradar.com',
+            replace: '{publicBaseUrl}/api/lt-fn'
+          },
+          {
+            name: 'ws-fn-urls',
+            match: 'https://ws-fn.sir-sportradar.com',
+            replace: '{publicBaseUrl}/api/ws-fn'
+          },
+          {
+            name: 'lt-fn-sockets',
+            match: 'wss://lt-fn.sir-sportradar.com',
+            replace: '{publicWsBaseUrl}/api/lt-fn'
+          },
+          {
+            name: 'ws-fn-sockets',
+            match: 'wss://ws-fn.sir-sportradar.com',
+            replace: '{publicWsBaseUrl}/api/ws-fn'
+          }
+        ],
         headers: {
           'User-Agent': 'KakBet-Widget-Proxy/1.0',
           'Accept': '*/*',
           'Accept-Encoding': 'gzip, deflate, br'
         },
+        timeout: 10000,
+        retries: 2,
+        backoff: {
+          initial: 200,
+          max: 2000,
+          factor: 2
+        },
+        circuitBreaker: {
+          failureThreshold: 5,
+          resetTimeout: 30000
+        },
         cache: {
           scripts: 300, // 5 minutes
-          assets: 3600  // 1 hour
+          assets: 3600, // 1 hour
+          staleWhileRevalidate: {
+            scripts: 60,
+            assets: 600
+          },
+          staleIfError: {
+            scripts: 86400,
+            assets: 86400
+          }
+        }
+      }
+    },
+    themes: {
+      kakbet: {
+        formula: 'solid',
+        primary: '#FF0000',
+        home: '#0C0CFF',
+        away: '#FF0000',
+        cl: '#000000',
+        base: '#FFFFFF',
+        variants: {
+          dark: { cl: '#FFFFFF', base: '#10222B' }
         }
       }
     },
+    server: {
+      publicBaseUrl: '',
+      recompress: true,
+      watchConfig: true
+    },
+    streaming: {
+      websocket: true,
+      idleTimeout: 60000,
+      maxConnectionsPerClient: 20
+    },
     cache: {
+      backend: 'memory',
       defaultTtl: 300,
-      maxKeys: 1000
+      maxKeys: 1000,
+      maxBytes: 268435456,
+      maxEntrySize: 5242880,
+      revalidateWindow: 86400,
+      feeds: {
+        maxKeys: 5000,
+        maxBytes: 33554432
+      },
+      file: {
+        directory: '.cache/widget-proxy'
+      },
+      redis: {
+        url: 'redis://localhost:6379/0',
+        keyPrefix: 'widget-proxy:'
+      }
+    },
+    fixtures: {
+      mode: 'off',
+      dir: 'fixtures',
+      onMiss: 'notFound',
+      maxBodySize: 10485760
     },
     security: {
-      allowedOrigins: ['*'],
+      allowedOrigins: ['https://kakbet.com', 'https://*.kakbet.com'],
       maxRequestSize: '10mb',
+      trustProxy: 0,
       rateLimit: {
+        enabled: true,
+        backend: 'memory',
         windowMs: 60000, // 1 minute
-        max: 100 // requests per window
+        max: 100, // requests per window
+        apiKeyHeader: 'X-API-Key',
+        apiKeys: [],
+        buckets: {
+          scripts: { max: 60 },
+          assets: { max: 1200 },
+          feeds: { max: 600 }
+        }
       }
     },
+    admin: {
+      tokens: []
+    },
     logging: {
-      level: process.env.LOG_LEVEL || 'info',
+      level: defaultLogLevel(),
       format: process.env.NODE_ENV === 'production' ? 'json' : 'simple'
     }
   };
 }
+
+/**
+ * Split a comma-separated environment value
+ */
+function parseList(value) {
+  return value.split(',').map((item) => item.trim()).filter(Boolean);
+}
+
+/**
+ * Admin tokens from ADMIN_TOKEN (named "admin") and ADMIN_TOKENS ("name:token,name:token")
+ */
+function parseAdminTokens() {
+  const tokens = parseList(process.env.ADMIN_TOKENS || '').map((item) => {
+    const separator = item.indexOf(':');
+    return { name: item.slice(0, separator), token: item.slice(separator + 1) };
+  });
+
+  if (process.env.ADMIN_TOKEN) {
+    tokens.push({ name: 'admin', token: process.env.ADMIN_TOKEN });
+  }
+
+  return tokens.filter(({ name, token }) => name && token);
+}
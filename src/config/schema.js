@@ -0,0 +1,339 @@
+/**
+ * Declared schema for config/providers.yaml
+ *
+ * Node kinds:
+ *   string  { enum, pattern, format: 'url' | 'origin', minLength }
+ *   number  { min, max, integer }
+ *   boolean
+ *   array   { items }
+ *   object  { properties } for fixed keys, { values } for maps with free-form keys,
+ *           or neither for settings passed through unchecked (adapter options)
+ * Any node may be `required` or list several `type`s. Keys not declared in an
+ * object's `properties` are reported, so typos fail validation instead of being ignored.
+ */
+
+import { LOG_LEVELS } from '../utils/logger.js';
+import { WIDGET_OPTION_TYPES, checkWidgetOptions } from '../utils/widgetOptions.js';
+
+const string = (options = {}) => ({ type: 'string', ...options });
+const number = (options = {}) => ({ type: 'number', min: 0, ...options });
+const integer = (options = {}) => number({ integer: true, ...options });
+const boolean = () => ({ type: 'boolean' });
+const url = (options = {}) => string({ format: 'url', ...options });
+const list = (items, options = {}) => ({ type: 'array', items, ...options });
+const object = (properties, options = {}) => ({ type: 'object', properties, ...options });
+const map = (values, options = {}) => ({ type: 'object', values, ...options });
+
+const resourceSeconds = object({
+  scripts: integer(),
+  assets: integer(),
+  chunks: integer()
+});
+
+const rewriteRule = object({
+  name: string(),
+  type: string({ enum: ['literal', 'regex'] }),
+  match: string({ required: true, minLength: 1 }),
+  flags: string({ pattern: /^[imsuy]*$/ }),
+  replace: string(),
+  maxMatchLength: integer({ min: 1 })
+}, {
+  check: (rule) => {
+    if (rule.type !== 'regex' || typeof rule.match !== 'string') return null;
+    try {
+      new RegExp(rule.match, rule.flags);
+      return null;
+    } catch (error) {
+      return `invalid regex (${error.message})`;
+    }
+  }
+});
+
+// An addWidget option a widget type accepts; see utils/widgetOptions.js
+const widgetOption = object({
+  type: string({ required: true, enum: WIDGET_OPTION_TYPES }),
+  enum: list({ type: ['string', 'number'] }),
+  default: { type: ['string', 'number', 'boolean', 'array'], items: string() },
+  description: string()
+}, {
+  check: ({ default: value, ...option }) => {
+    const problems = value === undefined ? [] : checkWidgetOptions({ default: value }, { default: option });
+    return problems.length ? problems.join('; ') : null;
+  }
+});
+
+const widgetType = object({
+  path: string({ required: true, pattern: /^\// }),
+  description: string(),
+  assets: list(string()),
+  rewrites: list(rewriteRule),
+  options: map(widgetOption),
+  // Named sets of option values, e.g. mobile-compact: { layout: single }
+  presets: map({ type: 'object' })
+}, {
+  check: ({ options = {}, presets = {} }) => {
+    const problems = Object.entries(presets).flatMap(([name, values]) =>
+      checkWidgetOptions(values, options).map((problem) => `presets.${name}.${problem}`));
+    return problems.length ? problems.join('; ') : null;
+  }
+});
+
+const themeColor = (options = {}) => string({ pattern: /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i, ...options });
+
+const theme = object({
+  formula: string({ enum: ['solid'] }),
+  primary: themeColor({ required: true }),
+  home: themeColor({ required: true }),
+  away: themeColor({ required: true }),
+  cl: themeColor({ required: true }),
+  base: themeColor({ required: true }),
+  variants: map(object({
+    primary: themeColor(),
+    home: themeColor(),
+    away: themeColor(),
+    cl: themeColor(),
+    base: themeColor()
+  }))
+});
+
+const corsSettings = {
+  allowedOrigins: list(string({ format: 'origin' })),
+  allowCredentials: boolean(),
+  maxAge: integer(),
+  allowedMethods: list(string()),
+  allowedHeaders: list(string())
+};
+
+const provider = object({
+  name: string(),
+  // Built-in adapter name (sportradar, generic) or a module path / package; see src/providers
+  adapter: string({ minLength: 1 }),
+  options: { type: 'object' },
+  baseUrl: url({ required: true }),
+  widgetId: string({ minLength: 1 }),
+  widgetTypes: map(widgetType, { required: true, minProperties: 1 }),
+  feeds: map(url()),
+  feedCache: object({
+    enabled: boolean(),
+    ttl: number(),
+    maxEntrySize: integer({ min: 1 }),
+    endpoints: list(object({
+      path: string({ required: true, pattern: /^\// }),
+      ttl: number({ required: true })
+    }))
+  }),
+  // Upstream check that a match ID exists before widgets load; see ProviderAdapter.getMatchLookupUrl
+  matchLookup: object({
+    enabled: boolean(),
+    url: string({ pattern: /^https?:\/\// }),
+    timeout: integer({ min: 1 }),
+    ttl: integer(),
+    negativeTtl: integer()
+  }),
+  // Feed paths answered by long-lived (long-poll / event-stream) responses, never micro-cached
+  longPoll: list(string({ pattern: /^\// })),
+  rewrites: list(rewriteRule),
+  headers: map(string()),
+  timeout: integer({ min: 1 }),
+  retries: integer(),
+  backoff: object({
+    initial: integer(),
+    max: integer(),
+    factor: number({ min: 1 })
+  }),
+  circuitBreaker: object({
+    failureThreshold: integer({ min: 1 }),
+    resetTimeout: integer({ min: 1 })
+  }),
+  cache: object({
+    ...resourceSeconds.properties,
+    staleWhileRevalidate: resourceSeconds,
+    staleIfError: resourceSeconds
+  }),
+  security: object(corsSettings)
+});
+
+const tenant = object({
+  name: string(),
+  default: boolean(),
+  hosts: list(string({ pattern: /^[a-z0-9.-]+$/i })),
+  pathPrefix: string({ pattern: /^\/[\w.-]+$/ }),
+  language: string({ pattern: /^[a-z]{2,3}(?:[_-][a-z]{2,4})?$/i }),
+  theme: string({ minLength: 1 }),
+  allowedOrigins: list(string({ format: 'origin' })),
+  referer: url(),
+  userAgent: string({ minLength: 1 }),
+  providers: map(object({
+    widgetId: string({ minLength: 1 }),
+    headers: map(string()),
+    options: { type: 'object' }
+  }))
+});
+
+export const configSchema = object({
+  providers: map(provider, { required: true, minProperties: 1 }),
+  tenants: map(tenant),
+  themes: map(theme),
+  server: object({
+    publicBaseUrl: url({ allowEmpty: true }),
+    recompress: boolean(),
+    watchConfig: boolean()
+  }),
+  streaming: object({
+    websocket: boolean(),
+    idleTimeout: integer({ min: 1 }),
+    maxConnectionsPerClient: integer()
+  }),
+  cache: object({
+    backend: string({ enum: ['memory', 'file', 'redis'] }),
+    defaultTtl: integer(),
+    maxKeys: integer(),
+    maxBytes: integer(),
+    maxEntrySize: integer({ min: 1 }),
+    checkPeriod: integer({ min: 1 }),
+    revalidateWindow: integer(),
+    feeds: object({
+      maxKeys: integer(),
+      maxBytes: integer()
+    }),
+    file: object({
+      directory: string({ minLength: 1 })
+    }),
+    redis: object({
+      url: string({ pattern: /^rediss?:\/\// }),
+      keyPrefix: string(),
+      connectTimeout: integer()
+    })
+  }, { required: true }),
+  // Record / replay of upstream traffic; see services/FixtureStore.js
+  fixtures: object({
+    mode: string({ enum: ['off', 'record', 'replay'] }),
+    dir: string({ minLength: 1 }),
+    onMiss: string({ enum: ['notFound', 'passthrough', 'fail'] }),
+    maxBodySize: integer({ min: 1 }),
+    scrubHeaders: list(string({ minLength: 1 }))
+  }),
+  security: object({
+    ...corsSettings,
+    maxRequestSize: string(),
+    trustProxy: { type: ['number', 'boolean', 'string'] },
+    rateLimit: object({
+      enabled: boolean(),
+      backend: string({ enum: ['memory'] }),
+      windowMs: integer({ min: 1 }),
+      max: integer(),
+      apiKeyHeader: string({ minLength: 1 }),
+      apiKeys: list(string({ minLength: 1 })),
+      buckets: map(object({
+        windowMs: integer({ min: 1 }),
+        max: integer()
+      }))
+    })
+  }),
+  admin: object({
+    tokens: list(object({
+      name: string({ required: true, minLength: 1 }),
+      token: string({ required: true, minLength: 1 })
+    }))
+  }),
+  logging: object({
+    level: string({ enum: LOG_LEVELS }),
+    format: string({ enum: ['json', 'simple'] }),
+    includeTimestamp: boolean(),
+    includeLevel: boolean()
+  })
+});
+
+/**
+ * Validate a value against a schema node
+ * @returns {string[]} Problems, each prefixed with the offending path
+ */
+export function validate(schema, value, at = '(root)') {
+  if (value === undefined || value === null) {
+    return schema.required ? [`${at}: is required`] : [];
+  }
+
+  const types = [].concat(schema.type);
+  const actual = Array.isArray(value) ? 'array' : typeof value;
+  if (!types.includes(actual)) {
+    return [`${at}: must be ${types.join(' or ')}, got ${actual}`];
+  }
+
+  const errors = [];
+  const fail = (message) => errors.push(`${at}: ${message}`);
+
+  switch (actual) {
+    case 'string':
+      if (schema.enum && !schema.enum.includes(value)) fail(`must be one of ${schema.enum.join(', ')}`);
+      if (schema.minLength && value.length < schema.minLength) fail('must not be empty');
+      if (schema.pattern && !schema.pattern.test(value)) fail(`must match ${schema.pattern}`);
+      if (schema.format === 'url' && !(schema.allowEmpty && value === '') && !isHttpUrl(value)) fail('must be an http(s) URL');
+      if (schema.format === 'origin' && value !== '*' && !isHttpUrl(value.replace('*.', 'wildcard.'))) {
+        fail('must be *, an origin or a wildcard origin like https://*.example.com');
+      }
+      break;
+
+    case 'number':
+      if (!Number.isFinite(value)) fail('must be a finite number');
+      if (schema.integer && !Number.isInteger(value)) fail('must be an integer');
+      if (schema.min !== undefined && value < schema.min) fail(`must be at least ${schema.min}`);
+      if (schema.max !== undefined && value > schema.max) fail(`must be at most ${schema.max}`);
+      break;
+
+    case 'array':
+      value.forEach((item, index) => errors.push(...validate(schema.items, item, `${at}[${index}]`)));
+      break;
+
+    case 'object':
+      if (schema.minProperties && Object.keys(value).length < schema.minProperties) {
+        fail(`must define at least ${schema.minProperties} entr${schema.minProperties === 1 ? 'y' : 'ies'}`);
+      }
+
+      if (schema.values) {
+        for (const [key, item] of Object.entries(value)) {
+          errors.push(...validate(schema.values, item, childPath(at, key)));
+        }
+      } else if (schema.properties) {
+        for (const [key, node] of Object.entries(schema.properties)) {
+          errors.push(...validate(node, value[key], childPath(at, key)));
+        }
+        for (const key of Object.keys(value)) {
+          if (!schema.properties[key]) errors.push(`${childPath(at, key)}: unknown setting`);
+        }
+      }
+      break;
+  }
+
+  const problem = !errors.length && schema.check?.(value);
+  if (problem) fail(problem);
+
+  return errors;
+}
+
+/**
+ * Schema node for a path of keys (segments of a map match any key), or null
+ */
+export function schemaAt(schema, keys) {
+  let node = schema;
+
+  for (const key of keys) {
+    if (node?.type === 'array' && /^\d+$/.test(key)) node = node.items;
+    else if (node?.type === 'object') node = node.values || node.properties?.[key];
+    else return null;
+  }
+
+  return node || null;
+}
+
+function childPath(at, key) {
+  const segment = /^[\w-]+$/.test(key) ? key : `"${key}"`;
+  return at === '(root)' ? segment : `${at}.${segment}`;
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,185 @@
+import { globToRegExp } from '../utils/glob.js';
+
+const DEFAULT_FEED_ENTRY_SIZE = 256 * 1024;
+
+/**
+ * Provider adapter contract
+ *
+ * An adapter tells the proxy how one widget vendor works: where its widget
+ * loaders live, which upstream paths its loader requests from our origin,
+ * which rewrite rules point the loader back at us, which feed backends exist
+ * and how long its resources are cached. This base class answers everything
+ * from the provider's providers.yaml block and is used for providers that
+ * declare `adapter: generic`; vendor adapters extend it and override what
+ * their loader does differently.
+ *
+ * Adapter modules (`adapter: ./adapters/vendor.js`) default-export a subclass.
+ * Instances are rebuilt for every configuration version and must not keep state.
+ */
+export class ProviderAdapter {
+  /**
+   * @param {string} provider - Provider key in providers.yaml
+   * @param {Object} providerConfig - The provider's block
+   * @param {Object} config - Whole configuration (cache defaults etc.)
+   */
+  constructor(provider, providerConfig, config) {
+    this.provider = provider;
+    this.providerConfig = providerConfig;
+    this.config = config;
+  }
+
+  /**
+   * Adapter type reported by the API and health endpoints
+   */
+  get type() {
+    return 'generic';
+  }
+
+  /**
+   * Problems with settings this adapter cannot work without, as "setting: message"
+   * @returns {string[]}
+   */
+  validate() {
+    return [];
+  }
+
+  /**
+   * Upstream URL of a widget type's loader script, or null for unknown widget types
+   */
+  resolveWidgetUrl(widgetType, queryParams = {}) {
+    const widgetConfig = this.providerConfig.widgetTypes?.[widgetType];
+    if (!widgetConfig) {
+      return null;
+    }
+
+    const widgetPath = widgetConfig.path.replace(/\{(\w+)\}/g, (placeholder, key) => (
+      typeof this.providerConfig[key] === 'string' ? this.providerConfig[key] : placeholder
+    ));
+    return `${this.providerConfig.baseUrl}${widgetPath}`;
+  }
+
+  /**
+   * URL checking that a match exists (`matchLookup.url`, with `{matchId}`, `{id}`, `{urn}` and
+   * provider settings such as `{widgetId}` filled in), or null when lookups are off.
+   * A 404 / 410 answer means the match is unknown.
+   * @param {{ id: string, urn: string, value: string }} match - Parsed match ID
+   */
+  getMatchLookupUrl(match) {
+    const settings = this.providerConfig.matchLookup;
+    if (!settings?.enabled || !settings.url) {
+      return null;
+    }
+
+    const values = { ...this.providerConfig, matchId: match.value, id: match.id, urn: match.urn };
+    return settings.url.replace(/\{(\w+)\}/g, (placeholder, key) => (
+      typeof values[key] === 'string' ? encodeURIComponent(values[key]) : placeholder
+    ));
+  }
+
+  /**
+   * Upstream URL of an asset path (always starting with /)
+   */
+  resolveAssetUrl(assetPath) {
+    return `${this.providerConfig.baseUrl}${assetPath}`;
+  }
+
+  /**
+   * Root-level asset paths the loader requests from our origin, cached like /proxy assets
+   * @returns {string[]} Express paths, e.g. '/assets/*'
+   */
+  getAssetPaths() {
+    return [];
+  }
+
+  /**
+   * Root-level paths streamed to the provider as-is
+   * @returns {Array<{ path: string, method: 'all' | 'get', bucket: string, upstream: string }>}
+   *   `upstream` is prefixed to the request URL; `bucket` names the rate-limit bucket
+   */
+  getPassthroughRoutes() {
+    return [];
+  }
+
+  /**
+   * Feed API backends, proxied under /api/{feed}/*
+   * @returns {Object<string, string>} Feed name to base URL
+   */
+  getFeeds() {
+    return this.providerConfig.feeds || {};
+  }
+
+  /**
+   * Micro-cache policy for a feed poll, from `feedCache`: the first `endpoints`
+   * pattern matching the request path (e.g. /api/lt-fn/gismo/match_timeline/*) sets the TTL
+   * @returns {?{ ttl: number, maxEntrySize: number }} null when feed caching is off
+   */
+  getFeedCachePolicy(requestPath) {
+    const settings = this.providerConfig.feedCache;
+    if (!settings || settings.enabled === false) {
+      return null;
+    }
+
+    const endpoint = (settings.endpoints || []).find(({ path }) => globToRegExp(path).test(requestPath));
+    return {
+      ttl: endpoint ? endpoint.ttl : (settings.ttl ?? 0),
+      maxEntrySize: settings.maxEntrySize ?? DEFAULT_FEED_ENTRY_SIZE
+    };
+  }
+
+  /**
+   * Options a widget type's `addWidget` call accepts (`widgetTypes.*.options`)
+   * @returns {Object<string, { type: string, enum?: Array, default?: *, description?: string }>} See utils/widgetOptions.js
+   */
+  getWidgetOptions(widgetType) {
+    return this.providerConfig.widgetTypes?.[widgetType]?.options || {};
+  }
+
+  /**
+   * Named option presets of a widget type (`widgetTypes.*.presets`)
+   * @returns {Object<string, Object>} Option values by preset name
+   */
+  getWidgetPresets(widgetType) {
+    return this.providerConfig.widgetTypes?.[widgetType]?.presets || {};
+  }
+
+  /**
+   * Whether a feed request path is answered by a long-lived response (`longPoll` patterns),
+   * which is streamed without micro-caching
+   */
+  isLongPoll(requestPath) {
+    return (this.providerConfig.longPoll || []).some((pattern) => globToRegExp(pattern).test(requestPath));
+  }
+
+  /**
+   * Every root-level path this provider answers (a trailing * matches any suffix)
+   */
+  getRootPaths() {
+    return [
+      ...this.getPassthroughRoutes().map((route) => route.path),
+      ...Object.keys(this.getFeeds()).map((feed) => `/api/${feed}/*`),
+      ...this.getAssetPaths()
+    ];
+  }
+
+  /**
+   * Ordered rewrite rules for a widget type's loader: provider-level rules, then the widget type's
+   */
+  getRewriteRules(widgetType) {
+    const widgetConfig = this.providerConfig.widgetTypes?.[widgetType] || {};
+    return [...(this.providerConfig.rewrites || []), ...(widgetConfig.rewrites || [])];
+  }
+
+  /**
+   * Cache resource type of an asset path ('assets' or 'chunks')
+   */
+  getResourceType(assetPath) {
+    return 'assets';
+  }
+
+  /**
+   * Cache TTL in seconds for a resource type ('scripts', 'assets' or 'chunks')
+   */
+  getCacheTtl(resourceType) {
+    return this.providerConfig.cache?.[resourceType] ?? this.config.cache.defaultTtl;
+  }
+}
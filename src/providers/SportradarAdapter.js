@@ -0,0 +1,44 @@
+import { ProviderAdapter } from './ProviderAdapter.js';
+
+// Defaults when the provider's cache block leaves a resource type out (seconds)
+const DEFAULT_TTLS = {
+  chunks: 1800,
+  assets: 3600
+};
+
+/**
+ * SportRadar widgets. The widget loader is served per widget ID and requests
+ * licensing, translations and its JS/CSS bundles relative to our origin; code-split
+ * chunks (`chunk.*.js`) get their own cache TTL.
+ */
+export class SportradarAdapter extends ProviderAdapter {
+  get type() {
+    return 'sportradar';
+  }
+
+  validate() {
+    return this.providerConfig.widgetId ? [] : ['widgetId: is required by the sportradar adapter'];
+  }
+
+  getAssetPaths() {
+    return ['/assets/*', '/js/*', '/css/*'];
+  }
+
+  getPassthroughRoutes() {
+    const upstream = this.providerConfig.baseUrl;
+
+    return [
+      { path: `/${this.providerConfig.widgetId}/licensing`, method: 'all', bucket: 'feeds', upstream },
+      { path: '/translations/*', method: 'get', bucket: 'assets', upstream }
+    ];
+  }
+
+  getResourceType(assetPath) {
+    const ext = assetPath.split('.').pop()?.toLowerCase();
+    return ext === 'js' && assetPath.includes('chunk.') ? 'chunks' : 'assets';
+  }
+
+  getCacheTtl(resourceType) {
+    return this.providerConfig.cache?.[resourceType] ?? DEFAULT_TTLS[resourceType] ?? this.config.cache.defaultTtl;
+  }
+}
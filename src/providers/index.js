@@ -0,0 +1,135 @@
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { ProviderAdapter } from './ProviderAdapter.js';
+import { SportradarAdapter } from './SportradarAdapter.js';
+
+const BUILTIN_ADAPTERS = {
+  generic: ProviderAdapter,
+  sportradar: SportradarAdapter
+};
+
+// Adapter modules imported so far, by resolved specifier; Node caches ES modules, so edits need a restart
+const loadedModules = new Map();
+
+/**
+ * The adapters of one configuration version, keyed by provider
+ */
+export class ProviderAdapters {
+  constructor(adapters) {
+    this.adapters = adapters;
+  }
+
+  get(provider) {
+    return this.adapters.get(provider);
+  }
+
+  has(provider) {
+    return this.adapters.has(provider);
+  }
+
+  values() {
+    return this.adapters.values();
+  }
+
+  /**
+   * Provider answering a root-level path (pass-through routes, feeds and assets), if any
+   */
+  providerForPath(requestPath) {
+    return this.findProvider(requestPath, (adapter) => adapter.getRootPaths());
+  }
+
+  /**
+   * Provider serving a root-level asset path, if any
+   */
+  providerForAsset(assetPath) {
+    return this.findProvider(assetPath, (adapter) => adapter.getAssetPaths());
+  }
+
+  findProvider(requestPath, getPaths) {
+    for (const adapter of this.adapters.values()) {
+      if (getPaths(adapter).some((pattern) => matchesPath(pattern, requestPath))) {
+        return adapter.provider;
+      }
+    }
+    return undefined;
+  }
+}
+
+/**
+ * Import the adapter modules a configuration names, so its adapters can be created
+ */
+export async function loadAdapterModules(config) {
+  for (const providerConfig of Object.values(config.providers)) {
+    const spec = providerConfig.adapter;
+    if (!spec || BUILTIN_ADAPTERS[spec]) continue;
+
+    const resolved = resolveModule(spec);
+    if (loadedModules.has(resolved)) continue;
+
+    let module;
+    try {
+      module = await import(resolved);
+    } catch (error) {
+      throw Object.assign(new Error(`Cannot load provider adapter ${spec}: ${error.message}`), { errors: [error.message] });
+    }
+    loadedModules.set(resolved, module.default);
+  }
+}
+
+/**
+ * Create the adapters of a configuration whose adapter modules are loaded (see loadAdapterModules).
+ * Providers without an `adapter` use the built-in adapter of the same name, or the generic one.
+ * @throws {Error} With `errors` listing every adapter problem
+ */
+export function createProviderAdapters(config) {
+  const adapters = new Map();
+  const errors = [];
+  const rootPaths = new Map();
+
+  for (const [provider, providerConfig] of Object.entries(config.providers)) {
+    const spec = providerConfig.adapter || (BUILTIN_ADAPTERS[provider] ? provider : 'generic');
+    const Adapter = BUILTIN_ADAPTERS[spec] || loadedModules.get(resolveModule(spec));
+
+    if (!(Adapter?.prototype instanceof ProviderAdapter) && Adapter !== ProviderAdapter) {
+      errors.push(`providers.${provider}.adapter: ${spec} does not default-export a ProviderAdapter subclass`);
+      continue;
+    }
+
+    const adapter = new Adapter(provider, providerConfig, config);
+    errors.push(...adapter.validate().map((problem) => `providers.${provider}.${problem}`));
+
+    // Root-level paths are shared by every provider, so two of them cannot claim the same one
+    for (const rootPath of adapter.getRootPaths()) {
+      if (rootPaths.has(rootPath)) {
+        errors.push(`providers.${provider}: ${rootPath} is already served by provider ${rootPaths.get(rootPath)}`);
+      }
+      rootPaths.set(rootPath, provider);
+    }
+
+    adapters.set(provider, adapter);
+  }
+
+  if (errors.length) {
+    throw Object.assign(new Error(`Invalid provider adapters:\n  - ${errors.join('\n  - ')}`), { errors });
+  }
+
+  return new ProviderAdapters(adapters);
+}
+
+/**
+ * Module specifier for an adapter: paths are relative to the working directory, anything else is a package
+ */
+function resolveModule(spec) {
+  return spec.startsWith('.') || path.isAbsolute(spec)
+    ? pathToFileURL(path.resolve(process.cwd(), spec)).href
+    : spec;
+}
+
+/**
+ * Match an Express path where a trailing * stands for any suffix
+ */
+function matchesPath(pattern, requestPath) {
+  return pattern.endsWith('*') ? requestPath.startsWith(pattern.slice(0, -1)) : requestPath === pattern;
+}
+
+export { ProviderAdapter, SportradarAdapter };
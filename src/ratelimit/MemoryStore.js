@@ -0,0 +1,50 @@
+/**
+ * In-process fixed-window counters for the rate limiter
+ */
+export class MemoryStore {
+  constructor(options = {}) {
+    this.windows = new Map();
+
+    this.sweepTimer = setInterval(() => this.prune(), options.checkPeriod || 60000);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Count a request against a key's current window
+   * @returns {Promise<{ count: number, resetAt: number }>}
+   */
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let window = this.windows.get(key);
+
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, window);
+    }
+
+    window.count++;
+    return { count: window.count, resetAt: window.resetAt };
+  }
+
+  async reset(key) {
+    this.windows.delete(key);
+  }
+
+  async getStats() {
+    return { backend: 'memory', keys: this.windows.size };
+  }
+
+  async close() {
+    clearInterval(this.sweepTimer);
+  }
+
+  prune() {
+    const now = Date.now();
+
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) {
+        this.windows.delete(key);
+      }
+    }
+  }
+}
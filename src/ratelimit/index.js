@@ -0,0 +1,28 @@
+import { MemoryStore } from './MemoryStore.js';
+
+/**
+ * Rate limit stores
+ *
+ * Every store implements the same async interface, so counters can move to a
+ * store shared between instances without touching the limiter:
+ *   increment(key, windowMs) -> { count, resetAt }
+ *   reset(key)
+ *   getStats() -> { backend, keys }
+ *   close()
+ */
+
+/**
+ * Create the rate limit store selected by `security.rateLimit.backend`
+ */
+export function createRateLimitStore(rateLimitConfig = {}) {
+  const backend = rateLimitConfig.backend || 'memory';
+
+  switch (backend) {
+    case 'memory':
+      return new MemoryStore();
+    default:
+      throw new Error(`Unknown rate limit backend '${backend}'`);
+  }
+}
+
+export { MemoryStore };
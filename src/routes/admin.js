@@ -0,0 +1,241 @@
+import { createHash, timingSafeEqual } from 'crypto';
+import express from 'express';
+import { applyRewriteRules } from '../services/rewrite.js';
+import { logger } from '../utils/logger.js';
+import { parseMatchId } from '../utils/matchId.js';
+import { rewriteContext } from './proxy.js';
+
+const FILTER_FIELDS = ['tenant', 'provider', 'widgetType', 'assetPath', 'key', 'prefix', 'glob'];
+
+/**
+ * Create admin router for cache inspection, purging and warming, rewrite dry-runs and config reloads.
+ * Every request needs a token from `admin.tokens` (or ADMIN_TOKEN / ADMIN_TOKENS),
+ * sent as `Authorization: Bearer <token>` or `X-Admin-Token`.
+ */
+export function createAdminRouter(config, proxyService, tenants, configManager) {
+  const router = express.Router();
+  const tokens = (config.admin?.tokens || [])
+    .filter(({ token }) => token)
+    .map(({ name, token }) => ({ name, digest: digest(token) }));
+
+  if (!tokens.length) {
+    logger.warn('Admin API disabled: no admin tokens configured');
+  }
+
+  router.use((req, res, next) => {
+    const presented = req.get('X-Admin-Token') || req.get('Authorization')?.replace(/^Bearer\s+/i, '');
+    const match = presented && tokens.find(({ digest: expected }) => timingSafeEqual(expected, digest(presented)));
+
+    if (!match) {
+      logger.warn('Admin request rejected', { method: req.method, path: req.path, ip: req.ip });
+      res.status(tokens.length ? 401 : 403).json({
+        error: tokens.length ? 'Unauthorized' : 'Forbidden',
+        message: tokens.length ? 'A valid admin token is required' : 'Admin API is disabled'
+      });
+      return;
+    }
+
+    res.locals.actor = match.name;
+    res.set('Cache-Control', 'no-store');
+    next();
+  });
+
+  router.use(express.json({ limit: '16kb' }));
+
+  // Cache statistics
+  router.get('/cache/stats', async (req, res) => {
+    try {
+      res.json(await proxyService.getCacheStats());
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // List cache entries: /admin/cache?tenant=&provider=&widgetType=&assetPath=&key=&prefix=&glob=&limit=
+  router.get('/cache', async (req, res) => {
+    try {
+      const matches = proxyService.cacheKeyMatcher(pickFilter(req.query));
+      const entries = await proxyService.listCacheEntries(matches);
+      const limit = Math.min(parseInt(req.query.limit, 10) || 500, 5000);
+
+      entries.sort((a, b) => a.key.localeCompare(b.key));
+      res.json({ count: entries.length, entries: entries.slice(0, limit) });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Purge entries matching the JSON body's filters ({ "glob": "*" } purges everything)
+  router.post('/cache/purge', async (req, res) => {
+    const filter = pickFilter(req.body || {});
+
+    try {
+      if (!Object.keys(filter).length) {
+        throw Object.assign(new Error(`At least one filter is required: ${FILTER_FIELDS.join(', ')}`), { status: 400 });
+      }
+
+      const purged = await proxyService.purgeCache(proxyService.cacheKeyMatcher(filter));
+      audit(req, res, 'purge', { filter, purged: purged.length });
+
+      res.json({ purged: purged.length, keys: purged });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Warm (or with refresh: true, re-fetch) the cache for a proxy URL of a tenant (default: the default tenant),
+  // e.g. { "url": "/proxy/sportradar/match.lmtPlus?matchId=1", "tenant": "kakbet" } or { "url": "/assets/js/chunk.js" }
+  router.post('/cache/warm', async (req, res) => {
+    const { url, refresh = false, tenant: tenantName } = req.body || {};
+
+    try {
+      const tenant = resolveTenant(tenants, tenantName);
+      const service = proxyService.forTenant(tenant);
+      const target = resolveWarmTarget(url, tenant.adapters);
+
+      if (refresh) {
+        await service.purgeCache((key) => key === target.cacheKey(service));
+      }
+
+      const result = target.type === 'widget'
+        ? await service.proxyWidget(target.provider, target.widgetType, target.query)
+        : await service.proxyAsset(target.provider, target.assetPath);
+
+      audit(req, res, 'warm', { url, tenant: tenant.name, refresh, cacheStatus: result.cacheStatus });
+
+      res.json({
+        url,
+        tenant: tenant.name,
+        cacheKey: target.cacheKey(service),
+        status: result.status,
+        cacheStatus: result.cacheStatus,
+        size: Buffer.byteLength(result.data ?? '')
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Rewrite dry-run of a tenant's widget loader (default: the default tenant): fetches the
+  // loader through the cache and reports the public base URL and each rule's hit count.
+  // /admin/rewrites/{provider}/{widget-type}?tenant=kakbet
+  router.get('/rewrites/:provider/:widgetType', async (req, res) => {
+    const { provider, widgetType } = req.params;
+
+    try {
+      const tenant = resolveTenant(tenants, req.query.tenant);
+      const service = proxyService.forTenant(tenant);
+      const result = await service.proxyWidget(provider, widgetType, {}, {
+        userAgent: req.get('User-Agent')
+      });
+
+      // As the tenant's routes see it: under its path prefix, on the host this request came to
+      req.tenantPrefix = tenant.pathPrefix;
+      const context = rewriteContext(tenant.config, req, provider);
+      const rules = service.getAdapter(provider).getRewriteRules(widgetType);
+      const { output, hits } = applyRewriteRules(result.data, rules, context);
+
+      res.json({
+        tenant: tenant.name,
+        provider,
+        widgetType,
+        publicBaseUrl: context.publicBaseUrl,
+        upstreamStatus: result.status,
+        size: { original: String(result.data).length, rewritten: output.length },
+        rules: hits
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Active configuration version
+  router.get('/config', (req, res) => {
+    res.json(configManager.getStatus());
+  });
+
+  // Reload config/providers.yaml; an invalid file is rejected with the list of problems
+  router.post('/config/reload', async (req, res) => {
+    try {
+      const result = await configManager.reload(`admin:${res.locals.actor}`);
+      audit(req, res, 'config-reload', result);
+
+      res.status(result.errors ? 422 : 200).json(result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
+
+/**
+ * Map a proxy URL to the widget or asset it caches. Match IDs are normalized as on
+ * the widget route, so the warmed entry is the one widget requests read.
+ */
+function resolveWarmTarget(url, adapters) {
+  if (typeof url !== 'string' || !url) {
+    throw Object.assign(new Error('A url is required'), { status: 400 });
+  }
+
+  const { pathname, searchParams } = new URL(url, 'http://localhost');
+  const proxied = pathname.match(/^\/proxy\/([^/]+)\/([^/]+)(\/.+)?$/);
+
+  if (proxied && !proxied[3]) {
+    const [, provider, widgetType] = proxied;
+    const query = Object.fromEntries(searchParams);
+    if (query.matchId !== undefined) {
+      query.matchId = parseMatchId(query.matchId).value;
+    }
+    return { type: 'widget', provider, widgetType, query, cacheKey: (service) => service.widgetCacheKey(provider, widgetType, query) };
+  }
+
+  if (proxied) {
+    const [, provider, assetType, rest] = proxied;
+    const assetPath = `/${assetType}${rest}`;
+    return { type: 'asset', provider, assetPath, cacheKey: (service) => service.assetCacheKey(provider, assetPath) };
+  }
+
+  const provider = adapters.providerForAsset(pathname);
+  if (provider) {
+    return {
+      type: 'asset',
+      provider,
+      assetPath: pathname,
+      cacheKey: (service) => service.assetCacheKey(provider, pathname)
+    };
+  }
+
+  throw Object.assign(new Error(`Cannot warm ${url}: expected a /proxy/{provider}/... or root-level asset URL`), { status: 400 });
+}
+
+/**
+ * A tenant by name, or the default tenant when no name is given
+ * @throws {Error} Status 400 for unknown tenants
+ */
+function resolveTenant(tenants, name) {
+  const tenant = name ? tenants.get(name) : tenants.getDefault();
+  if (!tenant) {
+    throw Object.assign(new Error(name ? `Unknown tenant '${name}'` : 'A tenant is required: no default tenant is configured'), { status: 400 });
+  }
+  return tenant;
+}
+
+function pickFilter(source) {
+  return Object.fromEntries(
+    FILTER_FIELDS.filter((field) => typeof source[field] === 'string' && source[field]).map((field) => [field, source[field]])
+  );
+}
+
+function audit(req, res, action, details) {
+  logger.info(`Admin audit: ${action}`, { actor: res.locals.actor, ip: req.ip, ...details });
+}
+
+function sendError(res, error) {
+  logger.error('Admin request failed:', { error: error.message });
+  res.status(error.status || 500).json({ error: 'Admin Error', message: error.message });
+}
+
+function digest(value) {
+  return createHash('sha256').update(String(value)).digest();
+}
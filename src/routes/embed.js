@@ -0,0 +1,124 @@
+import express from 'express';
+import { MatchLookup } from '../services/MatchLookup.js';
+import { ThemeService } from '../services/ThemeService.js';
+import { escapeHtml, scriptValue } from '../utils/html.js';
+import { logger } from '../utils/logger.js';
+import { parseWidgetOptions, toQueryParams } from '../utils/widgetOptions.js';
+import { bridgeScriptTag } from './loader.js';
+
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(?:[_-][a-z]{2,4})?$/i;
+const THEME_PATTERN = /^[\w-]{1,64}(?::[\w-]{1,64})?$/;
+
+/**
+ * Create router for embeddable widget pages: /embed/{provider}/{widget-type}?matchId=...&preset=...&layout=...
+ * renders a minimal page with the SIR bootstrap snippet (widget/script.js) pointed at
+ * the tenant's /proxy route, and `addWidget` options from the widget type's defaults,
+ * the named `preset` and validated query parameters, in that order.
+ * `theme` names a palette from `themes` (linked from /themes), a SportRadar theme, or
+ * false for widget/theme.css. Frames are allowed for the tenant's allowed origins, which
+ * also receive the page's size through the resize bridge (widget/bridge.js).
+ */
+export function createEmbedRouter(tenant, matchLookup = new MatchLookup(), themes = new ThemeService(tenant.config)) {
+  const router = express.Router();
+  const allowedOrigins = tenant.config.security?.allowedOrigins || [];
+  const frameAncestors = getFrameAncestors(allowedOrigins);
+
+  const findWidget = (req, res, next) => {
+    const adapter = tenant.adapters.get(req.params.provider);
+    if (!adapter?.providerConfig.widgetTypes?.[req.params.widgetType]) {
+      res.status(404).json({
+        error: 'Widget Not Found',
+        message: `Unknown widget ${req.params.provider}/${req.params.widgetType}`
+      });
+      return;
+    }
+
+    req.adapter = adapter;
+    next();
+  };
+
+  router.get('/:provider/:widgetType', findWidget, matchLookup.middleware((req) => req.adapter), (req, res) => {
+    const { provider, widgetType } = req.params;
+    const { matchId, language = tenant.language || 'en', theme = tenant.theme || 'false', preset, ...optionParams } = req.query;
+    const presets = req.adapter.getWidgetPresets(widgetType);
+    const presetValues = typeof preset === 'string' && Object.hasOwn(presets, preset) ? presets[preset] : null;
+
+    const errors = [];
+    if (typeof language !== 'string' || !LANGUAGE_PATTERN.test(language)) errors.push('language: must be a language code like en or pt-br');
+    if (typeof theme !== 'string' || !THEME_PATTERN.test(theme)) errors.push('theme: must be false or a theme name');
+    if (preset !== undefined && !presetValues) {
+      errors.push(`preset: must be one of ${Object.keys(presets).join(', ') || '(none defined)'}`);
+    }
+
+    let options;
+    try {
+      options = parseWidgetOptions({ ...toQueryParams(presetValues || {}), ...optionParams }, req.adapter.getWidgetOptions(widgetType));
+    } catch (error) {
+      errors.push(...(error.errors || [error.message]));
+    }
+
+    if (errors.length) {
+      logger.warn('Embed request rejected', { provider, widgetType, errors });
+      res.status(400).json({ error: 'Bad Request', message: `Invalid embed parameters: ${errors.join('; ')}`, errors });
+      return;
+    }
+
+    if (req.match) {
+      options.matchId = req.match.value;
+    }
+
+    const prefix = req.tenantPrefix || '';
+    const palette = themes.resolve(theme);
+    const customTheme = Boolean(palette) || theme === 'false';
+
+    const html = renderEmbedPage({
+      loaderUrl: `${prefix}/proxy/${encodeURIComponent(provider)}/${encodeURIComponent(widgetType)}`,
+      themeUrl: palette ? themes.getUrl(palette, prefix) : customTheme ? `${prefix}/loader/theme.css` : null,
+      loaderOptions: { theme: customTheme ? false : theme, language: language.toLowerCase() },
+      bridgeTag: bridgeScriptTag({ prefix, matchId: options.matchId, origins: allowedOrigins }),
+      widgetType,
+      options
+    });
+
+    // Framed by the tenant's sites instead of same-origin only
+    res.removeHeader('X-Frame-Options');
+    res.set('Content-Security-Policy', `frame-ancestors ${frameAncestors}`);
+    res.set('Cache-Control', 'no-cache');
+    res.type('text/html').send(html);
+  });
+
+  return router;
+}
+
+/**
+ * Minimal widget page; every interpolated value is escaped for its context
+ */
+function renderEmbedPage({ loaderUrl, themeUrl, loaderOptions, bridgeTag, widgetType, options }) {
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(loaderOptions.language)}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(widgetType)}</title>
+${themeUrl ? `<link rel="stylesheet" href="${escapeHtml(themeUrl)}">\n` : ''}<style>html, body { margin: 0; padding: 0; background: transparent; }</style>
+</head>
+<body>
+<div class="sr-widget sr-widget-1"></div>
+${bridgeTag}
+<script>
+(function(a,b,c,d,e,f,g,h,i){a[e]||(i=a[e]=function(){(a[e].q=a[e].q||[]).push(arguments)},i.l=1*new Date,i.o=f,
+g=b.createElement(c),h=b.getElementsByTagName(c)[0],g.async=1,g.src=d,g.setAttribute("n",e),h.parentNode.insertBefore(g,h)
+)})(window,document,"script",${scriptValue(loaderUrl)},"SIR",${scriptValue(loaderOptions)});
+SIR("addWidget",".sr-widget-1",${scriptValue(widgetType)},${scriptValue(options)});
+</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * CSP frame-ancestors sources for allowed origins (our own origin is always allowed)
+ */
+function getFrameAncestors(allowedOrigins = []) {
+  return allowedOrigins.includes('*') ? '*' : ["'self'", ...allowedOrigins].join(' ');
+}
@@ -4,26 +4,37 @@ import { logger } from '../utils/logger.js';
 /**
  * Create health check router
  */
-export function createHealthRouter() {
+export function createHealthRouter(proxyService, streamProxy, circuitBreakers, configManager, webSocketProxy) {
   const router = express.Router();
 
-  // Basic health check
+  // Basic health check; cheap enough to probe often, so cache statistics are left to /detailed
   router.get('/', (req, res) => {
+    const unhealthyUpstreams = circuitBreakers ? circuitBreakers.getUnhealthy() : [];
+
+    // Still 200: the proxy itself is fine and serves stale content while an upstream is down
     res.json({
-      status: 'healthy',
+      status: unhealthyUpstreams.length ? 'degraded' : 'healthy',
+      unhealthyUpstreams,
       timestamp: new Date().toISOString(),
       uptime: process.uptime(),
       memory: process.memoryUsage(),
+      cache: proxyService ? proxyService.cacheBackend : 'disabled',
       version: '1.0.0'
     });
   });
 
   // Detailed health check
-  router.get('/detailed', (req, res) => {
+  router.get('/detailed', async (req, res) => {
     const memUsage = process.memoryUsage();
-    
+    const cacheStats = proxyService
+      ? await proxyService.getCacheStats().catch((error) => ({ error: error.message }))
+      : null;
+    const passthrough = streamProxy ? await streamProxy.getStats().catch((error) => ({ error: error.message })) : null;
+    const upstreams = circuitBreakers ? circuitBreakers.getStats() : null;
+    const degraded = Object.values(upstreams || {}).some((breaker) => breaker.state !== 'closed');
+
     res.json({
-      status: 'healthy',
+      status: degraded ? 'degraded' : 'healthy',
       timestamp: new Date().toISOString(),
       uptime: process.uptime(),
       memory: {
@@ -38,6 +49,11 @@ export function createHealthRouter() {
         arch: process.arch,
         nodeVersion: process.version
       },
+      cache: cacheStats,
+      passthrough,
+      websockets: webSocketProxy ? webSocketProxy.getStats() : null,
+      upstreams,
+      config: configManager ? configManager.getStatus() : null,
       environment: process.env.NODE_ENV || 'development'
     });
   });
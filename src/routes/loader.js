@@ -0,0 +1,116 @@
+import express from 'express';
+import fs from 'fs/promises';
+import path from 'path';
+import { MatchLookup } from '../services/MatchLookup.js';
+import { ThemeService } from '../services/ThemeService.js';
+import { escapeHtml, scriptValue } from '../utils/html.js';
+import { logger } from '../utils/logger.js';
+
+const WIDGET_DIR = path.join(process.cwd(), 'widget');
+
+// Match shown when the preview is opened without a matchId
+const DEFAULT_PREVIEW_MATCH = '61939220';
+
+// Widget type the preview page mounts, read from its SIR("addWidget", selector, type, ...) call
+const ADD_WIDGET_PATTERN = /SIR\(\s*"addWidget"\s*,\s*"[^"]*"\s*,\s*"([^"]+)"/;
+
+// Scripts of the iframe resize bridge: bridge.js runs in widget frames, host.js on embedding pages
+const BRIDGE_SCRIPTS = ['/bridge.js', '/host.js'];
+
+/**
+ * Create router for the loader preview page, its theme and the iframe resize bridge, rendered for a tenant
+ */
+export function createLoaderRouter(tenant = {}, matchLookup = new MatchLookup(), themes = new ThemeService(tenant.config || {})) {
+  const router = express.Router();
+  const checkMatch = matchLookup.middleware(() => previewAdapter(tenant), { fallback: DEFAULT_PREVIEW_MATCH });
+  const maxAge = tenant.config?.cache?.defaultTtl ?? 300;
+
+  // Custom SIR theme used by the preview page
+  router.get('/theme.css', async (req, res, next) => {
+    try {
+      const css = await fs.readFile(path.join(WIDGET_DIR, 'theme.css'));
+      res.type('text/css').send(css);
+    } catch (error) {
+      logger.error('Failed to read theme.css', { error: error.message });
+      next();
+    }
+  });
+
+  // Resize bridge scripts, loaded cross-origin by embedding pages
+  router.get(BRIDGE_SCRIPTS, async (req, res, next) => {
+    try {
+      const source = await fs.readFile(path.join(WIDGET_DIR, path.basename(req.path)));
+      res.set('Cache-Control', `public, max-age=${maxAge}`);
+      res.type('application/javascript').send(source);
+    } catch (error) {
+      logger.error(`Failed to read ${req.path}`, { error: error.message });
+      next();
+    }
+  });
+
+  // Preview page: /loader/preview.html?matchId=123 (or sr:match:123, sr:stage:123)&theme=kakbet:dark
+  router.get(['/preview.html', '/preview'], checkMatch, async (req, res, next) => {
+    const theme = themes.resolve(req.query.theme ?? tenant.theme);
+    if (req.query.theme !== undefined && !theme) {
+      res.status(400).json({ error: 'Bad Request', message: 'Unknown theme: expected a palette name from themes, optionally with :variant' });
+      return;
+    }
+
+    try {
+      let html = await fs.readFile(path.join(WIDGET_DIR, 'preview.html'), 'utf8');
+      const matchId = req.match.value;
+      const adapter = previewAdapter(tenant);
+      const widgetType = html.match(ADD_WIDGET_PATTERN)?.[1];
+      if (!adapter || !adapter.resolveWidgetUrl(widgetType)) {
+        res.status(404).json({ error: 'Not Found', message: `No SportRadar provider serves the preview widget ${widgetType}` });
+        return;
+      }
+
+      // Ensure the widget loader script goes through our proxy (and the tenant's prefix) for proper referer/cors handling
+      const loaderUrl = `${req.tenantPrefix || ''}/proxy/${encodeURIComponent(adapter.provider)}/${encodeURIComponent(widgetType)}`
+        + `?matchId=${encodeURIComponent(matchId)}`;
+      html = html.replace(/"https:\/\/widgets\.sir\.sportradar\.com\/[^/"]+\/widgetloader"/g, () => scriptValue(loaderUrl));
+      if (tenant.language) {
+        html = html.replace(/language\s*:\s*"[^"]*"/, () => `language: ${scriptValue(tenant.language)}`);
+      }
+      // Also override the matchId used inside the inline SIR addWidget config: a number like
+      // the vendor snippet's for plain IDs, a string for stage URNs
+      html = html.replace(/matchId\s*:\s*\d+/g, () => `matchId:${/^\d+$/.test(matchId) ? matchId : scriptValue(matchId)}`);
+      // A named palette replaces the page's inline formula solid stylesheet
+      if (theme) {
+        html = html
+          .replace(/\/\*\s*Using formula solid[\s\S]*?(?=<\/style>)/, '')
+          .replace('</head>', () => `<link rel="stylesheet" href="${escapeHtml(themes.getUrl(theme, req.tenantPrefix || ''))}">\n</head>`);
+      }
+      // Before the SIR bootstrap, so a failing loader script is reported to the parent
+      html = html.replace('<body>', () => `<body>\n${bridgeScriptTag({
+        prefix: req.tenantPrefix || '',
+        matchId,
+        origins: tenant.config?.security?.allowedOrigins
+      })}`);
+
+      res.type('text/html').send(html);
+    } catch (error) {
+      logger.error('Failed to read preview.html', { error: error.message });
+      next();
+    }
+  });
+
+  return router;
+}
+
+/**
+ * Provider the preview page loads its widget through: the tenant's first provider with
+ * the SportRadar adapter, whatever its key, since the page bootstraps the SIR loader
+ */
+function previewAdapter(tenant) {
+  return [...(tenant.adapters?.values() || [])].find((adapter) => adapter.type === 'sportradar');
+}
+
+/**
+ * Script tag including the resize bridge in a widget page (see widget/bridge.js)
+ */
+export function bridgeScriptTag({ prefix = '', matchId, origins = [] }) {
+  const matchAttribute = matchId ? ` data-match-id="${escapeHtml(matchId)}"` : '';
+  return `<script src="${escapeHtml(`${prefix}/loader/bridge.js`)}"${matchAttribute} data-origins="${escapeHtml(origins.join(' '))}"></script>`;
+}
@@ -0,0 +1,23 @@
+import express from 'express';
+import { logger } from '../utils/logger.js';
+import { register } from '../utils/metrics.js';
+
+/**
+ * Create Prometheus metrics router
+ */
+export function createMetricsRouter() {
+  const router = express.Router();
+
+  router.get('/', async (req, res) => {
+    try {
+      res.set('Content-Type', register.contentType);
+      res.set('Cache-Control', 'no-store');
+      res.send(await register.metrics());
+    } catch (error) {
+      logger.error('Failed to collect metrics:', { error: error.message });
+      res.status(500).json({ error: 'Metrics Error', message: error.message });
+    }
+  });
+
+  return router;
+}
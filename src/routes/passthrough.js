@@ -0,0 +1,95 @@
+import express from 'express';
+import { RateLimiter } from '../services/RateLimiter.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Create router for upstream paths widget loaders request directly from our origin
+ * (e.g. SportRadar licensing, translations, feed APIs and root-relative assets),
+ * as declared by each provider's adapter
+ */
+export function createPassthroughRouter(config, proxyService, streamProxy, adapters, rateLimiter = new RateLimiter(config)) {
+  const router = express.Router();
+
+  for (const adapter of adapters.values()) {
+    mountProvider(router, adapter, proxyService, streamProxy, rateLimiter);
+  }
+
+  return router;
+}
+
+/**
+ * Mount one provider's pass-through routes, feeds and direct asset paths
+ */
+function mountProvider(router, adapter, proxyService, streamProxy, rateLimiter) {
+  const { provider, providerConfig } = adapter;
+
+  // Provider paths streamed as-is, e.g. /{widgetId}/licensing, /translations/*
+  for (const route of adapter.getPassthroughRoutes()) {
+    router[route.method](route.path, rateLimiter.middleware(route.bucket), (req, res) => {
+      const targetUrl = `${route.upstream}${req.url}`;
+      logger.debug('Pass-through request', { provider, path: req.path, targetUrl });
+      streamProxy.proxyRequest(targetUrl, req, res, { provider, providerConfig });
+    });
+  }
+
+  // Feed APIs: /api/{feed}/* (e.g. /api/lt-fn/*, /api/ws-fn/*), micro-cached per full URL
+  // unless long-lived (long polls, event streams); WebSocket upgrades are handled by routes/upgrade.js
+  for (const [feed, feedBaseUrl] of Object.entries(adapter.getFeeds())) {
+    router.all(`/api/${feed}/*`, rateLimiter.middleware('feeds'), (req, res) => {
+      const apiPath = req.url.slice(`/api/${feed}`.length);
+      const targetUrl = `${feedBaseUrl}${apiPath}`;
+
+      if (adapter.isLongPoll(req.path) || req.get('Accept')?.includes('text/event-stream')) {
+        logger.debug('Long-lived feed request', { provider, feed, targetUrl });
+        streamProxy.proxyRequest(targetUrl, req, res, { provider, providerConfig, longLived: true });
+        return;
+      }
+
+      const policy = adapter.getFeedCachePolicy(req.path);
+      const cache = policy && { ...policy, key: `feed:${req.tenant.name}:${provider}:${targetUrl}` };
+
+      logger.debug('Feed request', { provider, feed, targetUrl });
+      streamProxy.proxyRequest(targetUrl, req, res, { provider, providerConfig, cache });
+    });
+  }
+
+  const assetPaths = adapter.getAssetPaths();
+  if (!assetPaths.length) {
+    return;
+  }
+
+  // Direct asset paths, e.g. /assets/*, /js/*, /css/* (cached and revalidated like /proxy assets)
+  router.get(assetPaths, rateLimiter.middleware('assets'), async (req, res) => {
+    try {
+      logger.debug('Direct asset request', { path: req.path });
+
+      const result = await proxyService.proxyAsset(provider, req.path, {
+        userAgent: req.get('User-Agent'),
+        referer: req.get('Referer')
+      });
+
+      res.set(result.headers);
+      res.set('X-Cache', result.cacheStatus);
+
+      if (result.contentType) {
+        res.type(result.contentType);
+      }
+
+      res.status(result.status).send(result.data);
+
+    } catch (error) {
+      logger.error(`Direct asset proxy error for ${req.path}:`, { error: error.message });
+
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+      }
+
+      res.status(error.status || 500).json({
+        error: 'Asset Proxy Error',
+        message: error.message,
+        provider,
+        path: req.path
+      });
+    }
+  });
+}
@@ -1,16 +1,32 @@
+import { createHash } from 'crypto';
 import express from 'express';
+import { MatchLookup } from '../services/MatchLookup.js';
 import { ProxyService } from '../services/ProxyService.js';
+import { RateLimiter } from '../services/RateLimiter.js';
+import { RewriteStream } from '../services/rewrite.js';
+import { createCompressStream } from '../utils/encoding.js';
 import { logger } from '../utils/logger.js';
+import { recordRewriteHits } from '../utils/metrics.js';
+import { publicBaseUrlHeaders, resolvePublicBaseUrl } from '../utils/request.js';
+import { pipeToResponse } from '../utils/stream.js';
 
 /**
  * Create proxy router with configuration
  */
-export function createProxyRouter(config) {
+export function createProxyRouter(
+  config,
+  proxyService = new ProxyService(config),
+  rateLimiter = new RateLimiter(config),
+  matchLookup = new MatchLookup()
+) {
   const router = express.Router();
-  const proxyService = new ProxyService(config);
+  const limitScripts = rateLimiter.middleware('scripts');
+  const limitAssets = rateLimiter.middleware('assets');
+  // A matchId is normalized (sr:match:123 and 123 share a cache entry) and checked before any upstream request
+  const checkMatch = matchLookup.middleware((req) => proxyService.adapters.get(req.params.provider));
 
   // Main proxy endpoint: /proxy/{provider}/{widget-type}
-  router.get('/:provider/:widgetType', async (req, res) => {
+  router.get('/:provider/:widgetType', limitScripts, checkMatch, async (req, res) => {
     const { provider, widgetType } = req.params;
     const queryParams = req.query;
 
@@ -21,26 +37,72 @@ export function createProxyRouter(config) {
         referer: req.get('Referer')
       });
 
-      const result = await proxyService.proxyWidget(provider, widgetType, queryParams, {
+      const result = await proxyService.streamWidget(provider, widgetType, queryParams, {
         userAgent: req.get('User-Agent'),
-        referer: req.get('Referer'),
-        acceptEncoding: req.get('Accept-Encoding')
+        referer: req.get('Referer')
       });
 
       // Set appropriate headers
       res.set(result.headers);
+      res.set('X-Cache', result.cacheStatus);
       
       // Set content type based on response
       if (result.contentType) {
         res.type(result.contentType);
       }
 
-      // Send response
-      res.status(result.status).send(result.data);
+      const rules = proxyService.getAdapter(provider).getRewriteRules(widgetType);
+      const context = rewriteContext(config, req, provider);
+
+      // The rewritten script changes with the upstream version, the rules and the public URL
+      const urlHeaders = publicBaseUrlHeaders(config, req);
+      if (urlHeaders.length) res.vary(urlHeaders);
+      if (result.version) {
+        res.set('ETag', widgetEtag(result.version, rules, context));
+      }
+
+      res.status(result.status);
+      if (req.fresh) {
+        result.body.destroy();
+        res.status(304).end();
+        return;
+      }
+
+      // Point feed URLs inside the loader at this proxy, rewriting as the script streams through
+      const rewriter = new RewriteStream(rules, context);
+      rewriter.on('end', () => recordRewriteHits(provider, rewriter.hits));
+      const streams = [result.body, rewriter];
+
+      if (config.server?.recompress !== false) {
+        const compressor = createCompressStream(req.get('Accept-Encoding'));
+        if (compressor) {
+          res.set('Content-Encoding', compressor.encoding);
+          streams.push(compressor.stream);
+        }
+      }
+      res.vary('Accept-Encoding');
+
+      pipeToResponse(res, streams, (error) => {
+        logger.error(`Widget stream error for ${provider}/${widgetType}:`, { error: error.message });
+
+        res.removeHeader('Content-Encoding');
+        res.set('Cache-Control', 'no-store');
+        res.type('json');
+        res.status(502).json({
+          error: 'Bad Gateway',
+          message: `Failed to decode widget script: ${error.message}`,
+          provider,
+          widgetType
+        });
+      });
 
     } catch (error) {
       logger.error(`Proxy error for ${provider}/${widgetType}:`, error);
       
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+      }
+
       res.status(error.status || 500).json({
         error: 'Proxy Error',
         message: error.message,
@@ -51,7 +113,7 @@ export function createProxyRouter(config) {
   });
 
   // Asset proxy endpoint: /proxy/{provider}/assets/{path}
-  router.get('/:provider/assets/*', async (req, res) => {
+  router.get('/:provider/assets/*', limitAssets, async (req, res) => {
     const { provider } = req.params;
     const assetPath = req.params[0]; // Everything after /assets/
 
@@ -66,6 +128,7 @@ export function createProxyRouter(config) {
 
       // Set appropriate headers
       res.set(result.headers);
+      res.set('X-Cache', result.cacheStatus);
       
       // Set content type
       if (result.contentType) {
@@ -78,6 +141,10 @@ export function createProxyRouter(config) {
     } catch (error) {
       logger.error(`Asset proxy error for ${provider}/assets/${assetPath}:`, error);
       
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+      }
+
       res.status(error.status || 500).json({
         error: 'Asset Proxy Error',
         message: error.message,
@@ -88,7 +155,7 @@ export function createProxyRouter(config) {
   });
 
   // Generic asset proxy for other paths (js, css, etc.)
-  router.get('/:provider/:assetType/*', async (req, res) => {
+  router.get('/:provider/:assetType/*', limitAssets, async (req, res) => {
     const { provider, assetType } = req.params;
     const assetPath = req.params[0];
     const fullPath = `/${assetType}/${assetPath}`;
@@ -104,6 +171,7 @@ export function createProxyRouter(config) {
 
       // Set headers
       res.set(result.headers);
+      res.set('X-Cache', result.cacheStatus);
       
       if (result.contentType) {
         res.type(result.contentType);
@@ -114,6 +182,10 @@ export function createProxyRouter(config) {
     } catch (error) {
       logger.error(`Generic asset proxy error for ${provider}${fullPath}:`, error);
       
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+      }
+
       res.status(error.status || 500).json({
         error: 'Asset Proxy Error',
         message: error.message,
@@ -126,9 +198,9 @@ export function createProxyRouter(config) {
   // Provider info endpoint
   router.get('/:provider', (req, res) => {
     const { provider } = req.params;
-    const providerConfig = config.providers[provider];
+    const adapter = proxyService.adapters.get(provider);
 
-    if (!providerConfig) {
+    if (!adapter) {
       return res.status(404).json({
         error: 'Provider Not Found',
         message: `Provider '${provider}' is not configured`,
@@ -136,14 +208,42 @@ export function createProxyRouter(config) {
       });
     }
 
+    const { providerConfig } = adapter;
     res.json({
       provider,
       name: providerConfig.name,
+      adapter: adapter.type,
       baseUrl: providerConfig.baseUrl,
       widgetTypes: Object.keys(providerConfig.widgetTypes),
+      // addWidget options and presets per widget type, for embed URLs and SIR calls
+      widgets: Object.fromEntries(Object.entries(providerConfig.widgetTypes).map(([widgetType, { description }]) => [
+        widgetType,
+        {
+          description,
+          options: adapter.getWidgetOptions(widgetType),
+          presets: adapter.getWidgetPresets(widgetType)
+        }
+      ])),
+      feeds: Object.keys(adapter.getFeeds()),
       cache: providerConfig.cache
     });
   });
 
   return router;
 }
+
+/**
+ * Placeholder values for rewrite rules; feed sockets use the ws(s) form of the public base URL
+ */
+export function rewriteContext(config, req, provider) {
+  const publicBaseUrl = resolvePublicBaseUrl(config, req);
+  return { publicBaseUrl, publicWsBaseUrl: publicBaseUrl.replace(/^http/, 'ws'), provider };
+}
+
+/**
+ * Weak ETag for a rewritten widget script
+ */
+function widgetEtag(version, rules, context) {
+  const hash = createHash('sha1').update(JSON.stringify([version, rules, context])).digest('base64url');
+  return `W/"${hash}"`;
+}
@@ -0,0 +1,73 @@
+import { createHash } from 'crypto';
+import express from 'express';
+import fs from 'fs/promises';
+import path from 'path';
+import { RateLimiter } from '../services/RateLimiter.js';
+import { ThemeService } from '../services/ThemeService.js';
+import { scriptValue } from '../utils/html.js';
+import { logger } from '../utils/logger.js';
+
+const SDK_PATH = path.join(process.cwd(), 'widget', 'sdk.js');
+const CONFIG_PLACEHOLDER = '__WIDGET_PROXY_CONFIG__';
+
+/**
+ * Create router for the JavaScript SDK (widget/sdk.js): /sdk/widgets.js, rendered with the
+ * tenant's default language and theme, the palette names and, for every SIR provider,
+ * the widget types' option defaults and presets
+ */
+export function createSdkRouter(tenant, themes = new ThemeService(tenant.config), rateLimiter = new RateLimiter(tenant.config)) {
+  const router = express.Router();
+  const maxAge = tenant.config.cache?.defaultTtl ?? 300;
+  let rendering;
+
+  const render = () => {
+    if (!rendering) {
+      rendering = fs.readFile(SDK_PATH, 'utf8').then((source) => {
+        const js = source.replace(CONFIG_PLACEHOLDER, () => scriptValue(getSdkConfig(tenant, themes)));
+        return { js, etag: `"${createHash('sha1').update(js).digest('base64url')}"` };
+      });
+      rendering.catch(() => { rendering = undefined; });
+    }
+    return rendering;
+  };
+
+  router.get('/widgets.js', rateLimiter.middleware('assets'), async (req, res) => {
+    try {
+      const { js, etag } = await render();
+
+      res.set('ETag', etag);
+      res.set('Cache-Control', `public, max-age=${maxAge}`);
+      res.type('application/javascript').send(js);
+    } catch (error) {
+      logger.error('Failed to render the SDK', { tenant: tenant.name, error: error.message });
+      res.status(500).json({ error: 'SDK Error', message: error.message });
+    }
+  });
+
+  return router;
+}
+
+/**
+ * Settings the SDK needs in the browser; option specs are reduced to their defaults
+ */
+function getSdkConfig(tenant, themes) {
+  const providers = {};
+
+  for (const adapter of tenant.adapters.values()) {
+    if (adapter.type !== 'sportradar') continue;
+
+    providers[adapter.provider] = Object.fromEntries(Object.keys(adapter.providerConfig.widgetTypes).map((widgetType) => {
+      const defaults = Object.entries(adapter.getWidgetOptions(widgetType))
+        .filter(([, option]) => option.default !== undefined)
+        .map(([name, option]) => [name, option.default]);
+      return [widgetType, { defaults: Object.fromEntries(defaults), presets: adapter.getWidgetPresets(widgetType) }];
+    }));
+  }
+
+  return {
+    language: tenant.language || 'en',
+    theme: tenant.theme || 'false',
+    palettes: themes.list(),
+    providers
+  };
+}
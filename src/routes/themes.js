@@ -0,0 +1,37 @@
+import express from 'express';
+import { RateLimiter } from '../services/RateLimiter.js';
+import { ThemeService } from '../services/ThemeService.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Create router for generated SIR stylesheets: /themes/{name}.css and /themes/{name}.css?variant=dark
+ */
+export function createThemesRouter(config, themes = new ThemeService(config), rateLimiter = new RateLimiter(config)) {
+  const router = express.Router();
+  const maxAge = config.cache?.defaultTtl ?? 300;
+
+  router.get('/:name.css', rateLimiter.middleware('assets'), async (req, res) => {
+    const { name } = req.params;
+    const { variant } = req.query;
+    const theme = themes.resolve(typeof variant === 'string' ? `${name}:${variant}` : name);
+
+    if (!theme || (variant !== undefined && typeof variant !== 'string')) {
+      res.status(404).json({ error: 'Theme Not Found', message: `Unknown theme ${name}${variant ? `:${variant}` : ''}` });
+      return;
+    }
+
+    try {
+      const { css, etag } = await themes.render(theme);
+
+      // res.send answers If-None-Match with a 304 for this ETag
+      res.set('ETag', etag);
+      res.set('Cache-Control', `public, max-age=${maxAge}`);
+      res.type('text/css').send(css);
+    } catch (error) {
+      logger.error(`Failed to render theme ${name}`, { variant, error: error.message });
+      res.status(500).json({ error: 'Theme Error', message: error.message });
+    }
+  });
+
+  return router;
+}
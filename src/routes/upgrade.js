@@ -0,0 +1,65 @@
+import { CorsPolicy } from '../services/CorsPolicy.js';
+import { rejectUpgrade } from '../services/WebSocketProxy.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Create the HTTP server's upgrade handler for one configuration version:
+ * WebSocket upgrades under /api/{feed}/* (e.g. /api/lt-fn/*, /api/ws-fn/*) are
+ * tunneled to the feed's host for the request's tenant, anything else is refused.
+ * The request must carry Express request helpers (req.get, req.path, req.ip) and `req.query`.
+ * @returns {(req: http.IncomingMessage, socket: net.Socket, head: Buffer) => void}
+ */
+export function createUpgradeHandler(config, tenants, webSocketProxy) {
+  const corsPolicies = new Map([...tenants.values()].map((tenant) => [tenant.name, new CorsPolicy(tenant.config)]));
+
+  return (req, socket, head) => {
+    if (config.streaming?.websocket === false || req.headers.upgrade?.toLowerCase() !== 'websocket') {
+      rejectUpgrade(socket, 404, 'Upgrades are not served here');
+      return;
+    }
+
+    const { tenant, prefix, error } = tenants.resolve(req);
+    if (!tenant) {
+      rejectUpgrade(socket, 404, error);
+      return;
+    }
+
+    const url = prefix ? req.url.slice(prefix.length) : req.url;
+    const target = resolveFeedTarget(url, tenant.adapters);
+    if (!target) {
+      rejectUpgrade(socket, 404, `No feed is served at ${url.split('?')[0]}`);
+      return;
+    }
+
+    // Browsers send the page's Origin with every handshake; tunnels are only opened for allowed sites
+    const origin = req.get('Origin');
+    const corsPolicy = corsPolicies.get(tenant.name);
+    if (origin && !corsPolicy.isAllowed(origin, corsPolicy.getPolicy(target.adapter.provider), req)) {
+      logger.warn('WebSocket origin rejected', { origin, path: req.path, tenant: tenant.name });
+      rejectUpgrade(socket, 403, `Origin ${origin} is not allowed`);
+      return;
+    }
+
+    logger.debug('WebSocket upgrade', { tenant: tenant.name, provider: target.adapter.provider, targetUrl: target.targetUrl });
+    webSocketProxy.tunnel(req, socket, head, {
+      provider: target.adapter.provider,
+      providerConfig: target.adapter.providerConfig,
+      targetUrl: target.targetUrl
+    });
+  };
+}
+
+/**
+ * Adapter and upstream URL of a feed path (with query), or null if no feed serves it
+ */
+function resolveFeedTarget(url, adapters) {
+  for (const adapter of adapters.values()) {
+    for (const [feed, feedBaseUrl] of Object.entries(adapter.getFeeds())) {
+      const mount = `/api/${feed}/`;
+      if (url.startsWith(mount)) {
+        return { adapter, targetUrl: `${feedBaseUrl}${url.slice(mount.length - 1)}` };
+      }
+    }
+  }
+  return null;
+}
@@ -2,382 +2,272 @@
  * SportRadar Widget Proxy Server - Enterprise Production Ready
  *
  * High-performance proxy server for SportRadar widgets with:
+ * - Config-driven providers loaded from config/providers.yaml, hot reloaded on change
+ * - Provider adapters (src/providers) so other widget vendors plug in from config
+ * - Tenants (brands) with their own widget IDs, upstream headers and allowed origins
  * - Real-time asset proxying with header preservation
+ * - WebSocket and long-poll feed pass-through with idle timeouts and per-client caps
  * - Widget script URL rewriting for API redirection
- * - CORS and security headers for iframe embedding
- * - Health monitoring and logging
+ * - SIR stylesheets generated from brand palettes
+ * - JavaScript SDK mounting widgets through the proxy
+ * - Record / replay of upstream traffic to fixtures for offline development
+ * - Match ID normalization (numeric IDs and sr:match / sr:stage URNs) with optional upstream lookup
+ * - Origin allow-list CORS and security headers for iframe embedding
+ * - Health monitoring, Prometheus metrics and logging
  * - Docker containerization support
  *
  * @version 1.0.0
  * @author KakBet Engineering Team
  */
 
-import fs from 'fs';
-import http from 'http';
-import https from 'https';
+import compression from 'compression';
+import express from 'express';
+import morgan from 'morgan';
 import path from 'path';
-import url from 'url';
-import zlib from 'zlib';
+import { ConfigManager } from './config/ConfigManager.js';
+import { loadConfig } from './config/index.js';
+import { loadAdapterModules } from './providers/index.js';
+import { createRateLimitStore } from './ratelimit/index.js';
+import { createAdminRouter } from './routes/admin.js';
+import { createEmbedRouter } from './routes/embed.js';
+import { createHealthRouter } from './routes/health.js';
+import { createLoaderRouter } from './routes/loader.js';
+import { createMetricsRouter } from './routes/metrics.js';
+import { createPassthroughRouter } from './routes/passthrough.js';
+import { createProxyRouter } from './routes/proxy.js';
+import { createSdkRouter } from './routes/sdk.js';
+import { createThemesRouter } from './routes/themes.js';
+import { createUpgradeHandler } from './routes/upgrade.js';
+import { CircuitBreakers } from './services/CircuitBreaker.js';
+import { CorsPolicy } from './services/CorsPolicy.js';
+import { LiveConnections } from './services/LiveConnections.js';
+import { MatchLookup } from './services/MatchLookup.js';
+import { ProxyService } from './services/ProxyService.js';
+import { RateLimiter } from './services/RateLimiter.js';
+import { StreamProxy } from './services/StreamProxy.js';
+import { ThemeService } from './services/ThemeService.js';
+import { WebSocketProxy } from './services/WebSocketProxy.js';
+import { createTenants } from './tenants/index.js';
+import { logger } from './utils/logger.js';
+import { createRouteClassifier, metricsMiddleware } from './utils/metrics.js';
 
 // Environment configuration
 const PORT = process.env.PORT || 3001;
 const NODE_ENV = process.env.NODE_ENV || 'development';
-const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
 
 /**
- * Enterprise Logger with structured logging
+ * Security headers for widget embedding (CORS is handled by CorsPolicy)
  */
-class Logger {
-  static levels = { error: 0, warn: 1, info: 2, debug: 3 };
-
-  static log(level, message, meta = {}) {
-    if (Logger.levels[level] <= Logger.levels[LOG_LEVEL]) {
-      const timestamp = new Date().toISOString();
-      const logEntry = NODE_ENV === 'production'
-        ? JSON.stringify({ timestamp, level, message, ...meta })
-        : `[${timestamp}] ${level.toUpperCase()}: ${message}`;
-      console.log(logEntry);
-    }
-  }
-
-  static info(message, meta) { Logger.log('info', message, meta); }
-  static warn(message, meta) { Logger.log('warn', message, meta); }
-  static error(message, meta) { Logger.log('error', message, meta); }
-  static debug(message, meta) { Logger.log('debug', message, meta); }
-}
-
-/**
- * Security and CORS headers for widget embedding
- */
-const corsHeaders = {
-  'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Requested-With',
+const securityHeaders = {
   'X-Frame-Options': 'SAMEORIGIN',
   'X-Content-Type-Options': 'nosniff',
   'X-XSS-Protection': '1; mode=block',
   'Referrer-Policy': 'strict-origin-when-cross-origin'
 };
 
-/**
- * SportRadar Widget Configuration
- */
-const config = {
-  sportradar: {
-    baseUrl: 'https://widgets.sir-sportradar.com',
-    widgetId: '984c87dccac74331a2261fd032f80dbf',
-    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/140.0.0.0 Safari/537.36',
-    referer: 'https://www.tipx10.com/'
-  }
+const exitOnError = (error) => {
+  logger.error(error.message);
+  process.exit(1);
 };
+const config = await loadConfig().catch(exitOnError);
+const tenants = await loadAdapterModules(config).then(() => createTenants(config)).catch(exitOnError);
+const configManager = new ConfigManager(config);
+const circuitBreakers = new CircuitBreakers(config);
+const proxyService = new ProxyService(config, circuitBreakers);
+// Tunnels and long polls share each client's live connection cap
+const liveConnections = new LiveConnections();
+const streamProxy = new StreamProxy(config, circuitBreakers, liveConnections);
+const webSocketProxy = new WebSocketProxy(config, liveConnections);
+const matchLookup = new MatchLookup();
+const rateLimitStore = createRateLimitStore(config.security?.rateLimit);
+
+const app = express();
+app.disable('x-powered-by');
+
+// Number of reverse proxies whose X-Forwarded-For entries are trusted for req.ip
+app.set('trust proxy', config.security?.trustProxy ?? 0);
+
+app.use(morgan(NODE_ENV === 'production' ? 'combined' : 'short', {
+  stream: { write: (line) => logger.info(line.trim()) }
+}));
+// Before compression, so bytes served are counted as sent on the wire; feed families follow the loaded config
+let classifyRoute = createRouteClassifier(config);
+app.use(metricsMiddleware((path) => classifyRoute(path)));
+app.use(compression());
+
+app.use((req, res, next) => {
+  res.set(securityHeaders);
+  next();
+});
 
 /**
- * Enterprise-grade proxy request handler with dual-mode operation
- * @param {string} targetUrl - Target URL to proxy
- * @param {http.IncomingMessage} req - Incoming request
- * @param {http.ServerResponse} res - Server response
- * @param {Object} opts - Options for proxy behavior
- * @param {boolean} opts.rewriteWidgetScript - Enable widget script URL rewriting
+ * Build every config-dependent route for one configuration version. A reload
+ * builds a new tree and swaps it in; requests already dispatched finish on the old one.
  */
-function proxyRequest(targetUrl, req, res, opts = {}) {
-  const { rewriteWidgetScript = false } = opts;
-  const startTime = Date.now();
-
-  Logger.info('Proxy request initiated', {
-    targetUrl,
-    method: req.method,
-    rewriteMode: rewriteWidgetScript
-  });
-
-  const targetUrlObj = new URL(targetUrl);
-  const options = {
-    hostname: targetUrlObj.hostname,
-    port: targetUrlObj.port || (targetUrlObj.protocol === 'https:' ? 443 : 80),
-    path: targetUrlObj.pathname + targetUrlObj.search,
-    method: req.method,
-    headers: {
-      'User-Agent': config.sportradar.userAgent,
-      'Accept': '*/*',
-      'Accept-Encoding': 'gzip, deflate, br',
-      'Referer': config.sportradar.referer
-    }
-  };
-
-  const client = targetUrlObj.protocol === 'https:' ? https : http;
-
-  const proxyReq = client.request(options, (proxyRes) => {
-    const duration = Date.now() - startTime;
-    Logger.info('Proxy response received', {
-      statusCode: proxyRes.statusCode,
-      targetUrl,
-      duration: `${duration}ms`
-    });
-
-    // Always set CORS headers
-    Object.entries(corsHeaders).forEach(([key, value]) => {
-      res.setHeader(key, value);
-    });
+function createRoutes(config, tenants) {
+  const router = express.Router();
+  const corsPolicy = new CorsPolicy(config);
+  const rateLimiter = new RateLimiter(config, rateLimitStore);
+  const themes = new ThemeService(config);
+  const tenantRoutes = new Map([...tenants.values()].map((tenant) => [tenant.name, createTenantRoutes(tenant, rateLimiter, themes)]));
 
-    const upstreamHeaders = proxyRes.headers;
+  // Operational endpoints are shared by all tenants and use the global CORS settings
+  router.use(['/health', '/admin', '/metrics'], corsPolicy.middleware());
 
-    if (!rewriteWidgetScript) {
-      // Stream mode: forward headers and body as-is (preserve content-length, cache-control, encoding)
-      for (const [key, value] of Object.entries(upstreamHeaders)) {
-        try { if (value !== undefined) res.setHeader(key, value); } catch {}
-      }
-      res.writeHead(proxyRes.statusCode);
-
-      // Pipe response directly
-      proxyRes.pipe(res);
-      return;
-    }
-
-    // Transform mode (widget loader only): collect, (de)compress, rewrite, send
-    const contentEncoding = upstreamHeaders['content-encoding'];
-
-    let data = Buffer.alloc(0);
-    proxyRes.on('data', (chunk) => { data = Buffer.concat([data, chunk]); });
-
-    proxyRes.on('end', () => {
-      let finalData = data;
-
-      // Decompress if needed
-      try {
-        if (contentEncoding === 'gzip') finalData = zlib.gunzipSync(data);
-        else if (contentEncoding === 'br') finalData = zlib.brotliDecompressSync(data);
-        else if (contentEncoding === 'deflate') finalData = zlib.inflateSync(data);
-      } catch (err) {
-        console.error('Decompression error:', err.message);
-        finalData = data; // fallback
-      }
+  // Health checks
+  router.use('/health', createHealthRouter(proxyService, streamProxy, circuitBreakers, configManager, webSocketProxy));
 
-      // Replace URLs in widget script
-      let responseText = finalData.toString();
-
-      responseText = responseText.replace(
-        /"lmtFishnetFeedsUrl":"https:\/\/lt-fn\.sir-sportradar\.com"/g,
-        `"lmtFishnetFeedsUrl":"http://localhost:3001/api/lt-fn"`
-      );
-
-      responseText = responseText.replace(
-        /"cardsFishnetFeedsUrl":"https:\/\/ws-fn\.sir-sportradar\.com"/g,
-        `"cardsFishnetFeedsUrl":"http://localhost:3001/api/ws-fn"`
-      );
-
-      responseText = responseText.replace(
-        /https:\/\/lt-fn\.sir-sportradar\.com/g,
-        'http://localhost:3001/api/lt-fn'
-      );
-
-      responseText = responseText.replace(
-        /https:\/\/ws-fn\.sir-sportradar\.com/g,
-        'http://localhost:3001/api/ws-fn'
-      );
-
-      // Set headers for transformed response
-      res.setHeader('Content-Type', upstreamHeaders['content-type'] || 'application/javascript');
-      if (upstreamHeaders['cache-control']) {
-        res.setHeader('Cache-Control', upstreamHeaders['cache-control']);
-      }
-      const buf = Buffer.from(responseText, 'utf8');
-      res.setHeader('Content-Length', String(buf.length));
-      // Do not set content-encoding after transform
+  // Admin API: cache inspection, purging and warming, config reload
+  router.use('/admin', createAdminRouter(config, proxyService, tenants, configManager));
 
-      res.writeHead(proxyRes.statusCode);
-      res.end(buf);
-    });
-  });
+  // Prometheus metrics
+  router.use('/metrics', createMetricsRouter());
 
-  proxyReq.on('error', (err) => {
-    console.error(`❌ Proxy error: ${err.message}`);
-    res.writeHead(500, corsHeaders);
-    res.end(JSON.stringify({ error: 'Proxy Error', message: err.message }));
-  });
+  // Everything else is served for the request's tenant (path prefix, X-Tenant / ?tenant=, Host or default)
+  router.use(tenants.middleware());
+  router.use((req, res, next) => tenantRoutes.get(req.tenant.name)(req, res, next));
 
-  proxyReq.end();
+  return router;
 }
 
-const server = http.createServer((req, res) => {
-  const parsedUrl = url.parse(req.url, true);
-  const pathname = parsedUrl.pathname;
-
-  console.log(`📥 ${req.method} ${pathname}`);
-
-  // Handle CORS preflight
-  if (req.method === 'OPTIONS') {
-    res.writeHead(200, corsHeaders);
-    res.end();
-    return;
-  }
+/**
+ * Routes for one tenant: its CORS settings, provider adapters and cache namespace
+ */
+function createTenantRoutes(tenant, rateLimiter, themes) {
+  const { config, adapters } = tenant;
+  const router = express.Router();
+  const corsPolicy = new CorsPolicy(config);
+  const tenantProxyService = proxyService.forTenant(tenant);
 
-  // Health check
-  if (pathname === '/health') {
-    res.writeHead(200, { 'Content-Type': 'application/json', ...corsHeaders });
-    res.end(JSON.stringify({
-      status: 'healthy',
-      timestamp: new Date().toISOString(),
-      cache: 'disabled'
-    }));
-    return;
-  }
+  // CORS: /proxy/{provider}/* and a provider's root-level paths use its security block, everything else the tenant's
+  router.use(corsPolicy.middleware((req) => req.path.match(/^\/proxy\/([^/]+)/)?.[1] || adapters.providerForPath(req.path)));
 
   // Demo page
-  if (pathname === '/' || pathname === '/demo') {
-    try {
-      const demoPath = path.join(process.cwd(), 'demo.html');
-      const demoContent = fs.readFileSync(demoPath, 'utf8');
-      res.writeHead(200, { 'Content-Type': 'text/html', ...corsHeaders });
-      res.end(demoContent);
-      return;
-    } catch (error) {
-      console.error('Demo file not found:', error.message);
-    }
-  }
+  router.get(['/', '/demo'], (req, res) => {
+    res.sendFile(path.join(process.cwd(), 'demo.html'));
+  });
 
+  // Loader preview page and theme
+  router.use('/loader', createLoaderRouter(tenant, matchLookup, themes));
 
-  // Loader preview assets from docs/widget/loader
-  if (pathname === '/loader/theme.css') {
-    try {
-      // Docker: /app/docs/widget/loader/theme.css, Local: ../../docs/widget/loader/theme.css
-      const cssPath = fs.existsSync(path.join(process.cwd(), 'docs', 'widget', 'loader', 'theme.css'))
-        ? path.join(process.cwd(), 'docs', 'widget', 'loader', 'theme.css')
-        : path.join(process.cwd(), '..', '..', 'docs', 'widget', 'loader', 'theme.css');
-      const css = fs.readFileSync(cssPath);
-      res.writeHead(200, { 'Content-Type': 'text/css', ...corsHeaders, 'Content-Length': String(css.length) });
-      res.end(css);
-      return;
-    } catch (err) {
-      console.error('Failed to read theme.css:', err.message);
-    }
-  }
+  // Embeddable widget pages: /embed/{provider}/{widget-type}?matchId=123&preset=mobile-compact&layout=topdown
+  router.use('/embed', createEmbedRouter(tenant, matchLookup, themes));
 
-  if (pathname === '/loader/preview.html' || pathname === '/loader/preview') {
-    try {
-      // Docker: /app/docs/widget/loader/preview.html, Local: ../../docs/widget/loader/preview.html
-      const htmlPath = fs.existsSync(path.join(process.cwd(),  'widget', 'preview.html'))
-        ? path.join(process.cwd(), 'widget', 'preview.html')
-        : path.join(process.cwd(), '..', '..', 'docs', 'widget', 'loader', 'preview.html');
-      let html = fs.readFileSync(htmlPath, 'utf8');
-      console.log('HTML:', htmlPath);
-      const matchId = (parsedUrl.query && parsedUrl.query.matchId) ? String(parsedUrl.query.matchId) : '61939220';
-      // Ensure the widget loader script goes through our proxy for proper referer/cors handling
-      html = html.replace(/https:\/\/widgets\.sir\.sportradar\.com\/[^/]+\/widgetloader/g,
-        `http://localhost:3001/proxy/sportradar/match.lmtPlus?matchId=${matchId}`);
-      // Also override the matchId used inside the inline SIR addWidget config
-      html = html.replace(/matchId\s*:\s*\d+/g, `matchId:${matchId}`);
-      res.writeHead(200, { 'Content-Type': 'text/html', ...corsHeaders });
-      res.end(html);
-      return;
-    } catch (err) {
-      console.error('Failed to read preview.html:', err.message);
-    }
-  }
+  // Stylesheets generated from the configured palettes: /themes/{name}.css
+  router.use('/themes', createThemesRouter(config, themes, rateLimiter));
 
+  // JavaScript SDK: /sdk/widgets.js
+  router.use('/sdk', createSdkRouter(tenant, themes, rateLimiter));
 
   // API endpoint
-  if (pathname === '/api') {
-    res.writeHead(200, { 'Content-Type': 'application/json', ...corsHeaders });
-    res.end(JSON.stringify({
+  const [exampleProvider, exampleConfig] = Object.entries(config.providers)[0];
+  const exampleWidget = Object.keys(exampleConfig.widgetTypes)[0];
+  router.get('/api', (req, res) => {
+    res.json({
       name: 'Widget Proxy',
       version: '1.0.0',
       status: 'running',
+      tenant: { name: tenant.name, label: tenant.label, language: tenant.language, theme: tenant.theme },
+      providers: Object.keys(config.providers),
       endpoints: {
         demo: '/',
-        widget: '/proxy/sportradar/match.lmtPlus?matchId=123',
-        assets: '/proxy/sportradar/assets/js/chunk.123.js',
-        health: '/health'
+        provider: `/proxy/${exampleProvider}`,
+        widget: `/proxy/${exampleProvider}/${exampleWidget}?matchId=123`,
+        embed: `/embed/${exampleProvider}/${exampleWidget}?matchId=123`,
+        sdk: '/sdk/widgets.js',
+        assets: `/proxy/${exampleProvider}/assets/js/chunk.123.js`,
+        rewrites: `/admin/rewrites/${exampleProvider}/${exampleWidget}`,
+        health: '/health',
+        metrics: '/metrics',
+        admin: '/admin/cache'
       }
-    }));
-    return;
-  }
-
-  // Widget proxy: /proxy/sportradar/match.lmtPlus
-  if (pathname.startsWith('/proxy/sportradar/match.')) {
-    const widgetType = pathname.split('/').pop(); // e.g., 'lmtPlus'
-    const queryString = parsedUrl.search || '';
-    const targetUrl = `${config.sportradar.baseUrl}/${config.sportradar.widgetId}/widgetloader${queryString}`;
-
-    Logger.info('Widget proxy request', { widgetType, targetUrl });
-    proxyRequest(targetUrl, req, res, { rewriteWidgetScript: true });
-    return;
-  }
+    });
+  });
 
-  // SportRadar licensing endpoint
-  if (pathname === `/${config.sportradar.widgetId}/licensing`) {
-    const targetUrl = `${config.sportradar.baseUrl}${pathname}`;
-    Logger.debug('Licensing request', { targetUrl });
-    proxyRequest(targetUrl, req, res);
-    return;
-  }
+  // Widget and asset proxy: /proxy/{provider}/{widget-type}, /proxy/{provider}/assets/*
+  router.use('/proxy', createProxyRouter(config, tenantProxyService, rateLimiter, matchLookup));
 
-  // SportRadar translations
-  if (pathname.startsWith('/translations/')) {
-    const targetUrl = `${config.sportradar.baseUrl}${pathname}`;
-    Logger.debug('Translation request', { pathname, targetUrl });
-    proxyRequest(targetUrl, req, res);
-    return;
-  }
+  // Licensing, translations, feed APIs and direct assets requested by widget loaders, per provider adapter
+  router.use(createPassthroughRouter(config, tenantProxyService, streamProxy, adapters, rateLimiter));
 
-  // SportRadar API proxies - ws-fn.sir-sportradar.com and lt-fn.sir-sportradar.com
-  if (pathname.startsWith('/api/ws-fn/') || pathname.startsWith('/api/lt-fn/')) {
-    const apiType = pathname.startsWith('/api/ws-fn/') ? 'ws-fn' : 'lt-fn';
-    const apiPath = pathname.replace(`/api/${apiType}/`, '');
-    const queryString = parsedUrl.search || '';
-    const targetUrl = `https://${apiType}.sir-sportradar.com/${apiPath}${queryString}`;
-    proxyRequest(targetUrl, req, res);
-    return;
-  }
+  return router;
+}
 
-  // Asset proxy: /proxy/sportradar/assets/* or /proxy/sportradar/js/*
-  if (pathname.startsWith('/proxy/sportradar/')) {
-    const assetPath = pathname.replace('/proxy/sportradar', '');
-    const targetUrl = `${SPORTRADAR_BASE}${assetPath}`;
-    proxyRequest(targetUrl, req, res);
-    return;
-  }
+let routes = createRoutes(config, tenants);
+let upgradeHandler = createUpgradeHandler(config, tenants, webSocketProxy);
+app.use((req, res, next) => routes(req, res, next));
+
+// Swap in reloaded configurations; adapter modules they name are imported before anything changes
+configManager.on('change', async (nextConfig) => {
+  await loadAdapterModules(nextConfig);
+  const nextTenants = createTenants(nextConfig);
+  const nextRoutes = createRoutes(nextConfig, nextTenants);
+  const nextUpgradeHandler = createUpgradeHandler(nextConfig, nextTenants, webSocketProxy);
+
+  circuitBreakers.updateConfig(nextConfig);
+  proxyService.updateConfig(nextConfig);
+  streamProxy.updateConfig(nextConfig);
+  webSocketProxy.updateConfig(nextConfig);
+  app.set('trust proxy', nextConfig.security?.trustProxy ?? 0);
+  routes = nextRoutes;
+  upgradeHandler = nextUpgradeHandler;
+  classifyRoute = createRouteClassifier(nextConfig);
+});
 
-  // Asset proxy for direct paths: /assets/*, /js/*, /css/* (streaming mode)
-  if (pathname.startsWith('/assets/') || pathname.startsWith('/js/') || pathname.startsWith('/css/')) {
-    const targetUrl = `${config.sportradar.baseUrl}${pathname}`;
-    Logger.debug('Direct asset request', { pathname, targetUrl });
-    proxyRequest(targetUrl, req, res); // Streaming mode preserves headers
-    return;
-  }
+if (config.server?.watchConfig !== false) {
+  configManager.watch();
+}
 
-  // 404 - Route not found
-  Logger.warn('Route not found', { method: req.method, pathname, userAgent: req.headers['user-agent'] });
-  res.writeHead(404, { 'Content-Type': 'application/json', ...corsHeaders });
-  res.end(JSON.stringify({
+// 404 - Route not found
+app.use((req, res) => {
+  logger.warn('Route not found', { method: req.method, path: req.path, userAgent: req.get('User-Agent') });
+  res.status(404).json({
     error: 'Not Found',
-    message: `Route ${req.method} ${pathname} not found`,
+    message: `Route ${req.method} ${req.path} not found`,
     timestamp: new Date().toISOString()
-  }));
+  });
 });
 
 /**
  * Start the enterprise proxy server
  */
-server.listen(PORT, '0.0.0.0', () => {
-  Logger.info('KakBet Widget Proxy Server started', {
+const server = app.listen(PORT, '0.0.0.0', () => {
+  logger.info('KakBet Widget Proxy Server started', {
     port: PORT,
     environment: NODE_ENV,
-    logLevel: LOG_LEVEL,
-    sportradarBase: config.sportradar.baseUrl,
-    widgetId: config.sportradar.widgetId
+    providers: Object.keys(config.providers)
   });
+
+  if (config.fixtures?.mode && config.fixtures.mode !== 'off') {
+    logger.warn(`Upstream fixtures in ${config.fixtures.mode} mode`, { dir: config.fixtures.dir, onMiss: config.fixtures.onMiss });
+  }
 });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully');
-  server.close(() => {
-    process.exit(0);
-  });
+// WebSocket upgrades (feed sockets) bypass Express; give them its request helpers so
+// req.ip, req.get and tenant resolution behave as for HTTP requests
+server.on('upgrade', (req, socket, head) => {
+  Object.setPrototypeOf(req, app.request);
+  req.query = Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+  upgradeHandler(req, socket, head);
 });
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully');
-  server.close(() => {
-    process.exit(0);
-  });
+// Reload configuration on SIGHUP
+process.on('SIGHUP', () => {
+  logger.info('SIGHUP received, reloading configuration');
+  configManager.reload('SIGHUP').catch((error) => logger.error('Configuration reload (SIGHUP) failed', { error: error.message }));
 });
+
+// Graceful shutdown
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.on(signal, () => {
+    logger.info(`${signal} received, shutting down gracefully`);
+    configManager.close();
+    webSocketProxy.close();
+    server.close(async () => {
+      await proxyService.close().catch((error) => logger.warn('Failed to close cache', { error: error.message }));
+      await streamProxy.close();
+      await rateLimitStore.close();
+      process.exit(0);
+    });
+  });
+}
@@ -0,0 +1,180 @@
+import { logger } from '../utils/logger.js';
+import { isTransientError } from '../utils/retry.js';
+
+/**
+ * Circuit breaker for one upstream provider.
+ *
+ * closed: requests flow; consecutive failures are counted: network errors, timeouts and
+ * any 5xx answer, whether the call resolved with it or threw (retries are decided separately).
+ * open: after `failureThreshold` failures requests fail fast with a 503 for `resetTimeout` ms.
+ * half-open: one trial request is let through; success closes the circuit, failure re-opens it.
+ */
+export class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeout = options.resetTimeout || 30000;
+
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastError = null;
+    this.stats = { successes: 0, failures: 0, rejected: 0, opened: 0 };
+  }
+
+  /**
+   * Run an upstream call through the breaker
+   */
+  async run(task) {
+    this.beforeRequest();
+
+    try {
+      const result = await task();
+      const status = result?.statusCode ?? result?.status;
+      if (status >= 500) {
+        this.recordFailure(new Error(`Upstream responded with ${status}`));
+      } else {
+        this.recordSuccess();
+      }
+      return result;
+    } catch (error) {
+      // Abandoned by our client: says nothing about upstream either way
+      if (error.name === 'AbortError') {
+        this.trialInFlight = false;
+        throw error;
+      }
+
+      // Only upstream unavailability or failure counts; anything else still proves upstream is answering
+      if (isUpstreamFailure(error)) {
+        this.recordFailure(error);
+      } else {
+        this.recordSuccess();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Throw a 503 error if the circuit is open, moving to half-open once the reset timeout has passed
+   */
+  beforeRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeout) {
+      this.state = 'half-open';
+      logger.info(`Circuit for ${this.name} half-open, sending a trial request`);
+    }
+
+    if (this.state === 'closed') {
+      return;
+    }
+
+    if (this.state === 'half-open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return;
+    }
+
+    this.stats.rejected++;
+    const retryAfter = Math.max(Math.ceil((this.openedAt + this.resetTimeout - Date.now()) / 1000), 1);
+    const error = new Error(`Upstream ${this.name} is unavailable (circuit open)`);
+    error.status = 503;
+    error.retryAfter = retryAfter;
+    error.circuitOpen = true;
+    throw error;
+  }
+
+  recordSuccess() {
+    this.stats.successes++;
+    this.consecutiveFailures = 0;
+    this.trialInFlight = false;
+
+    if (this.state !== 'closed') {
+      logger.info(`Circuit for ${this.name} closed, upstream recovered`);
+      this.state = 'closed';
+      this.openedAt = null;
+    }
+  }
+
+  recordFailure(error) {
+    this.stats.failures++;
+    this.consecutiveFailures++;
+    this.trialInFlight = false;
+    this.lastError = { message: error.message, at: new Date().toISOString() };
+
+    if (this.state === 'half-open' || this.consecutiveFailures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        this.stats.opened++;
+        logger.error(`Circuit for ${this.name} opened`, {
+          consecutiveFailures: this.consecutiveFailures,
+          error: error.message
+        });
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  getStats() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.resetTimeout).toISOString() : null,
+      lastError: this.lastError,
+      ...this.stats
+    };
+  }
+}
+
+/**
+ * Whether an error means the provider is unavailable or failing: transient errors and every 5xx status
+ */
+function isUpstreamFailure(error) {
+  const status = error.response?.status ?? error.upstreamStatus;
+  return isTransientError(error) || status >= 500;
+}
+
+/**
+ * One circuit breaker per provider, configured by the provider's `circuitBreaker` block
+ */
+export class CircuitBreakers {
+  constructor(config) {
+    this.config = config;
+    this.breakers = new Map();
+  }
+
+  get(provider) {
+    if (!this.breakers.has(provider)) {
+      const options = this.config.providers[provider]?.circuitBreaker || {};
+      this.breakers.set(provider, new CircuitBreaker(provider, options));
+    }
+
+    return this.breakers.get(provider);
+  }
+
+  /**
+   * Switch to a reloaded configuration; breakers keep their state and pick up new thresholds
+   */
+  updateConfig(config) {
+    this.config = config;
+
+    for (const [provider, breaker] of this.breakers) {
+      const options = config.providers[provider]?.circuitBreaker || {};
+      breaker.failureThreshold = options.failureThreshold || 5;
+      breaker.resetTimeout = options.resetTimeout || 30000;
+    }
+  }
+
+  /**
+   * Providers whose circuit is not closed
+   */
+  getUnhealthy() {
+    return [...this.breakers.values()]
+      .filter((breaker) => breaker.state !== 'closed')
+      .map((breaker) => breaker.name);
+  }
+
+  getStats() {
+    return Object.fromEntries(Object.keys(this.config.providers).map((provider) => [provider, this.get(provider).getStats()]));
+  }
+}
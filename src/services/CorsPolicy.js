@@ -0,0 +1,143 @@
+import { logger } from '../utils/logger.js';
+import { resolvePublicBaseUrl } from '../utils/request.js';
+
+const DEFAULT_METHODS = ['GET', 'POST', 'OPTIONS'];
+const DEFAULT_HEADERS = ['Content-Type', 'Authorization', 'X-Requested-With'];
+const EXPOSED_HEADERS = [
+  'X-Cache', 'ETag', 'Retry-After',
+  'RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'
+];
+
+/**
+ * CORS handling driven by `security.allowedOrigins` and each provider's
+ * `security` block (allowedOrigins, allowCredentials, maxAge, allowedMethods,
+ * allowedHeaders). Origins are exact (`https://kakbet.com`), wildcard
+ * subdomains (`https://*.kakbet.com`) or `*`. Requests from our own public
+ * origin are always allowed; cross-origin requests from anywhere else get a 403.
+ */
+export class CorsPolicy {
+  constructor(config) {
+    this.config = config;
+    this.policies = new Map();
+  }
+
+  /**
+   * Express middleware; `resolveProvider(req)` names the provider whose security block applies
+   */
+  middleware(resolveProvider = () => undefined) {
+    return (req, res, next) => {
+      const origin = req.get('Origin');
+      const policy = this.getPolicy(resolveProvider(req));
+      const preflight = req.method === 'OPTIONS' && Boolean(req.get('Access-Control-Request-Method'));
+
+      res.vary('Origin');
+
+      // Not a CORS request (script tags, navigation, server-to-server)
+      if (!origin) {
+        if (req.method === 'OPTIONS') {
+          res.set('Allow', policy.methods).sendStatus(204);
+          return;
+        }
+        next();
+        return;
+      }
+
+      if (!this.isAllowed(origin, policy, req)) {
+        logger.warn('CORS origin rejected', { origin, method: req.method, path: req.path });
+        res.status(403).json({
+          error: 'Forbidden',
+          message: `Origin ${origin} is not allowed`
+        });
+        return;
+      }
+
+      res.set('Access-Control-Allow-Origin', policy.anyOrigin && !policy.credentials ? '*' : origin);
+      if (policy.credentials) {
+        res.set('Access-Control-Allow-Credentials', 'true');
+      }
+
+      if (preflight) {
+        res.set({
+          'Access-Control-Allow-Methods': policy.methods,
+          'Access-Control-Allow-Headers': policy.headers,
+          'Access-Control-Max-Age': String(policy.maxAge)
+        });
+        res.vary('Access-Control-Request-Method');
+        res.vary('Access-Control-Request-Headers');
+        res.sendStatus(204);
+        return;
+      }
+
+      res.set('Access-Control-Expose-Headers', EXPOSED_HEADERS.join(', '));
+      next();
+    };
+  }
+
+  /**
+   * Whether an Origin header value may use the proxy under a policy
+   */
+  isAllowed(origin, policy, req) {
+    const normalized = normalizeOrigin(origin);
+    if (!normalized) {
+      return false;
+    }
+
+    if (policy.anyOrigin || policy.origins.some((pattern) => pattern.test(normalized))) {
+      return true;
+    }
+
+    // Our own pages (demo, loader preview) call back into the proxy
+    return normalized === normalizeOrigin(resolvePublicBaseUrl(this.config, req));
+  }
+
+  /**
+   * Effective policy for a provider: its security block over the global settings
+   */
+  getPolicy(provider) {
+    const key = provider || '';
+    if (!this.policies.has(key)) {
+      const global = this.config.security || {};
+      const security = this.config.providers?.[provider]?.security || {};
+      const origins = security.allowedOrigins || global.allowedOrigins || [];
+
+      this.policies.set(key, {
+        anyOrigin: origins.includes('*'),
+        origins: origins.filter((origin) => origin !== '*').map(compileOriginPattern),
+        credentials: Boolean(security.allowCredentials ?? global.allowCredentials),
+        maxAge: security.maxAge ?? global.maxAge ?? 86400,
+        methods: (security.allowedMethods || global.allowedMethods || DEFAULT_METHODS).join(', '),
+        headers: (security.allowedHeaders || global.allowedHeaders || DEFAULT_HEADERS).join(', ')
+      });
+    }
+
+    return this.policies.get(key);
+  }
+}
+
+/**
+ * Compile an allowed origin into an anchored pattern; `*.` matches one or more subdomain labels
+ */
+function compileOriginPattern(origin) {
+  const normalized = normalizeOrigin(origin.replace('*.', 'wildcard.'));
+  if (!normalized) {
+    throw new Error(`Invalid allowed origin '${origin}'`);
+  }
+
+  const source = normalized
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace('wildcard\\.', '(?:[a-z0-9-]+\\.)+');
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Lower-cased scheme://host[:port] without default ports, or null if not a URL origin
+ */
+function normalizeOrigin(value) {
+  try {
+    const url = new URL(value);
+    return url.origin === 'null' ? null : url.origin.toLowerCase();
+  } catch {
+    return null;
+  }
+}
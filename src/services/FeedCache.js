@@ -0,0 +1,140 @@
+import { MemoryStore } from '../cache/MemoryStore.js';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_MAX_KEYS = 5000;
+const DEFAULT_MAX_BYTES = 32 * 1024 * 1024;
+
+// Statuses worth replaying to the next poller; anything else always goes upstream
+const CACHEABLE_STATUSES = new Set([200, 204, 404]);
+
+// Per-connection headers that are not stored with a response
+const UNSTORED_HEADERS = new Set(['connection', 'keep-alive', 'transfer-encoding', 'date', 'age']);
+
+/**
+ * Micro-cache for feed API polls. Identical polls from many viewers of the same
+ * match are answered from one upstream response for a second or a few seconds,
+ * kept in process memory (`cache.feeds` limits) since they expire before a shared
+ * store would pay off. Upstream `Cache-Control` / `Expires` can only shorten the
+ * configured TTL, responses varying on anything but `Accept-Encoding` are not stored,
+ * and responses above the entry size cap are streamed but not stored.
+ */
+export class FeedCache {
+  constructor(cacheConfig = {}) {
+    const limits = cacheConfig.feeds || {};
+
+    this.store = new MemoryStore({
+      maxKeys: limits.maxKeys ?? DEFAULT_MAX_KEYS,
+      maxBytes: limits.maxBytes ?? DEFAULT_MAX_BYTES,
+      checkPeriod: 60
+    });
+    this.skipped = { uncacheable: 0, tooLarge: 0 };
+  }
+
+  /**
+   * Stored response for a key: { status, headers, body: Buffer, storedAt }
+   */
+  async get(key) {
+    return this.store.get(key);
+  }
+
+  /**
+   * Store an upstream response ({ statusCode, headers, body: Readable }) once its
+   * body has been read, if upstream and the size cap allow it
+   * @param {{ key: string, ttl: number, maxEntrySize: number }} policy
+   */
+  capture(policy, response) {
+    const ttl = CACHEABLE_STATUSES.has(response.statusCode) ? feedTtl(response.headers, policy.ttl) : 0;
+    if (!ttl) {
+      this.skipped.uncacheable++;
+      return;
+    }
+
+    let chunks = [];
+    let size = 0;
+
+    response.body.on('data', (chunk) => {
+      if (!chunks) return;
+
+      size += chunk.length;
+      if (size > policy.maxEntrySize) {
+        chunks = null;
+        this.skipped.tooLarge++;
+        logger.debug('Feed response too large to cache', { key: policy.key, maxEntrySize: policy.maxEntrySize });
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    response.body.on('end', () => {
+      if (!chunks) return;
+
+      const headers = Object.fromEntries(Object.entries(response.headers).filter(([name]) => !UNSTORED_HEADERS.has(name)));
+      const entry = { status: response.statusCode, headers, body: Buffer.concat(chunks), storedAt: Date.now() };
+
+      this.store.set(policy.key, entry, ttl).catch((error) => {
+        logger.warn('Failed to cache feed response', { key: policy.key, error: error.message });
+      });
+    });
+  }
+
+  async getStats() {
+    return { ...(await this.store.getStats()), skipped: { ...this.skipped } };
+  }
+
+  async close() {
+    await this.store.close();
+  }
+}
+
+/**
+ * Seconds a feed response may be replayed: the configured TTL, shortened by upstream
+ * `s-maxage` / `max-age` or `Expires`, and 0 when upstream forbids shared caching or
+ * the response varies on a request header the cache key leaves out. Polls are keyed
+ * by URL only; upstream sees the provider's Accept-Encoding whoever asks, so only
+ * `Vary: Accept-Encoding` is safe to replay.
+ */
+export function feedTtl(headers, configuredTtl) {
+  if (headers['set-cookie']) {
+    return 0;
+  }
+
+  const vary = String(headers.vary ?? '').split(',').map((name) => name.trim().toLowerCase()).filter(Boolean);
+  if (vary.some((name) => name !== 'accept-encoding')) {
+    return 0;
+  }
+
+  const directives = parseCacheControl(headers['cache-control']);
+  if (directives.has('no-store') || directives.has('no-cache') || directives.has('private')) {
+    return 0;
+  }
+
+  let upstreamTtl = deltaSeconds(directives.get('s-maxage') ?? directives.get('max-age'));
+  if (Number.isNaN(upstreamTtl) && headers.expires) {
+    const expires = Date.parse(headers.expires);
+    const date = Date.parse(headers.date) || Date.now();
+    upstreamTtl = Number.isNaN(expires) ? 0 : (expires - date) / 1000;
+  }
+
+  return Number.isNaN(upstreamTtl) ? configuredTtl : Math.max(0, Math.min(configuredTtl, upstreamTtl));
+}
+
+/**
+ * Seconds of a max-age style directive: NaN when absent, 0 when malformed
+ * (a valueless or non-numeric `max-age` makes the response stale, not cacheable)
+ */
+function deltaSeconds(value) {
+  if (value === undefined) {
+    return NaN;
+  }
+  return typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : 0;
+}
+
+/**
+ * Cache-Control directives by lower-cased name (valueless directives map to true)
+ */
+function parseCacheControl(value = '') {
+  return new Map(String(value).split(',').filter((part) => part.trim()).map((part) => {
+    const [name, directiveValue] = part.trim().split('=');
+    return [name.toLowerCase(), directiveValue === undefined ? true : directiveValue.replace(/"/g, '')];
+  }));
+}
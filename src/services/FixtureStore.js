@@ -0,0 +1,197 @@
+import { createHash, randomBytes } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { pipeline, Transform } from 'stream';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_DIR = 'fixtures';
+const DEFAULT_MAX_BODY_SIZE = 10 * 1024 * 1024;
+
+// Headers that identify our clients or sessions; never written to fixtures
+const DEFAULT_SCRUB_HEADERS = [
+  'set-cookie',
+  'cookie',
+  'authorization',
+  'proxy-authorization',
+  'forwarded',
+  'x-forwarded-for',
+  'x-real-ip',
+  'cf-connecting-ip',
+  'true-client-ip',
+  'x-client-ip',
+  'x-amzn-trace-id',
+  'x-request-id'
+];
+
+// Connection-level headers, meaningless for a replayed body
+const HOP_BY_HOP_HEADERS = new Set(['connection', 'keep-alive', 'proxy-authenticate', 'te', 'trailer', 'transfer-encoding', 'upgrade']);
+
+// Requests without a body, so method and URL identify the exchange; others are neither recorded nor replayed
+const RECORDED_METHODS = new Set(['GET', 'HEAD']);
+
+// Bodies stored as text in fixture files (others are base64)
+const TEXT_CONTENT_TYPES = /^(?:text\/|application\/(?:(?:x-)?javascript|json|xml)|[^;]*\+(?:json|xml))/i;
+
+/**
+ * Record / replay of upstream traffic (`fixtures`), for working without network access.
+ *
+ * In `record` mode every GET / HEAD upstream exchange (widget loaders, chunks,
+ * translations, licensing, feeds) is written to `dir` as one JSON file per method and
+ * URL, holding the method, URL, path, query, status, response headers and body;
+ * `scrubHeaders` are left out. Requests with a body (POST, ...) are not recorded, as
+ * their URL does not identify them. In `replay` mode those files answer upstream
+ * requests instead of the network; a request without a fixture (including any request
+ * with a body) gets `onMiss`: notFound (a 404 response), passthrough (the real
+ * upstream) or fail (a 502 error).
+ */
+export class FixtureStore {
+  constructor(settings = {}) {
+    this.mode = settings.mode || 'off';
+    this.dir = path.resolve(process.cwd(), settings.dir || DEFAULT_DIR);
+    this.onMiss = settings.onMiss || 'notFound';
+    this.maxBodySize = settings.maxBodySize ?? DEFAULT_MAX_BODY_SIZE;
+    this.scrubHeaders = new Set((settings.scrubHeaders || DEFAULT_SCRUB_HEADERS).map((name) => name.toLowerCase()));
+  }
+
+  get recording() {
+    return this.mode === 'record';
+  }
+
+  get replaying() {
+    return this.mode === 'replay';
+  }
+
+  /**
+   * The recorded response to a request, or null when it should go upstream (passthrough misses)
+   * @returns {Promise<?{ status: number, headers: Object, body: Buffer }>}
+   * @throws {Error} Status 502 for misses with onMiss: fail
+   */
+  async replay(method, url) {
+    let fixture;
+    try {
+      if (RECORDED_METHODS.has(method)) {
+        fixture = JSON.parse(await fs.readFile(this.getPath(method, url), 'utf8'));
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Unreadable fixture', { method, url, error: error.message });
+      }
+    }
+
+    if (fixture) {
+      logger.debug('Replaying fixture', { method, url, status: fixture.status });
+      return { status: fixture.status, headers: fixture.headers, body: Buffer.from(fixture.body, fixture.bodyEncoding) };
+    }
+
+    logger.warn('No fixture for upstream request', { method, url, onMiss: this.onMiss });
+
+    switch (this.onMiss) {
+      case 'passthrough':
+        return null;
+      case 'fail': {
+        const error = new Error(`No fixture for ${method} ${url}`);
+        error.status = 502;
+        throw error;
+      }
+      default:
+        return {
+          status: 404,
+          headers: { 'content-type': 'application/json' },
+          body: Buffer.from(JSON.stringify({ error: 'Fixture Not Found', message: `No fixture for ${method} ${url}` }))
+        };
+    }
+  }
+
+  /**
+   * Write a complete exchange to its fixture file. Failures are logged, never thrown.
+   */
+  async record(method, url, status, headers, body) {
+    // Answers to our own conditional requests mean nothing without them
+    if (status === 304 || !RECORDED_METHODS.has(method)) return;
+
+    if (body.length > this.maxBodySize) {
+      logger.warn('Response too large to record', { method, url, size: body.length, maxBodySize: this.maxBodySize });
+      return;
+    }
+
+    const { origin, pathname, searchParams } = new URL(url);
+    const kept = Object.fromEntries(Object.entries(headers).filter(([name, value]) => (
+      value !== undefined && !this.scrubHeaders.has(name.toLowerCase()) && !HOP_BY_HOP_HEADERS.has(name.toLowerCase())
+    )));
+    const text = TEXT_CONTENT_TYPES.test(kept['content-type'] || '') && !kept['content-encoding'];
+
+    const fixture = {
+      method,
+      url,
+      origin,
+      path: pathname,
+      query: Object.fromEntries(searchParams),
+      status,
+      headers: kept,
+      bodyEncoding: text ? 'utf8' : 'base64',
+      body: body.toString(text ? 'utf8' : 'base64'),
+      recordedAt: new Date().toISOString()
+    };
+
+    const file = this.getPath(method, url);
+    try {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      // Written aside and renamed, so replays never read half a fixture
+      const partial = `${file}.${process.pid}.${randomBytes(6).toString('hex')}.tmp`;
+      await fs.writeFile(partial, `${JSON.stringify(fixture, null, 2)}\n`);
+      await fs.rename(partial, file);
+      logger.debug('Recorded fixture', { method, url, status, size: body.length });
+    } catch (error) {
+      logger.warn('Failed to record fixture', { method, url, error: error.message });
+    }
+  }
+
+  /**
+   * Pass a response body through unchanged and record the exchange once it has fully streamed
+   * @param {Readable} body - Upstream body as received (still encoded)
+   * @returns {Readable}
+   */
+  capture(method, url, status, headers, body) {
+    if (!RECORDED_METHODS.has(method)) {
+      return body;
+    }
+
+    const chunks = [];
+    let size = 0;
+    const store = this;
+
+    const recorder = new Transform({
+      transform(chunk, encoding, callback) {
+        size += chunk.length;
+        if (size <= store.maxBodySize) {
+          chunks.push(chunk);
+        }
+        callback(null, chunk);
+      },
+      flush(callback) {
+        if (size <= store.maxBodySize) {
+          store.record(method, url, status, headers, Buffer.concat(chunks));
+        } else {
+          logger.warn('Response too large to record', { method, url, size, maxBodySize: store.maxBodySize });
+        }
+        callback();
+      }
+    });
+
+    // Destroying the returned stream (client gone) also ends the upstream response
+    return pipeline(body, recorder, () => {});
+  }
+
+  /**
+   * Fixture file of a request: {dir}/{host}/{path}/{METHOD}-{hash of method and URL}.json
+   */
+  getPath(method, url) {
+    const { host, pathname } = new URL(url);
+    const segments = [host, ...pathname.split('/').filter(Boolean)].map((segment) => (
+      segment.replace(/[^\w.-]/g, '_').replace(/^\.+/, '_').slice(0, 100)
+    ));
+    const hash = createHash('sha1').update(`${method} ${url}`).digest('hex').slice(0, 16);
+
+    return path.join(this.dir, ...segments, `${method}-${hash}.json`);
+  }
+}
@@ -0,0 +1,50 @@
+// streaming.maxConnectionsPerClient when not configured
+export const DEFAULT_MAX_CONNECTIONS_PER_CLIENT = 20;
+
+/**
+ * Live feed connections per client: WebSocket tunnels and long-lived HTTP feed
+ * responses (long polls, event streams) share one count per client (req.ip), so
+ * `streaming.maxConnectionsPerClient` caps both together.
+ */
+export class LiveConnections {
+  constructor() {
+    this.clients = new Map();
+  }
+
+  /**
+   * Count a connection for a client unless it already holds `maxPerClient` (0 = unlimited)
+   * @returns {?Function} Releases the connection (safe to call more than once), or null at the cap
+   */
+  acquire(clientKey, maxPerClient) {
+    const open = this.clients.get(clientKey) || 0;
+    if (maxPerClient && open >= maxPerClient) {
+      return null;
+    }
+
+    this.clients.set(clientKey, open + 1);
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      const remaining = (this.clients.get(clientKey) || 1) - 1;
+      if (remaining) this.clients.set(clientKey, remaining);
+      else this.clients.delete(clientKey);
+    };
+  }
+
+  /**
+   * Connections a client holds
+   */
+  count(clientKey) {
+    return this.clients.get(clientKey) || 0;
+  }
+
+  /**
+   * Open connections and clients holding them
+   */
+  getStats() {
+    let open = 0;
+    for (const count of this.clients.values()) open += count;
+    return { open, clients: this.clients.size };
+  }
+}
@@ -0,0 +1,117 @@
+import axios from 'axios';
+import { logger } from '../utils/logger.js';
+import { parseMatchId } from '../utils/matchId.js';
+import { SingleFlight } from '../utils/singleFlight.js';
+
+const DEFAULT_TIMEOUT = 2000;
+const DEFAULT_TTL = 600;
+const DEFAULT_NEGATIVE_TTL = 60;
+const MAX_RESULTS = 10000;
+
+/**
+ * Match ID checks for widget, preview and embed routes. IDs are always parsed and
+ * normalized (see utils/matchId.js); providers with `matchLookup.enabled` also have
+ * them checked against a lightweight upstream lookup, so a typo fails with a 404
+ * instead of loading an empty tracker. Lookup answers are remembered for `ttl` seconds
+ * (`negativeTtl` for unknown matches); when the lookup itself fails the ID is let through.
+ */
+export class MatchLookup {
+  constructor() {
+    this.httpClient = axios.create({ validateStatus: () => true });
+    this.results = new Map();
+
+    // Concurrent checks of the same match share one lookup
+    this.singleFlight = new SingleFlight();
+  }
+
+  /**
+   * Parse a match ID and check it with the provider's lookup, if it has one
+   * @param {ProviderAdapter} adapter - The provider's adapter as seen by the request's tenant
+   * @returns {Promise<{ type: string, id: string, urn: string, value: string }>}
+   * @throws {Error} Status 400 for malformed IDs, 404 for matches the lookup does not know
+   */
+  async resolve(adapter, input) {
+    const match = parseMatchId(input);
+    const url = adapter?.getMatchLookupUrl(match);
+
+    if (url && !(await this.singleFlight.run(url, () => this.isKnown(url, adapter)))) {
+      const error = new Error(`Unknown match ${match.urn}`);
+      error.status = 404;
+      throw error;
+    }
+
+    return match;
+  }
+
+  /**
+   * Express middleware normalizing `req.query.matchId` and setting `req.match`.
+   * Requests without a matchId use `fallback` when given, and pass through otherwise.
+   * @param {(req) => ?ProviderAdapter} resolveAdapter - Adapter whose lookup applies
+   */
+  middleware(resolveAdapter, { fallback } = {}) {
+    return async (req, res, next) => {
+      const input = req.query.matchId ?? fallback;
+      if (input === undefined) {
+        next();
+        return;
+      }
+
+      try {
+        req.match = await this.resolve(resolveAdapter(req), input);
+        req.query.matchId = req.match.value;
+        next();
+      } catch (error) {
+        logger.warn('Match ID rejected', { matchId: String(input).slice(0, 64), path: req.path, error: error.message });
+        res.status(error.status || 500).json({
+          error: error.status === 404 ? 'Match Not Found' : 'Bad Request',
+          message: error.message
+        });
+      }
+    };
+  }
+
+  /**
+   * Whether the lookup URL answers for a known match (remembered per URL)
+   */
+  async isKnown(url, adapter) {
+    const remembered = this.results.get(url);
+    if (remembered && remembered.expiresAt > Date.now()) {
+      return remembered.known;
+    }
+
+    const settings = adapter.providerConfig.matchLookup || {};
+
+    let known;
+    try {
+      const response = await this.httpClient.get(url, {
+        headers: adapter.providerConfig.headers,
+        timeout: settings.timeout || DEFAULT_TIMEOUT
+      });
+
+      if (response.status === 404 || response.status === 410) {
+        known = false;
+      } else if (response.status < 400) {
+        known = true;
+      } else {
+        throw new Error(`Lookup responded with ${response.status}`);
+      }
+    } catch (error) {
+      // A failing lookup must not take widgets down
+      logger.warn('Match lookup failed, allowing match', { url, error: error.message });
+      return true;
+    }
+
+    this.remember(url, known, known ? (settings.ttl ?? DEFAULT_TTL) : (settings.negativeTtl ?? DEFAULT_NEGATIVE_TTL));
+    return known;
+  }
+
+  remember(url, known, ttl) {
+    this.results.delete(url);
+    this.results.set(url, { known, expiresAt: Date.now() + ttl * 1000 });
+
+    // Drop the oldest answers beyond the cap
+    while (this.results.size > MAX_RESULTS) {
+      this.results.delete(this.results.keys().next().value);
+    }
+  }
+}
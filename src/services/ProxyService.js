@@ -1,20 +1,45 @@
 import axios from 'axios';
-import NodeCache from 'node-cache';
+import { createHash } from 'crypto';
+import { pipeline, Readable, Transform } from 'stream';
+import { finished } from 'stream/promises';
+import { createCacheStore } from '../cache/index.js';
+import { createProviderAdapters } from '../providers/index.js';
+import { DEFAULT_TENANT } from '../tenants/index.js';
+import { createDecompressStream } from '../utils/encoding.js';
+import { globToRegExp } from '../utils/glob.js';
 import { logger } from '../utils/logger.js';
+import { recordCacheLookup, timeUpstream } from '../utils/metrics.js';
+import { getUpstreamPolicy, withRetries } from '../utils/retry.js';
+import { CircuitBreakers } from './CircuitBreaker.js';
+import { FixtureStore } from './FixtureStore.js';
+import { SingleFlight } from '../utils/singleFlight.js';
+
+// Largest widget script held in memory to be cached, without cache.maxEntrySize
+const DEFAULT_MAX_ENTRY_SIZE = 5 * 1024 * 1024;
 
 /**
  * Proxy service for handling widget and asset requests
  */
 export class ProxyService {
-  constructor(config) {
+  constructor(config, circuitBreakers = new CircuitBreakers(config), adapters = createProviderAdapters(config)) {
     this.config = config;
-    this.cache = new NodeCache({
-      stdTTL: config.cache.defaultTtl,
-      maxKeys: config.cache.maxKeys,
-      checkperiod: config.cache.checkPeriod || 600
-    });
+    this.circuitBreakers = circuitBreakers;
+    this.adapters = adapters;
+    this.tenant = DEFAULT_TENANT;
+    this.cache = createCacheStore(config.cache);
+    this.cacheBackend = config.cache.backend || 'memory';
+
+    // Expired entries are kept this long so they can be revalidated with ETag / Last-Modified
+    this.revalidateWindow = config.cache.revalidateWindow ?? 86400;
+    this.backgroundRefreshes = new Set();
+
+    // Concurrent misses for the same cache key share one upstream request
+    this.singleFlight = new SingleFlight();
+
+    // Upstream traffic recorded to / replayed from fixture files
+    this.fixtures = new FixtureStore(config.fixtures);
 
-    // Create axios instance with default config
+    // Create axios instance with default config (per-provider timeouts are set per request)
     this.httpClient = axios.create({
       timeout: 30000,
       maxRedirects: 5,
@@ -28,171 +53,576 @@ export class ProxyService {
   }
 
   /**
-   * Proxy widget script requests
+   * Switch to a reloaded configuration. Requests already running keep the provider
+   * config they started with; the cache backend and its limits apply on restart.
+   */
+  updateConfig(config, adapters = createProviderAdapters(config)) {
+    if (JSON.stringify(cacheBackendSettings(config)) !== JSON.stringify(cacheBackendSettings(this.config))) {
+      logger.warn('Cache backend settings changed; they take effect on restart');
+    }
+
+    this.config = config;
+    this.adapters = adapters;
+    this.revalidateWindow = config.cache.revalidateWindow ?? 86400;
+    this.fixtures = new FixtureStore(config.fixtures);
+  }
+
+  /**
+   * View of this service for one tenant: the same cache and upstream state, the
+   * tenant's provider adapters and cache keys namespaced by the tenant's name
+   */
+  forTenant(tenant) {
+    return Object.assign(Object.create(this), { tenant: tenant.name, adapters: tenant.adapters });
+  }
+
+  /**
+   * Adapter of a configured provider
+   * @throws {Error} 404 for unknown providers
+   */
+  getAdapter(provider) {
+    const adapter = this.adapters.get(provider);
+    if (!adapter) {
+      throw this.notFound(`Provider '${provider}' not found`);
+    }
+    return adapter;
+  }
+
+  /**
+   * Proxy widget script requests, buffering the decompressed script
    */
   async proxyWidget(provider, widgetType, queryParams = {}, requestHeaders = {}) {
-    const providerConfig = this.config.providers[provider];
-    
-    if (!providerConfig) {
-      throw new Error(`Provider '${provider}' not found`);
+    const { body, ...result } = await this.streamWidget(provider, widgetType, queryParams, requestHeaders);
+
+    const chunks = [];
+    for await (const chunk of body) {
+      chunks.push(chunk);
     }
 
-    const widgetConfig = providerConfig.widgetTypes[widgetType];
-    if (!widgetConfig) {
-      throw new Error(`Widget type '${widgetType}' not found for provider '${provider}'`);
+    return { ...result, data: Buffer.concat(chunks).toString('utf8') };
+  }
+
+  /**
+   * Stream widget script requests. Fresh cached scripts are replayed from the cache,
+   * recently expired ones are served stale while a background refresh runs, and
+   * older ones are revalidated upstream with their validators. On a miss the
+   * upstream body is decompressed as a stream and fills the cache as it is consumed.
+   * @returns {Promise<{ status: number, contentType: string, headers: Object, body: Readable, version: ?string, cacheStatus: string }>}
+   */
+  async streamWidget(provider, widgetType, queryParams = {}, requestHeaders = {}) {
+    const adapter = this.getAdapter(provider);
+    const targetUrl = adapter.resolveWidgetUrl(widgetType, queryParams);
+    if (!targetUrl) {
+      throw this.notFound(`Widget type '${widgetType}' not found for provider '${provider}'`);
     }
 
-    // Build target URL
-    const widgetPath = widgetConfig.path.replace('{widgetId}', providerConfig.widgetId);
-    const targetUrl = `${providerConfig.baseUrl}${widgetPath}`;
+    const request = {
+      provider,
+      label: `${provider}/${widgetType}`,
+      providerConfig: adapter.providerConfig,
+      targetUrl,
+      cacheKey: this.widgetCacheKey(provider, widgetType, queryParams),
+      policy: this.getCachePolicy(adapter.providerConfig, 'scripts', adapter.getCacheTtl('scripts')),
+      queryParams,
+      requestHeaders
+    };
 
-    // Create cache key
-    const cacheKey = `widget:${provider}:${widgetType}:${JSON.stringify(queryParams)}`;
-    
+    const result = await this.serveWidget(request);
+    recordCacheLookup('scripts', result.cacheStatus);
+    return result;
+  }
+
+  /**
+   * Serve a widget request from the cache or upstream
+   */
+  async serveWidget(request) {
     // Check cache first
-    const cached = this.cache.get(cacheKey);
-    if (cached) {
-      logger.debug(`Cache hit for ${cacheKey}`);
-      return cached;
+    const cached = await this.readEntry(request.cacheKey);
+    const state = this.getEntryState(cached, request.policy);
+
+    if (state === 'fresh') {
+      logger.debug(`Cache hit for ${request.cacheKey}`);
+      return this.widgetResult(cached, 'HIT');
+    }
+
+    if (state === 'stale') {
+      this.refreshInBackground(request.cacheKey, async () => {
+        const result = await this.fetchWidgetShared(request, cached);
+        await finished(result.body.resume());
+      });
+      return this.widgetResult(cached, 'STALE');
     }
 
     try {
-      // Prepare request headers
+      return await this.fetchWidgetShared(request, cached);
+    } catch (error) {
+      if (this.canServeStaleOnError(cached, request.policy)) {
+        logger.warn(`Serving stale widget ${request.label} after upstream failure`, { error: error.message });
+        return this.widgetResult(cached, 'STALE');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch a widget script upstream, sharing the upstream response with concurrent misses
+   */
+  fetchWidgetShared(request, cached) {
+    return this.singleFlight.stream(request.cacheKey, () => this.fetchWidget(request, cached));
+  }
+
+  /**
+   * Fetch a widget script upstream, revalidating the cached entry when there is one
+   */
+  async fetchWidget(request, cached) {
+    const { label, providerConfig, targetUrl, cacheKey, policy, queryParams, requestHeaders } = request;
+
+    let response;
+    try {
+      // Prepare request headers (the body is decompressed here, so keep the provider's Accept-Encoding)
       const headers = {
         ...providerConfig.headers,
-        'User-Agent': requestHeaders.userAgent || providerConfig.headers['User-Agent'],
-        'Referer': requestHeaders.referer || 'https://kakbet.com'
+        'User-Agent': requestHeaders.userAgent || providerConfig.headers?.['User-Agent'],
+        'Referer': providerConfig.headers?.['Referer'] || requestHeaders.referer,
+        ...this.getConditionalHeaders(cached)
       };
 
-      if (requestHeaders.acceptEncoding) {
-        headers['Accept-Encoding'] = requestHeaders.acceptEncoding;
-      }
-
       logger.info(`Fetching widget: ${targetUrl}`, { headers, queryParams });
 
       // Make request
-      const response = await this.httpClient.get(targetUrl, {
+      response = await this.fetchUpstream(request, {
         headers,
         params: queryParams,
-        responseType: 'text'
+        responseType: 'stream',
+        decompress: false
       });
 
-      // Prepare response
-      const result = {
-        status: response.status,
-        data: response.data,
-        contentType: response.headers['content-type'] || 'application/javascript',
-        headers: this.buildResponseHeaders(response.headers, 'script')
-      };
-
-      // Cache the result
-      const cacheTtl = providerConfig.cache?.scripts || this.config.cache.defaultTtl;
-      this.cache.set(cacheKey, result, cacheTtl);
-
-      logger.info(`Widget proxied successfully: ${provider}/${widgetType}`, {
-        status: response.status,
-        size: response.data?.length || 0,
-        cached: cacheTtl
-      });
+    } catch (error) {
+      error.response?.data?.destroy?.();
 
-      return result;
+      if (error.circuitOpen) {
+        throw error;
+      }
 
-    } catch (error) {
-      logger.error(`Failed to proxy widget ${provider}/${widgetType}:`, {
+      logger.error(`Failed to proxy widget ${label}:`, {
         error: error.message,
         url: targetUrl,
         status: error.response?.status
       });
 
-      throw new Error(`Failed to fetch widget: ${error.message}`);
+      throw this.upstreamError(`Failed to fetch widget: ${error.message}`);
+    }
+
+    // Not modified: keep serving the cached script for another TTL
+    if (response.status === 304 && cached) {
+      response.data.destroy();
+      await this.revalidateEntry(cacheKey, cached, response.headers, policy);
+      logger.debug(`Widget revalidated: ${cacheKey}`);
+      return this.widgetResult(cached, 'REVALIDATED');
+    }
+
+    let decompress;
+    try {
+      decompress = createDecompressStream(response.headers['content-encoding']);
+    } catch (error) {
+      response.data.destroy();
+      throw error;
+    }
+
+    const meta = {
+      status: response.status,
+      contentType: response.headers['content-type'] || 'application/javascript',
+      headers: this.buildResponseHeaders(response.headers, 'script')
+    };
+
+    const streams = [response.data, decompress].filter(Boolean);
+
+    // Only successful scripts are cached, once the whole body has streamed through
+    if (response.status === 200) {
+      const maxEntrySize = this.config.cache.maxEntrySize ?? DEFAULT_MAX_ENTRY_SIZE;
+      streams.push(this.createCacheFillStream(maxEntrySize, (body, hash) => {
+        this.storeEntry(cacheKey, this.createEntry(meta, body, response.headers, hash), policy);
+
+        logger.info(`Widget proxied successfully: ${label}`, {
+          status: response.status,
+          size: body.length,
+          cached: policy.ttl
+        });
+      }, (size) => {
+        logger.warn(`Widget ${label} is too large to cache`, { size, maxEntrySize });
+      }));
     }
+
+    const body = streams.length > 1
+      ? pipeline(streams, (error) => {
+        if (error) {
+          logger.error(`Widget stream failed for ${label}:`, { error: error.message, url: targetUrl });
+        }
+      })
+      : streams[0];
+
+    return {
+      ...meta,
+      body,
+      version: response.headers.etag || response.headers['last-modified'] || null,
+      cacheStatus: 'MISS'
+    };
+  }
+
+  /**
+   * Build a streaming widget result from a cache entry
+   */
+  widgetResult(entry, cacheStatus) {
+    return { ...entry.meta, body: Readable.from([entry.body]), version: entry.version, cacheStatus };
+  }
+
+  /**
+   * Pass-through stream that hands the complete body and its hash to onComplete when it ends.
+   * Bodies over maxSize bytes are not collected: the chunks held so far are dropped and
+   * onTooLarge gets the final size instead, so one huge script cannot pin memory per request.
+   */
+  createCacheFillStream(maxSize, onComplete, onTooLarge = () => {}) {
+    let chunks = [];
+    let size = 0;
+    const hash = createHash('sha1');
+
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        size += chunk.length;
+        if (chunks && size <= maxSize) {
+          chunks.push(chunk);
+          hash.update(chunk);
+        } else {
+          chunks = null;
+        }
+        callback(null, chunk);
+      },
+      flush(callback) {
+        if (chunks) {
+          onComplete(Buffer.concat(chunks), hash.digest('hex'));
+        } else {
+          onTooLarge(size);
+        }
+        callback();
+      }
+    });
   }
 
   /**
    * Proxy asset requests (JS, CSS, images, etc.)
    */
   async proxyAsset(provider, assetPath, requestHeaders = {}) {
-    const providerConfig = this.config.providers[provider];
-    
-    if (!providerConfig) {
-      throw new Error(`Provider '${provider}' not found`);
-    }
+    const adapter = this.getAdapter(provider);
+    const resourceType = adapter.getResourceType(assetPath);
+    const request = {
+      provider,
+      assetPath,
+      providerConfig: adapter.providerConfig,
+      targetUrl: adapter.resolveAssetUrl(assetPath),
+      cacheKey: this.assetCacheKey(provider, assetPath),
+      policy: this.getCachePolicy(adapter.providerConfig, resourceType, adapter.getCacheTtl(resourceType)),
+      requestHeaders
+    };
 
-    // Build target URL
-    const targetUrl = `${providerConfig.baseUrl}${assetPath}`;
+    const result = await this.serveAsset(request);
+    recordCacheLookup(resourceType, result.cacheStatus);
+    return result;
+  }
+
+  /**
+   * Serve an asset request from the cache or upstream
+   */
+  async serveAsset(request) {
+    const { assetPath } = request;
 
-    // Create cache key
-    const cacheKey = `asset:${provider}:${assetPath}`;
-    
     // Check cache first
-    const cached = this.cache.get(cacheKey);
-    if (cached) {
-      logger.debug(`Cache hit for asset ${cacheKey}`);
-      return cached;
+    const cached = await this.readEntry(request.cacheKey);
+    const state = this.getEntryState(cached, request.policy);
+
+    if (state === 'fresh') {
+      logger.debug(`Cache hit for asset ${request.cacheKey}`);
+      return this.assetResult(cached, 'HIT');
+    }
+
+    if (state === 'stale') {
+      this.refreshInBackground(request.cacheKey, () => this.fetchAssetShared(request, cached));
+      return this.assetResult(cached, 'STALE');
+    }
+
+    try {
+      return await this.fetchAssetShared(request, cached);
+    } catch (error) {
+      if (this.canServeStaleOnError(cached, request.policy)) {
+        logger.warn(`Serving stale asset ${assetPath} after upstream failure`, { error: error.message });
+        return this.assetResult(cached, 'STALE');
+      }
+      throw error;
     }
+  }
+
+  /**
+   * Fetch an asset upstream, sharing the request with concurrent misses
+   */
+  fetchAssetShared(request, cached) {
+    return this.singleFlight.run(request.cacheKey, () => this.fetchAsset(request, cached));
+  }
+
+  /**
+   * Fetch an asset upstream, revalidating the cached entry when there is one
+   */
+  async fetchAsset(request, cached) {
+    const { assetPath, providerConfig, targetUrl, cacheKey, policy, requestHeaders } = request;
 
     try {
-      // Prepare request headers
+      // Prepare request headers (axios decompresses, so keep the provider's Accept-Encoding)
       const headers = {
         ...providerConfig.headers,
-        'User-Agent': requestHeaders.userAgent || providerConfig.headers['User-Agent'],
-        'Referer': requestHeaders.referer || 'https://kakbet.com'
+        'User-Agent': requestHeaders.userAgent || providerConfig.headers?.['User-Agent'],
+        'Referer': providerConfig.headers?.['Referer'] || requestHeaders.referer,
+        ...this.getConditionalHeaders(cached)
       };
 
-      if (requestHeaders.acceptEncoding) {
-        headers['Accept-Encoding'] = requestHeaders.acceptEncoding;
-      }
-
       logger.info(`Fetching asset: ${targetUrl}`);
 
       // Determine response type based on file extension
       const responseType = this.getResponseType(assetPath);
 
       // Make request
-      const response = await this.httpClient.get(targetUrl, {
+      const response = await this.fetchUpstream(request, {
         headers,
         responseType
       });
 
-      // Prepare response
-      const result = {
+      // Not modified: keep serving the cached asset for another TTL
+      if (response.status === 304 && cached) {
+        await this.revalidateEntry(cacheKey, cached, response.headers, policy);
+        logger.debug(`Asset revalidated: ${assetPath}`);
+        return this.assetResult(cached, 'REVALIDATED');
+      }
+
+      const entry = this.createEntry({
         status: response.status,
-        data: response.data,
         contentType: response.headers['content-type'] || this.getContentType(assetPath),
         headers: this.buildResponseHeaders(response.headers, 'asset')
-      };
+      }, response.data, response.headers);
 
       // Cache the result
-      const cacheTtl = this.getAssetCacheTtl(providerConfig, assetPath);
-      this.cache.set(cacheKey, result, cacheTtl);
+      if (response.status === 200) {
+        await this.storeEntry(cacheKey, entry, policy);
+      }
 
       logger.info(`Asset proxied successfully: ${assetPath}`, {
         status: response.status,
         size: response.data?.length || 0,
-        cached: cacheTtl
+        cached: policy.ttl
       });
 
-      return result;
+      return this.assetResult(entry, 'MISS');
 
     } catch (error) {
+      if (error.circuitOpen) {
+        throw error;
+      }
+
       logger.error(`Failed to proxy asset ${assetPath}:`, {
         error: error.message,
         url: targetUrl,
         status: error.response?.status
       });
 
-      throw new Error(`Failed to fetch asset: ${error.message}`);
+      throw this.upstreamError(`Failed to fetch asset: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build an asset result from a cache entry
+   */
+  assetResult(entry, cacheStatus) {
+    return { ...entry.meta, data: entry.body, cacheStatus };
+  }
+
+  /**
+   * Create a cache entry keeping the upstream validators for later revalidation
+   */
+  createEntry(meta, body, upstreamHeaders, bodyHash = null) {
+    const etag = upstreamHeaders.etag;
+    const lastModified = upstreamHeaders['last-modified'];
+
+    return {
+      meta,
+      body,
+      validators: { etag, lastModified },
+      version: etag || lastModified || bodyHash,
+      expiresAt: 0
+    };
+  }
+
+  /**
+   * GET a request's target URL with the HTTP client options given, or from fixtures
+   * when replaying (see FixtureStore); recorded when recording
+   * @returns {Promise<{ status: number, headers: Object, data: * }>} The axios response, or its replayed equivalent
+   */
+  async fetchUpstream(request, options) {
+    const url = withQueryParams(request.targetUrl, options.params);
+
+    if (this.fixtures.replaying) {
+      const fixture = await this.fixtures.replay('GET', url);
+      if (fixture) {
+        return { status: fixture.status, headers: fixture.headers, data: responseData(fixture.body, options.responseType) };
+      }
+    }
+
+    const response = await this.requestUpstream(request, (timeout) => this.httpClient.get(request.targetUrl, { ...options, timeout }));
+
+    if (this.fixtures.recording) {
+      if (options.responseType === 'stream') {
+        response.data = this.fixtures.capture('GET', url, response.status, response.headers, response.data);
+      } else {
+        const body = typeof response.data === 'string' ? Buffer.from(response.data) : Buffer.from(response.data ?? '');
+        this.fixtures.record('GET', url, response.status, response.headers, body);
+      }
+    }
+
+    return response;
+  }
+
+  /**
+   * Send an upstream GET through the provider's circuit breaker, retrying transient
+   * failures with backoff; `send(timeout)` performs one attempt
+   */
+  requestUpstream(request, send) {
+    const { timeout, retries, backoff } = getUpstreamPolicy(request.providerConfig);
+
+    return this.circuitBreakers.get(request.provider).run(() => withRetries(() => (
+      timeUpstream(request.provider, request.targetUrl, () => send(timeout))
+    ), {
+      retries,
+      backoff,
+      onRetry: (error, attempt, delay) => {
+        error.response?.data?.destroy?.();
+        logger.warn(`Retrying ${request.targetUrl} (attempt ${attempt} of ${retries}) in ${delay}ms`, {
+          error: error.message,
+          status: error.response?.status
+        });
+      }
+    }));
+  }
+
+  /**
+   * Read a cache entry; a failing cache backend is treated as a miss
+   */
+  async readEntry(cacheKey) {
+    try {
+      return await this.cache.get(cacheKey);
+    } catch (error) {
+      logger.warn(`Failed to read ${cacheKey} from cache:`, { error: error.message });
+      return undefined;
+    }
+  }
+
+  /**
+   * Store an entry as fresh for the policy TTL, keeping it around afterwards
+   * for revalidation and stale serving
+   */
+  async storeEntry(cacheKey, entry, policy) {
+    entry.expiresAt = Date.now() + policy.ttl * 1000;
+    const retention = Math.max(this.revalidateWindow, policy.staleWhileRevalidate, policy.staleIfError);
+
+    try {
+      await this.cache.set(cacheKey, entry, policy.ttl + retention);
+    } catch (error) {
+      logger.warn(`Failed to cache ${cacheKey}:`, { error: error.message });
+    }
+  }
+
+  /**
+   * Extend a cached entry after an upstream 304, picking up refreshed validators
+   */
+  async revalidateEntry(cacheKey, entry, upstreamHeaders, policy) {
+    if (upstreamHeaders.etag) {
+      entry.validators.etag = upstreamHeaders.etag;
+    }
+    if (upstreamHeaders['last-modified']) {
+      entry.validators.lastModified = upstreamHeaders['last-modified'];
+    }
+    if (upstreamHeaders['cache-control']) {
+      entry.meta.headers['Cache-Control'] = upstreamHeaders['cache-control'];
+    }
+
+    await this.storeEntry(cacheKey, entry, policy);
+  }
+
+  /**
+   * Classify a cache entry: 'fresh', 'stale' (within stale-while-revalidate), 'expired' or null
+   */
+  getEntryState(entry, policy) {
+    if (!entry) {
+      return null;
+    }
+
+    const expiredFor = Date.now() - entry.expiresAt;
+    if (expiredFor < 0) {
+      return 'fresh';
+    }
+
+    return expiredFor <= policy.staleWhileRevalidate * 1000 ? 'stale' : 'expired';
+  }
+
+  /**
+   * Whether an entry is recent enough to be served when upstream fails
+   */
+  canServeStaleOnError(entry, policy) {
+    return Boolean(entry) && Date.now() - entry.expiresAt <= policy.staleIfError * 1000;
+  }
+
+  /**
+   * Run a refresh in the background, at most one per cache key at a time
+   */
+  refreshInBackground(cacheKey, refresh) {
+    if (this.backgroundRefreshes.has(cacheKey)) {
+      return;
     }
+
+    this.backgroundRefreshes.add(cacheKey);
+    logger.debug(`Background refresh for ${cacheKey}`);
+
+    refresh()
+      .catch((error) => logger.warn(`Background refresh failed for ${cacheKey}:`, { error: error.message }))
+      .finally(() => this.backgroundRefreshes.delete(cacheKey));
+  }
+
+  /**
+   * Cache policy (TTL and stale windows in seconds) for a provider's resource type
+   */
+  getCachePolicy(providerConfig, resourceType, ttl) {
+    return {
+      ttl,
+      staleWhileRevalidate: providerConfig.cache?.staleWhileRevalidate?.[resourceType] || 0,
+      staleIfError: providerConfig.cache?.staleIfError?.[resourceType] || 0
+    };
+  }
+
+  /**
+   * Conditional request headers for revalidating an expired entry
+   */
+  getConditionalHeaders(entry) {
+    const headers = {};
+
+    if (entry?.validators.etag) {
+      headers['If-None-Match'] = entry.validators.etag;
+    }
+    if (entry?.validators.lastModified) {
+      headers['If-Modified-Since'] = entry.validators.lastModified;
+    }
+
+    return headers;
   }
 
   /**
    * Build response headers for proxied content
    */
   buildResponseHeaders(originalHeaders, resourceType) {
+    // CORS headers are set per request by CorsPolicy
     const headers = {
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Requested-With',
       'X-Frame-Options': 'SAMEORIGIN',
       'X-Content-Type-Options': 'nosniff'
     };
@@ -202,8 +632,13 @@ export class ProxyService {
       headers['Content-Type'] = originalHeaders['content-type'];
     }
 
-    if (originalHeaders['content-encoding']) {
-      headers['Content-Encoding'] = originalHeaders['content-encoding'];
+    if (originalHeaders['last-modified']) {
+      headers['Last-Modified'] = originalHeaders['last-modified'];
+    }
+
+    // Rewritten scripts get their own ETag from the route, so only assets keep the upstream one
+    if (originalHeaders['etag'] && resourceType !== 'script') {
+      headers['ETag'] = originalHeaders['etag'];
     }
 
     if (originalHeaders['cache-control']) {
@@ -267,41 +702,177 @@ export class ProxyService {
   }
 
   /**
-   * Get cache TTL for different asset types
+   * Build an error carrying an HTTP 502 status for upstream failures
    */
-  getAssetCacheTtl(providerConfig, assetPath) {
-    const ext = assetPath.split('.').pop()?.toLowerCase();
-    
-    if (ext === 'js') {
-      if (assetPath.includes('chunk.')) {
-        return providerConfig.cache?.chunks || 1800; // 30 minutes for chunks
-      }
-      return providerConfig.cache?.assets || 3600; // 1 hour for other JS
-    }
-    
-    if (ext === 'css') {
-      return providerConfig.cache?.assets || 3600; // 1 hour for CSS
-    }
-    
-    // Default for other assets
-    return providerConfig.cache?.assets || 3600;
+  upstreamError(message) {
+    const error = new Error(message);
+    error.status = 502;
+    return error;
+  }
+
+  /**
+   * Build an error carrying an HTTP 400 status for the routes
+   */
+  badRequest(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  }
+
+  /**
+   * Build an error carrying an HTTP 404 status for the routes
+   */
+  notFound(message) {
+    const error = new Error(message);
+    error.status = 404;
+    return error;
   }
 
   /**
    * Get cache statistics
    */
-  getCacheStats() {
+  async getCacheStats() {
+    const stats = await this.cache.getStats();
+
     return {
-      keys: this.cache.keys().length,
-      stats: this.cache.getStats()
+      keys: stats.keys,
+      stats,
+      coalescing: this.singleFlight.getStats()
     };
   }
 
+  /**
+   * List cache entries whose key passes `matches`, with size, seconds of freshness left
+   * (negative once expired), seconds the store retains them and hit counts
+   */
+  async listCacheEntries(matches = () => true) {
+    const now = Date.now();
+    const entries = (await this.cache.entries()).filter(({ key }) => matches(key));
+
+    return Promise.all(entries.map(async ({ key, size, expiresAt, hits }) => {
+      const entry = await this.cache.peek(key).catch(() => undefined);
+
+      return {
+        key,
+        size,
+        hits,
+        ttl: entry ? Math.round((entry.expiresAt - now) / 1000) : null,
+        retainedFor: Math.round((expiresAt - now) / 1000),
+        status: entry?.meta.status ?? null,
+        version: entry?.version ?? null
+      };
+    }));
+  }
+
+  /**
+   * Delete the cache entries whose key passes `matches`
+   * @returns {Promise<string[]>} Deleted keys
+   */
+  async purgeCache(matches) {
+    const keys = (await this.cache.keys()).filter(matches);
+
+    for (const key of keys) {
+      await this.cache.delete(key);
+    }
+
+    logger.info('Cache purged', { keys: keys.length });
+    return keys;
+  }
+
+  widgetCacheKey(provider, widgetType, queryParams = {}) {
+    return `widget:${this.tenant}:${provider}:${widgetType}:${JSON.stringify(queryParams)}`;
+  }
+
+  assetCacheKey(provider, assetPath) {
+    return `asset:${this.tenant}:${provider}:${assetPath}`;
+  }
+
+  /**
+   * Build a cache key predicate from admin filters. Keys look like
+   * `widget:{tenant}:{provider}:{widgetType}:{query}` and `asset:{tenant}:{provider}:{assetPath}`.
+   * @param {Object} filter - { tenant, provider, widgetType, assetPath, key, prefix, glob (`*` wildcards) };
+   *   all given filters must match
+   */
+  cacheKeyMatcher(filter = {}) {
+    const { tenant, provider, widgetType, assetPath, key, prefix, glob } = filter;
+    const predicates = [];
+
+    if ((widgetType || assetPath) && !provider) {
+      throw this.badRequest('widgetType and assetPath filters need a provider');
+    }
+
+    if (key) {
+      predicates.push((cacheKey) => cacheKey === key);
+    }
+    if (prefix) {
+      predicates.push((cacheKey) => cacheKey.startsWith(prefix));
+    }
+    if (glob) {
+      const pattern = globToRegExp(glob);
+      predicates.push((cacheKey) => pattern.test(cacheKey));
+    }
+    if (tenant || provider) {
+      predicates.push((cacheKey) => {
+        const [type, keyTenant, keyProvider, rest] = splitCacheKey(cacheKey);
+
+        if ((tenant && keyTenant !== tenant) || (provider && keyProvider !== provider)) return false;
+        if (widgetType) return type === 'widget' && rest.startsWith(`${widgetType}:`);
+        if (assetPath) return type === 'asset' && rest === assetPath;
+        return true;
+      });
+    }
+
+    return (cacheKey) => predicates.every((predicate) => predicate(cacheKey));
+  }
+
   /**
    * Clear cache
    */
-  clearCache() {
-    this.cache.flushAll();
+  async clearCache() {
+    await this.cache.clear();
     logger.info('Cache cleared');
   }
+
+  /**
+   * Release the cache backend (timers, connections)
+   */
+  async close() {
+    await this.cache.close();
+  }
+}
+
+/**
+ * Split a cache key into [type, tenant, provider, rest]
+ */
+function splitCacheKey(cacheKey) {
+  const parts = cacheKey.split(':');
+  return [...parts.slice(0, 3), parts.slice(3).join(':')];
+}
+
+/**
+ * Cache settings fixed when the store is created
+ */
+function cacheBackendSettings(config) {
+  const { backend, maxKeys, maxBytes, checkPeriod, file, redis } = config.cache || {};
+  return { backend, maxKeys, maxBytes, checkPeriod, file, redis };
+}
+
+/**
+ * A URL with query parameters added, as the HTTP client sends it
+ */
+function withQueryParams(targetUrl, params = {}) {
+  const url = new URL(targetUrl);
+  for (const [name, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null) url.searchParams.append(name, value);
+  }
+  return url.toString();
+}
+
+/**
+ * A replayed body in the shape the HTTP client returns for a response type
+ */
+function responseData(body, responseType) {
+  if (responseType === 'stream') return Readable.from([body]);
+  if (responseType === 'arraybuffer') return body;
+  return body.toString('utf8');
 }
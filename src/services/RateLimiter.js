@@ -0,0 +1,109 @@
+import { createHash } from 'crypto';
+import { createRateLimitStore } from '../ratelimit/index.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Per-client rate limiting with separate budgets for widget scripts, static
+ * assets and feed API calls. Clients are identified by a configured API key
+ * when they send one, otherwise by IP (req.ip, which honors the trusted
+ * X-Forwarded-For hops configured with `security.trustProxy`).
+ */
+export class RateLimiter {
+  constructor(config, store) {
+    this.config = config.security?.rateLimit || {};
+    this.enabled = this.config.enabled !== false;
+    this.store = store || createRateLimitStore(this.config);
+    this.apiKeyHeader = this.config.apiKeyHeader || 'X-API-Key';
+    this.apiKeys = new Set(this.config.apiKeys || []);
+    this.stats = { limited: 0 };
+
+    logger.info('RateLimiter initialized', {
+      enabled: this.enabled,
+      buckets: Object.keys(this.config.buckets || {})
+    });
+  }
+
+  /**
+   * Express middleware counting requests against a bucket ('scripts', 'assets', 'feeds')
+   */
+  middleware(bucket) {
+    return async (req, res, next) => {
+      const { max, windowMs } = this.getBudget(bucket);
+
+      if (!this.enabled || !max) {
+        next();
+        return;
+      }
+
+      let usage;
+      try {
+        usage = await this.store.increment(`${bucket}:${this.getClientKey(req)}`, windowMs);
+      } catch (error) {
+        // Fail open: a broken store must not take the proxy down
+        logger.warn('Rate limit store error', { bucket, error: error.message });
+        next();
+        return;
+      }
+
+      const resetSeconds = Math.max(Math.ceil((usage.resetAt - Date.now()) / 1000), 0);
+      res.set({
+        'RateLimit-Policy': `${max};w=${Math.ceil(windowMs / 1000)}`,
+        'RateLimit-Limit': String(max),
+        'RateLimit-Remaining': String(Math.max(max - usage.count, 0)),
+        'RateLimit-Reset': String(resetSeconds)
+      });
+
+      if (usage.count > max) {
+        this.stats.limited++;
+        logger.warn('Rate limit exceeded', { bucket, ip: req.ip, path: req.path });
+
+        res.set('Retry-After', String(resetSeconds));
+        res.status(429).json({
+          error: 'Too Many Requests',
+          message: `Rate limit of ${max} ${bucket} requests per ${Math.ceil(windowMs / 1000)}s exceeded`,
+          retryAfter: resetSeconds
+        });
+        return;
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Budget for a bucket; buckets inherit the global windowMs / max
+   */
+  getBudget(bucket) {
+    const budget = this.config.buckets?.[bucket] || {};
+
+    return {
+      windowMs: budget.windowMs || this.config.windowMs || 60000,
+      max: budget.max ?? this.config.max ?? 0
+    };
+  }
+
+  /**
+   * Client identity: a hash of a configured API key, or the client IP
+   */
+  getClientKey(req) {
+    const apiKey = req.get(this.apiKeyHeader);
+
+    if (apiKey && this.apiKeys.has(apiKey)) {
+      return `key:${createHash('sha1').update(apiKey).digest('hex').slice(0, 16)}`;
+    }
+
+    return `ip:${req.ip}`;
+  }
+
+  async getStats() {
+    return {
+      enabled: this.enabled,
+      ...this.stats,
+      store: await this.store.getStats()
+    };
+  }
+
+  async close() {
+    await this.store.close();
+  }
+}
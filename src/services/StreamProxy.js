@@ -0,0 +1,352 @@
+import http from 'http';
+import https from 'https';
+import { Readable } from 'stream';
+import { logger } from '../utils/logger.js';
+import { recordCacheLookup, recordLongLivedRequest, timeUpstream } from '../utils/metrics.js';
+import { getUpstreamPolicy, IDEMPOTENT_METHODS, RETRYABLE_STATUSES, withRetries } from '../utils/retry.js';
+import { SingleFlight } from '../utils/singleFlight.js';
+import { CircuitBreakers } from './CircuitBreaker.js';
+import { FeedCache } from './FeedCache.js';
+import { FixtureStore } from './FixtureStore.js';
+import { DEFAULT_MAX_CONNECTIONS_PER_CLIENT, LiveConnections } from './LiveConnections.js';
+
+/**
+ * Hop-by-hop headers that must not be forwarded to the client
+ */
+const HOP_BY_HOP_HEADERS = new Set([
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade'
+]);
+
+// Upstream timeout of long-lived feed requests without streaming.idleTimeout
+const DEFAULT_IDLE_TIMEOUT = 60000;
+
+/**
+ * Streaming proxy for pass-through upstream requests (licensing, translations, feeds)
+ */
+export class StreamProxy {
+  constructor(config, circuitBreakers = new CircuitBreakers(config), liveConnections = new LiveConnections()) {
+    this.config = config;
+    this.circuitBreakers = circuitBreakers;
+
+    // Long-lived feed responses count against the client's cap shared with WebSocket tunnels
+    this.liveConnections = liveConnections;
+    this.longLived = 0;
+
+    // Concurrent identical GETs share one upstream response
+    this.singleFlight = new SingleFlight();
+
+    // Feed polls are replayed for a few seconds (limits apply on restart)
+    this.feedCache = new FeedCache(config.cache);
+
+    // Upstream traffic recorded to / replayed from fixture files
+    this.fixtures = new FixtureStore(config.fixtures);
+  }
+
+  /**
+   * Switch to a reloaded configuration
+   */
+  updateConfig(config) {
+    this.config = config;
+    this.fixtures = new FixtureStore(config.fixtures);
+  }
+
+  /**
+   * Stream a request to the target URL and pipe the upstream response back as-is
+   * @param {string} targetUrl - Target URL to proxy
+   * @param {http.IncomingMessage} req - Incoming request
+   * @param {http.ServerResponse} res - Server response
+   * @param {Object} opts - Options for proxy behavior
+   * @param {string} opts.provider - Provider whose upstream headers are sent
+   * @param {Object} opts.providerConfig - The provider's settings as seen by the request's tenant
+   * @param {Object} opts.cache - Feed micro-cache policy for GETs: { key, ttl, maxEntrySize }
+   * @param {boolean} opts.longLived - Long poll or event stream: not coalesced, timed out
+   *   after `streaming.idleTimeout` ms, never buffered by response compression and
+   *   limited to `streaming.maxConnectionsPerClient` per client
+   */
+  proxyRequest(targetUrl, req, res, opts = {}) {
+    const { provider } = opts;
+    if (opts.longLived && !this.holdLiveConnection(provider, req, res)) {
+      return;
+    }
+
+    const providerConfig = opts.providerConfig || this.config.providers[provider] || {};
+    const cachePolicy = req.method === 'GET' && !opts.longLived && opts.cache?.ttl > 0 ? opts.cache : null;
+    const headers = this.buildUpstreamHeaders(req, providerConfig);
+
+    logger.debug('Stream proxy request initiated', { targetUrl, method: req.method });
+
+    if (cachePolicy) {
+      // Cached feeds fetch full responses and answer the client's conditional headers themselves
+      delete headers['If-None-Match'];
+      delete headers['If-Modified-Since'];
+    }
+
+    // A client gone before upstream answers aborts its own upstream request (shared ones keep going)
+    const abort = new AbortController();
+    let closed = false;
+    res.on('close', () => {
+      closed = true;
+      if (!res.writableFinished) abort.abort();
+    });
+
+    const upstream = cachePolicy
+      ? this.openCachedFeed(cachePolicy, provider, providerConfig, targetUrl, req, headers)
+      : req.method === 'GET' && !opts.longLived
+        ? this.singleFlight.stream(
+          coalescingKey(req, targetUrl, headers),
+          () => this.requestUpstream(provider, providerConfig, targetUrl, req, headers)
+        )
+        : this.requestUpstream(provider, providerConfig, targetUrl, req, headers, {
+          signal: abort.signal,
+          ...(opts.longLived && { timeout: this.config.streaming?.idleTimeout || DEFAULT_IDLE_TIMEOUT })
+        });
+
+    upstream.then(({ statusCode, headers: upstreamHeaders, body, cacheStatus, age }) => {
+      if (closed) {
+        body.destroy();
+        return;
+      }
+
+      // Forward headers and body as-is (preserve content-length, cache-control, encoding)
+      for (const [key, value] of Object.entries(upstreamHeaders)) {
+        // CORS is decided by our own policy, not upstream's
+        if (value === undefined || HOP_BY_HOP_HEADERS.has(key) || key.startsWith('access-control-')) continue;
+        try { res.setHeader(key, value); } catch {}
+      }
+      res.status(statusCode);
+
+      if (opts.longLived) {
+        // Compression would hold events back until its buffer fills
+        res.set('Cache-Control', [res.get('Cache-Control'), 'no-transform'].filter(Boolean).join(', '));
+      }
+
+      if (cacheStatus) {
+        res.set('X-Cache', cacheStatus);
+        if (age !== undefined) res.set('Age', String(age));
+
+        if (statusCode === 200 && req.fresh) {
+          body.destroy();
+          res.status(304).end();
+          return;
+        }
+      }
+
+      body.on('error', (err) => res.destroy(err));
+      res.on('close', () => body.destroy());
+      body.pipe(res);
+    }).catch((err) => {
+      if (closed) {
+        logger.debug('Client closed before upstream answered', { targetUrl, error: err.message });
+        return;
+      }
+
+      logger.error('Stream proxy error', { targetUrl, error: err.message });
+
+      if (res.headersSent) {
+        res.destroy(err);
+        return;
+      }
+
+      if (err.retryAfter) {
+        res.set('Retry-After', String(err.retryAfter));
+      }
+      res.status(err.status || 500).json({ error: 'Proxy Error', message: err.message });
+    });
+  }
+
+  /**
+   * Count a long-lived response against the client's live connections until it closes,
+   * or answer 429 when the client already holds `streaming.maxConnectionsPerClient`
+   * @returns {boolean} Whether the request may proceed
+   */
+  holdLiveConnection(provider, req, res) {
+    const maxPerClient = this.config.streaming?.maxConnectionsPerClient ?? DEFAULT_MAX_CONNECTIONS_PER_CLIENT;
+    const release = this.liveConnections.acquire(req.ip, maxPerClient);
+
+    if (!release) {
+      logger.warn('Long-lived feed connection limit reached', { client: req.ip, provider, open: this.liveConnections.count(req.ip) });
+      recordLongLivedRequest(provider, 'rejected');
+      res.status(429).json({ error: 'Too Many Requests', message: `At most ${maxPerClient} live connections per client` });
+      return false;
+    }
+
+    const markFinished = recordLongLivedRequest(provider, 'opened');
+    this.longLived++;
+    res.on('close', () => {
+      this.longLived--;
+      release();
+      markFinished();
+    });
+    return true;
+  }
+
+  /**
+   * Open a feed poll from the micro-cache, or upstream through a coalesced request
+   * whose response is stored for the next polls
+   * @returns {Promise<{ statusCode: number, headers: Object, body: Readable, cacheStatus: string, age?: number }>}
+   */
+  async openCachedFeed(policy, provider, providerConfig, targetUrl, req, headers) {
+    const cached = await this.feedCache.get(policy.key).catch(() => undefined);
+    recordCacheLookup('feeds', cached ? 'HIT' : 'MISS');
+
+    if (cached) {
+      return {
+        statusCode: cached.status,
+        headers: cached.headers,
+        body: Readable.from([cached.body]),
+        cacheStatus: 'HIT',
+        age: Math.floor((Date.now() - cached.storedAt) / 1000)
+      };
+    }
+
+    const response = await this.singleFlight.stream(`feed|${policy.key}`, async () => {
+      const upstream = await this.requestUpstream(provider, providerConfig, targetUrl, req, headers);
+      this.feedCache.capture(policy, upstream);
+      return upstream;
+    });
+
+    return { ...response, cacheStatus: 'MISS' };
+  }
+
+  /**
+   * Headers sent upstream: the provider's headers plus the client's body type and validators
+   */
+  buildUpstreamHeaders(req, providerConfig) {
+    const headers = { ...providerConfig.headers };
+
+    if (req.headers['content-type']) {
+      headers['Content-Type'] = req.headers['content-type'];
+    }
+
+    // Let upstream answer the client's conditional requests with 304
+    if (req.headers['if-none-match']) {
+      headers['If-None-Match'] = req.headers['if-none-match'];
+    }
+    if (req.headers['if-modified-since']) {
+      headers['If-Modified-Since'] = req.headers['if-modified-since'];
+    }
+
+    return headers;
+  }
+
+  /**
+   * Open an upstream request through the provider's circuit breaker. Idempotent
+   * requests are retried on network errors, timeouts and 502/503/504 responses;
+   * a retryable status on the last attempt is answered with a 502 / 503 error.
+   * Fixtures answer instead when replaying, and responses are recorded when recording.
+   * @param {Object} [overrides] - Upstream policy settings replacing the provider's (e.g. timeout)
+   * @param {AbortSignal} [overrides.signal] - Aborts the request, including retries not yet sent
+   */
+  async requestUpstream(provider, providerConfig, targetUrl, req, headers, { signal, ...overrides } = {}) {
+    if (this.fixtures.replaying) {
+      const fixture = await this.fixtures.replay(req.method, targetUrl);
+      if (fixture) {
+        return { statusCode: fixture.status, headers: fixture.headers, body: Readable.from([fixture.body]) };
+      }
+    }
+
+    const { timeout, retries, backoff } = { ...getUpstreamPolicy(providerConfig), ...overrides };
+
+    const response = await this.circuitBreakers.get(provider).run(() => withRetries(async () => {
+      const response = await timeUpstream(provider, targetUrl, () => this.openUpstream(targetUrl, req, headers, timeout, signal));
+
+      if (RETRYABLE_STATUSES.has(response.statusCode)) {
+        response.body.resume();
+        const error = new Error(`Upstream responded with ${response.statusCode}`);
+        error.status = 502;
+        error.upstreamStatus = response.statusCode;
+        throw error;
+      }
+
+      return response;
+    }, {
+      retries: IDEMPOTENT_METHODS.has(req.method) ? retries : 0,
+      backoff,
+      signal,
+      onRetry: (error, attempt, delay) => {
+        logger.warn(`Retrying ${targetUrl} (attempt ${attempt} of ${retries}) in ${delay}ms`, { error: error.message });
+      }
+    }));
+
+    return this.fixtures.recording
+      ? { ...response, body: this.fixtures.capture(req.method, targetUrl, response.statusCode, response.headers, response.body) }
+      : response;
+  }
+
+  /**
+   * Open an upstream request and resolve with its status, headers and body stream.
+   * The request is aborted if the socket is idle for `timeout` ms, before or after the response starts,
+   * or when `signal` aborts.
+   * @returns {Promise<{ statusCode: number, headers: Object, body: http.IncomingMessage }>}
+   */
+  openUpstream(targetUrl, req, headers, timeout, signal) {
+    const startTime = Date.now();
+    const targetUrlObj = new URL(targetUrl);
+    const options = {
+      hostname: targetUrlObj.hostname,
+      port: targetUrlObj.port || (targetUrlObj.protocol === 'https:' ? 443 : 80),
+      path: targetUrlObj.pathname + targetUrlObj.search,
+      method: req.method,
+      headers,
+      signal
+    };
+
+    const client = targetUrlObj.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const proxyReq = client.request(options, (proxyRes) => {
+        logger.info('Proxy response received', {
+          statusCode: proxyRes.statusCode,
+          targetUrl,
+          duration: `${Date.now() - startTime}ms`
+        });
+
+        resolve({ statusCode: proxyRes.statusCode, headers: proxyRes.headers, body: proxyRes });
+      });
+
+      proxyReq.on('error', reject);
+      proxyReq.setTimeout(timeout, () => {
+        const error = new Error(`Upstream timed out after ${timeout}ms`);
+        error.code = 'ETIMEDOUT';
+        error.status = 504;
+        proxyReq.destroy(error);
+      });
+
+      if (req.method === 'GET' || req.method === 'HEAD') {
+        proxyReq.end();
+      } else {
+        req.pipe(proxyReq);
+      }
+    });
+  }
+
+  /**
+   * Coalescing, long-lived response and feed cache statistics for the pass-through path
+   */
+  async getStats() {
+    return { ...this.singleFlight.getStats(), longLived: this.longLived, feedCache: await this.feedCache.getStats() };
+  }
+
+  /**
+   * Release the feed cache's timer
+   */
+  async close() {
+    await this.feedCache.close();
+  }
+}
+
+/**
+ * Single-flight key of a pass-through GET. The tenant and every upstream header
+ * (Referer, User-Agent, validators) are part of it, so brands never share a response.
+ */
+function coalescingKey(req, targetUrl, headers) {
+  const upstreamHeaders = Object.entries(headers).sort(([a], [b]) => a.localeCompare(b));
+  return [req.tenant?.name || '', targetUrl, JSON.stringify(upstreamHeaders)].join('|');
+}
@@ -0,0 +1,180 @@
+import { createHash } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+
+const TEMPLATE_PATH = path.join(process.cwd(), 'widget', 'theme.template.css');
+const PALETTE_COLORS = ['primary', 'home', 'away', 'cl', 'base'];
+const THEME_REF_PATTERN = /^([\w-]{1,64})(?::([\w-]{1,64}))?$/;
+
+/**
+ * SIR stylesheets generated from the brand palettes in `themes`. Each palette names the
+ * five theme colors (primary, home, away, cl for text, base for the background) and may
+ * declare variants (e.g. `dark`) overriding some of them. Themes are referenced as
+ * `name` or `name:variant`; rendered stylesheets are kept for the configuration's lifetime
+ * with a content-hashed ETag.
+ */
+export class ThemeService {
+  constructor(config) {
+    this.themes = config.themes || {};
+    this.rendered = new Map();
+  }
+
+  /**
+   * Parse a `name` / `name:variant` reference to a configured theme, or null
+   * @returns {?{ name: string, variant: ?string }}
+   */
+  resolve(ref) {
+    const match = typeof ref === 'string' ? ref.match(THEME_REF_PATTERN) : null;
+    if (!match || !Object.hasOwn(this.themes, match[1])) {
+      return null;
+    }
+
+    const [, name, variant = null] = match;
+    if (variant && !Object.hasOwn(this.themes[name].variants || {}, variant)) {
+      return null;
+    }
+    return { name, variant };
+  }
+
+  /**
+   * Configured theme names with their variant names
+   * @returns {Object<string, string[]>}
+   */
+  list() {
+    return Object.fromEntries(Object.entries(this.themes).map(([name, theme]) => [name, Object.keys(theme.variants || {})]));
+  }
+
+  /**
+   * Stylesheet URL of a theme reference, relative to the tenant's routes
+   */
+  getUrl({ name, variant }, prefix = '') {
+    return `${prefix}/themes/${encodeURIComponent(name)}.css${variant ? `?variant=${encodeURIComponent(variant)}` : ''}`;
+  }
+
+  /**
+   * Render a theme's stylesheet
+   * @returns {Promise<{ css: string, etag: string }>}
+   */
+  async render({ name, variant }) {
+    const key = `${name}:${variant || ''}`;
+    if (!this.rendered.has(key)) {
+      const { variants, formula, ...colors } = this.themes[name];
+      const palette = { ...colors, ...(variant ? variants[variant] : {}) };
+
+      const rendering = loadTemplate().then((template) => {
+        const css = renderTemplate(template, palette);
+        const etag = `"${createHash('sha1').update(css).digest('base64url')}"`;
+        logger.debug('Theme rendered', { name, variant, size: css.length });
+        return { css, etag };
+      });
+      rendering.catch(() => this.rendered.delete(key));
+      this.rendered.set(key, rendering);
+    }
+
+    return this.rendered.get(key);
+  }
+}
+
+let template;
+
+/**
+ * The theme template, read once
+ */
+function loadTemplate() {
+  if (!template) {
+    template = fs.readFile(TEMPLATE_PATH, 'utf8');
+    template.catch(() => { template = undefined; });
+  }
+  return template;
+}
+
+/**
+ * Fill a template's {{ expressions }} with a palette and drop its header comment
+ */
+export function renderTemplate(source, palette) {
+  const colors = Object.fromEntries(PALETTE_COLORS.map((name) => [name, parseColor(palette[name])]));
+
+  return source
+    .replace(/^\/\*[\s\S]*?\*\/\n/, '')
+    .replace(/\{\{\s*(.+?)\s*\}\}/g, (placeholder, expression) => formatValue(evaluate(expression, colors)));
+}
+
+/**
+ * Evaluate a template expression: palette color names, numbers, bare words and
+ * the calls mix(), rgba(), contrast() and tone()
+ */
+function evaluate(expression, colors) {
+  const tokens = expression.match(/[\w.#-]+|[(),]/g) || [];
+  let position = 0;
+  const invalid = () => new Error(`Invalid theme expression: ${expression}`);
+
+  const parse = () => {
+    const token = tokens[position++];
+    if (tokens[position] !== '(') {
+      if (colors[token]) return colors[token];
+      return Number.isNaN(Number(token)) ? token : Number(token);
+    }
+
+    position++;
+    const args = [];
+    while (tokens[position] !== ')') {
+      // Unclosed call
+      if (position >= tokens.length) throw invalid();
+      args.push(parse());
+      if (tokens[position] === ',') position++;
+    }
+    position++;
+    return call(token, args);
+  };
+
+  const value = parse();
+  if (position !== tokens.length) {
+    throw invalid();
+  }
+  return value;
+}
+
+function call(name, args) {
+  switch (name) {
+    case 'mix': {
+      // In whole percent, as Sass mixes, so halves round the same way
+      const [a, b, weight] = args;
+      const percent = Math.round(weight * 100);
+      const channel = (key) => (a[key] * percent + b[key] * (100 - percent)) / 100;
+      return { r: channel('r'), g: channel('g'), b: channel('b'), a: 1 };
+    }
+    case 'rgba':
+      return { ...args[0], a: args[1] };
+    case 'contrast':
+      return isDark(args[0]) ? { r: 255, g: 255, b: 255, a: 1 } : { r: 0, g: 0, b: 0, a: 1 };
+    case 'tone':
+      return isDark(args[0]) ? args[1] : args[2];
+    default:
+      throw new Error(`Unknown theme function: ${name}`);
+  }
+}
+
+/**
+ * Whether white text reads better than black on a color (YIQ brightness)
+ */
+function isDark({ r, g, b }) {
+  return (r * 299 + g * 587 + b * 114) / 1000 < 128;
+}
+
+function parseColor(hex) {
+  const digits = hex.slice(1).length === 3 ? hex.slice(1).replace(/./g, '$&$&') : hex.slice(1);
+  const [r, g, b] = [0, 2, 4].map((offset) => parseInt(digits.slice(offset, offset + 2), 16));
+  return { r, g, b, a: 1 };
+}
+
+function formatValue(value) {
+  if (typeof value !== 'object') {
+    return String(value);
+  }
+
+  const [r, g, b] = [value.r, value.g, value.b].map(Math.round);
+  return value.a === 1
+    ? `#${[r, g, b].map((channel) => channel.toString(16).padStart(2, '0')).join('')}`
+    : `rgba(${r}, ${g}, ${b}, ${value.a})`;
+}
@@ -0,0 +1,240 @@
+import http from 'http';
+import https from 'https';
+import { pipeline, Transform } from 'stream';
+import { logger } from '../utils/logger.js';
+import { recordWebSocketUpgrade } from '../utils/metrics.js';
+import { DEFAULT_MAX_CONNECTIONS_PER_CLIENT, LiveConnections } from './LiveConnections.js';
+
+const DEFAULT_IDLE_TIMEOUT = 60000;
+
+// Handshake headers passed from the client to upstream
+const HANDSHAKE_HEADERS = ['sec-websocket-key', 'sec-websocket-version', 'sec-websocket-extensions', 'sec-websocket-protocol'];
+
+// Upstream connection headers replaced when relaying a refused upgrade, whose socket is closed after it
+const RELAY_CONNECTION_HEADERS = new Set(['connection', 'keep-alive']);
+
+/**
+ * Tunnels WebSocket upgrades for feed APIs to the provider's feed host. The
+ * handshake carries the provider's headers, with Referer and Origin standing in
+ * for the embedding page; after the 101 both sockets are piped as-is. Tunnels idle
+ * for `streaming.idleTimeout` ms are closed, and each client (req.ip) may hold
+ * at most `streaming.maxConnectionsPerClient` live feed connections, long polls included.
+ */
+export class WebSocketProxy {
+  constructor(config, liveConnections = new LiveConnections()) {
+    this.config = config;
+    this.liveConnections = liveConnections;
+    this.tunnels = new Set();
+  }
+
+  /**
+   * Switch to a reloaded configuration; open tunnels keep running
+   */
+  updateConfig(config) {
+    this.config = config;
+  }
+
+  /**
+   * Open a tunnel for an upgrade request
+   * @param {http.IncomingMessage} req - Upgrade request with Express request helpers (req.ip)
+   * @param {net.Socket} socket - Client socket
+   * @param {Buffer} head - First packet of the upgraded stream
+   * @param {{ provider: string, providerConfig: Object, targetUrl: string }} target
+   */
+  tunnel(req, socket, head, { provider, providerConfig, targetUrl }) {
+    const settings = this.config.streaming || {};
+    const maxPerClient = settings.maxConnectionsPerClient ?? DEFAULT_MAX_CONNECTIONS_PER_CLIENT;
+    const clientKey = req.ip;
+
+    socket.on('error', () => socket.destroy());
+
+    // Count the connection from the start of the handshake, so bursts cannot exceed the cap
+    const release = this.liveConnections.acquire(clientKey, maxPerClient);
+    if (!release) {
+      logger.warn('WebSocket connection limit reached', { client: clientKey, provider, open: this.liveConnections.count(clientKey) });
+      recordWebSocketUpgrade(provider, 'rejected');
+      rejectUpgrade(socket, 429, `At most ${maxPerClient} live connections per client`);
+      return;
+    }
+    socket.on('close', release);
+
+    const url = new URL(targetUrl);
+    const client = url.protocol === 'https:' || url.protocol === 'wss:' ? https : http;
+    const upstreamReq = client.request({
+      hostname: url.hostname,
+      port: url.port || (client === https ? 443 : 80),
+      path: url.pathname + url.search,
+      method: 'GET',
+      headers: this.buildHandshakeHeaders(req, providerConfig)
+    });
+
+    upstreamReq.setTimeout(providerConfig.timeout || 10000, () => {
+      upstreamReq.destroy(Object.assign(new Error('Upstream handshake timed out'), { status: 504 }));
+    });
+
+    // A client leaving during the handshake abandons it
+    let upgraded = false;
+    socket.on('close', () => {
+      if (!upgraded) upstreamReq.destroy();
+    });
+
+    upstreamReq.on('upgrade', (upstreamRes, upstreamSocket, upstreamHead) => {
+      upgraded = true;
+      upstreamReq.setTimeout(0);
+      this.connect(socket, head, upstreamRes, upstreamSocket, upstreamHead, {
+        provider,
+        targetUrl,
+        idleTimeout: settings.idleTimeout ?? DEFAULT_IDLE_TIMEOUT
+      });
+    });
+
+    // Upstream answered without upgrading: relay its response and close. Node has already
+    // removed the chunk framing from the body, so a chunked response is framed again.
+    upstreamReq.on('response', (upstreamRes) => {
+      recordWebSocketUpgrade(provider, 'refused');
+      logger.warn('Upstream refused WebSocket upgrade', { targetUrl, status: upstreamRes.statusCode });
+
+      const chunked = /\bchunked\b/i.test(upstreamRes.headers['transfer-encoding'] || '');
+      const headers = formatHeaders(upstreamRes.rawHeaders, RELAY_CONNECTION_HEADERS);
+      socket.write(`HTTP/1.1 ${upstreamRes.statusCode} ${upstreamRes.statusMessage}\r\n${headers}Connection: close\r\n\r\n`);
+      pipeline(upstreamRes, ...(chunked ? [chunkEncoder()] : []), socket, (error) => {
+        if (error) socket.destroy();
+      });
+    });
+
+    upstreamReq.on('error', (error) => {
+      recordWebSocketUpgrade(provider, 'failed');
+      logger.error('WebSocket upstream error', { targetUrl, error: error.message });
+      rejectUpgrade(socket, error.status || 502, `Upstream connection failed: ${error.message}`);
+    });
+
+    upstreamReq.end();
+  }
+
+  /**
+   * Complete the client handshake with upstream's 101 and pipe the sockets together
+   */
+  connect(socket, head, upstreamRes, upstreamSocket, upstreamHead, { provider, targetUrl, idleTimeout }) {
+    const markClosed = recordWebSocketUpgrade(provider, 'opened');
+    const tunnel = { socket, upstreamSocket };
+    this.tunnels.add(tunnel);
+
+    const close = () => {
+      this.tunnels.delete(tunnel);
+      markClosed();
+      socket.destroy();
+      upstreamSocket.destroy();
+    };
+
+    socket.write(`HTTP/1.1 101 Switching Protocols\r\n${formatHeaders(upstreamRes.rawHeaders)}\r\n`);
+    if (upstreamHead?.length) socket.write(upstreamHead);
+    if (head?.length) upstreamSocket.write(head);
+
+    for (const side of [socket, upstreamSocket]) {
+      side.setTimeout(idleTimeout, () => {
+        logger.debug('Closing idle WebSocket tunnel', { targetUrl, idleTimeout });
+        close();
+      });
+      side.on('error', close);
+      side.on('close', close);
+    }
+
+    socket.pipe(upstreamSocket);
+    upstreamSocket.pipe(socket);
+
+    logger.info('WebSocket tunnel opened', { provider, targetUrl });
+  }
+
+  /**
+   * Provider headers for the upstream handshake, with the client's WebSocket headers.
+   * Origin is derived from the provider's Referer, as a page on that site would send it.
+   */
+  buildHandshakeHeaders(req, providerConfig) {
+    const { 'Accept-Encoding': acceptEncoding, ...headers } = providerConfig.headers || {};
+
+    for (const name of HANDSHAKE_HEADERS) {
+      if (req.headers[name]) headers[name] = req.headers[name];
+    }
+
+    const referer = headers.Referer || headers.referer;
+    if (referer && !headers.Origin) {
+      headers.Origin = new URL(referer).origin;
+    }
+
+    headers.Connection = 'Upgrade';
+    headers.Upgrade = req.headers.upgrade || 'websocket';
+    return headers;
+  }
+
+  /**
+   * Open tunnels, and clients holding live feed connections (tunnels or long polls)
+   */
+  getStats() {
+    return {
+      open: this.tunnels.size,
+      clients: this.liveConnections.getStats().clients
+    };
+  }
+
+  /**
+   * Close every open tunnel (on shutdown)
+   */
+  close() {
+    for (const { socket, upstreamSocket } of this.tunnels) {
+      socket.destroy();
+      upstreamSocket.destroy();
+    }
+  }
+}
+
+/**
+ * Answer an upgrade request with a plain HTTP error and close the socket
+ */
+export function rejectUpgrade(socket, status, message) {
+  if (!socket.writable) {
+    socket.destroy();
+    return;
+  }
+
+  const body = JSON.stringify({ error: http.STATUS_CODES[status] || 'Error', message });
+  socket.end([
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status] || ''}`,
+    'Content-Type: application/json',
+    `Content-Length: ${Buffer.byteLength(body)}`,
+    'Connection: close',
+    '',
+    body
+  ].join('\r\n'));
+}
+
+/**
+ * Serialize raw header pairs, leaving out upstream CORS headers and `omit` (lower-case names)
+ */
+function formatHeaders(rawHeaders, omit = new Set()) {
+  let lines = '';
+  for (let i = 0; i < rawHeaders.length; i += 2) {
+    const name = rawHeaders[i].toLowerCase();
+    if (name.startsWith('access-control-') || omit.has(name)) continue;
+    lines += `${rawHeaders[i]}: ${rawHeaders[i + 1]}\r\n`;
+  }
+  return lines;
+}
+
+/**
+ * HTTP/1.1 chunked transfer coding of a body stream
+ */
+function chunkEncoder() {
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      // An empty chunk would read as the last one
+      if (!chunk.length) {
+        callback();
+        return;
+      }
+      callback(null, Buffer.concat([Buffer.from(`${chunk.length.toString(16)}\r\n`), chunk, Buffer.from('\r\n')]));
+    },
+    flush(callback) {
+      callback(null, Buffer.from('0\r\n\r\n'));
+    }
+  });
+}
@@ -0,0 +1,161 @@
+/**
+ * Widget loader rewrite rules
+ *
+ * Rules come from the provider adapter (by default providers.yaml, provider-level
+ * `rewrites` first, then the widget type's own) and are applied in order. Each rule is
+ * `{ name, match, type: 'literal' | 'regex', flags, replace, maxMatchLength }`;
+ * the replacement template may use `{publicBaseUrl}`, `{publicWsBaseUrl}` (its ws://
+ * or wss:// form, for feed sockets) and `{provider}`, and regex rules may use
+ * `$1`..`$n` / `$&` back-references.
+ *
+ * When streaming, a regex match is only guaranteed to be found across chunk
+ * boundaries if it is at most `maxMatchLength` characters long.
+ */
+
+import { StringDecoder } from 'string_decoder';
+import { Transform } from 'stream';
+
+const DEFAULT_REGEX_WINDOW = 512;
+
+/**
+ * Compile rules into global regular expressions with resolved replacement templates
+ */
+export function compileRewriteRules(rules, context = {}) {
+  return rules.map((rule, index) => {
+    const type = rule.type || 'literal';
+    const source = type === 'regex' ? rule.match : escapeRegExp(rule.match);
+    const flags = new Set(`${rule.flags || ''}g`);
+
+    return {
+      name: rule.name || `rule-${index + 1}`,
+      type,
+      match: rule.match,
+      regex: new RegExp(source, [...flags].join('')),
+      replacement: renderTemplate(rule.replace ?? '', context),
+      window: type === 'regex'
+        ? (rule.maxMatchLength || DEFAULT_REGEX_WINDOW)
+        : Math.max(String(rule.match).length - 1, 0)
+    };
+  });
+}
+
+/**
+ * Apply rewrite rules to a script
+ * @param {string} script - Widget loader script body
+ * @param {Array} rules - Rules from the provider adapter's getRewriteRules()
+ * @param {Object} context - Placeholder values ({ publicBaseUrl, publicWsBaseUrl, provider })
+ * @returns {{ output: string, hits: Array<{ name: string, type: string, match: string, count: number }> }}
+ */
+export function applyRewriteRules(script, rules, context = {}) {
+  let output = String(script);
+  const hits = [];
+
+  for (const rule of compileRewriteRules(rules, context)) {
+    let count = 0;
+    output = output.replace(rule.regex, (...args) => {
+      count++;
+      const hasNamedGroups = typeof args[args.length - 1] === 'object';
+      return expandReplacement(rule.replacement, args.slice(0, hasNamedGroups ? -3 : -2));
+    });
+    hits.push({ name: rule.name, type: rule.type, match: rule.match, count });
+  }
+
+  return { output, hits };
+}
+
+/**
+ * Transform stream applying rewrite rules to a UTF-8 text stream.
+ * Each rule keeps a tail of unprocessed text so matches split across chunk
+ * boundaries are still rewritten; only that tail is ever buffered.
+ */
+export class RewriteStream extends Transform {
+  constructor(rules, context = {}) {
+    super();
+    this.decoder = new StringDecoder('utf8');
+    this.stages = compileRewriteRules(rules, context).map((rule) => ({ rule, carry: '', count: 0 }));
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.pushText(this.rewrite(this.decoder.write(chunk), false));
+    callback();
+  }
+
+  _flush(callback) {
+    this.pushText(this.rewrite(this.decoder.end(), true));
+    callback();
+  }
+
+  pushText(text) {
+    if (text) {
+      this.push(Buffer.from(text, 'utf8'));
+    }
+  }
+
+  rewrite(text, final) {
+    return this.stages.reduce((input, stage) => rewriteStage(stage, input, final), text);
+  }
+
+  /**
+   * Per-rule match counts so far, in the same shape as applyRewriteRules()
+   */
+  get hits() {
+    return this.stages.map(({ rule, count }) => ({ name: rule.name, type: rule.type, match: rule.match, count }));
+  }
+}
+
+/**
+ * Rewrite the safe part of a stage's buffered text and keep the tail that may still grow into a match
+ */
+function rewriteStage(stage, input, final) {
+  const { rule } = stage;
+  const text = stage.carry + input;
+  const safeEnd = final ? text.length : text.length - rule.window;
+
+  if (safeEnd <= 0) {
+    stage.carry = text;
+    return '';
+  }
+
+  let output = '';
+  let cursor = 0;
+  let match;
+
+  rule.regex.lastIndex = 0;
+  while ((match = rule.regex.exec(text)) !== null && match.index < safeEnd) {
+    if (match[0].length === 0) {
+      rule.regex.lastIndex++;
+      continue;
+    }
+
+    output += text.slice(cursor, match.index) + expandReplacement(rule.replacement, match);
+    cursor = match.index + match[0].length;
+    stage.count++;
+  }
+
+  const cut = Math.max(cursor, safeEnd);
+  stage.carry = text.slice(cut);
+  return output + text.slice(cursor, cut);
+}
+
+/**
+ * Substitute {placeholder} values in a replacement template
+ */
+function renderTemplate(template, context) {
+  return String(template).replace(/\{(\w+)\}/g, (placeholder, key) => (
+    context[key] !== undefined ? String(context[key]) : placeholder
+  ));
+}
+
+/**
+ * Expand $& and $n back-references for a match ([full, ...groups])
+ */
+function expandReplacement(replacement, match) {
+  return replacement.replace(/\$(&|\d+)/g, (token, ref) => {
+    if (ref === '&') return match[0];
+    return match[Number(ref)] ?? '';
+  });
+}
+
+function escapeRegExp(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
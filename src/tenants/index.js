@@ -0,0 +1,203 @@
+import { createProviderAdapters } from '../providers/index.js';
+
+/**
+ * Tenants (brands)
+ *
+ * Each tenant in `tenants` gets its own view of the configuration: provider
+ * settings overlaid with the tenant's `providers.{name}` block (widgetId,
+ * headers, options), its `referer` / `userAgent` as upstream headers and its
+ * `allowedOrigins` for CORS. A request is assigned a tenant by, in order:
+ *   1. path prefix (`pathPrefix: /kakbet`, stripped before routing)
+ *   2. tenant key (`X-Tenant` header or `?tenant=` query parameter naming the tenant)
+ *   3. Host header (`hosts`)
+ *   4. the tenant marked `default: true`
+ * Without a `tenants` block the providers are served as a single `default` tenant.
+ */
+
+export const DEFAULT_TENANT = 'default';
+
+/**
+ * The tenants of one configuration version
+ */
+export class Tenants {
+  constructor(tenants) {
+    this.tenants = new Map(tenants.map((tenant) => [tenant.name, tenant]));
+    this.defaultTenant = tenants.find((tenant) => tenant.default);
+  }
+
+  get(name) {
+    return this.tenants.get(name);
+  }
+
+  /**
+   * Tenant serving requests no prefix, key or host selects, if any
+   */
+  getDefault() {
+    return this.defaultTenant;
+  }
+
+  values() {
+    return this.tenants.values();
+  }
+
+  /**
+   * Tenant of a request and the path prefix it was reached under
+   * @returns {{ tenant: ?Object, prefix: string, error?: string }}
+   */
+  resolve(req) {
+    for (const tenant of this.tenants.values()) {
+      const prefix = tenant.pathPrefix;
+      if (prefix && (req.path === prefix || req.path.startsWith(`${prefix}/`))) {
+        return { tenant, prefix };
+      }
+    }
+
+    const key = req.get('X-Tenant') || (typeof req.query.tenant === 'string' ? req.query.tenant : undefined);
+    if (key) {
+      const tenant = this.tenants.get(key);
+      // Rewritten feed URLs go through the tenant's prefix, since later requests do not carry the key
+      return tenant ? { tenant, prefix: tenant.pathPrefix || '' } : { tenant: null, prefix: '', error: `Unknown tenant '${key}'` };
+    }
+
+    const host = (req.get('Host') || '').toLowerCase().replace(/:\d+$/, '');
+    for (const tenant of this.tenants.values()) {
+      if (tenant.hosts.includes(host)) {
+        return { tenant, prefix: '' };
+      }
+    }
+
+    return this.defaultTenant
+      ? { tenant: this.defaultTenant, prefix: '' }
+      : { tenant: null, prefix: '', error: `No tenant is configured for host ${host}` };
+  }
+
+  /**
+   * Express middleware setting `req.tenant` and `req.tenantPrefix`, stripping a matched path prefix
+   */
+  middleware() {
+    return (req, res, next) => {
+      const { tenant, prefix, error } = this.resolve(req);
+
+      if (!tenant) {
+        res.status(404).json({ error: 'Tenant Not Found', message: error });
+        return;
+      }
+
+      if (prefix && req.url.startsWith(prefix)) {
+        req.url = req.url.slice(prefix.length) || '/';
+        if (req.url.startsWith('?')) req.url = `/${req.url}`;
+      }
+
+      // The key selects the tenant; it is not a widget parameter
+      delete req.query.tenant;
+
+      req.tenant = tenant;
+      req.tenantPrefix = prefix;
+      next();
+    };
+  }
+}
+
+/**
+ * Create the tenants of a configuration with their provider adapters
+ * (adapter modules must be loaded, see loadAdapterModules)
+ * @throws {Error} With `errors` listing every tenant problem
+ */
+export function createTenants(config) {
+  const definitions = Object.keys(config.tenants || {}).length
+    ? config.tenants
+    : { [DEFAULT_TENANT]: { default: true } };
+  const errors = [];
+  const tenants = [];
+
+  for (const [name, definition] of Object.entries(definitions)) {
+    for (const provider of Object.keys(definition.providers || {})) {
+      if (!config.providers[provider]) {
+        errors.push(`tenants.${name}.providers.${provider}: provider is not configured`);
+      }
+    }
+
+    const tenantConfig = getTenantConfig(config, definition);
+    let adapters;
+    try {
+      adapters = createProviderAdapters(tenantConfig);
+    } catch (error) {
+      errors.push(...(error.errors || [error.message]).map((problem) => `tenants.${name}: ${problem}`));
+      continue;
+    }
+
+    tenants.push({
+      name,
+      label: definition.name || name,
+      default: Boolean(definition.default),
+      hosts: (definition.hosts || []).map((host) => host.toLowerCase()),
+      pathPrefix: definition.pathPrefix ? definition.pathPrefix.replace(/\/+$/, '') : '',
+      language: definition.language || null,
+      theme: definition.theme || null,
+      config: tenantConfig,
+      adapters
+    });
+  }
+
+  errors.push(...findConflicts(tenants));
+
+  if (errors.length) {
+    throw Object.assign(new Error(`Invalid tenants:\n  - ${errors.join('\n  - ')}`), { errors });
+  }
+
+  return new Tenants(tenants);
+}
+
+/**
+ * Configuration as seen by one tenant
+ */
+function getTenantConfig(config, definition) {
+  const upstreamHeaders = {
+    ...(definition.referer && { Referer: definition.referer }),
+    ...(definition.userAgent && { 'User-Agent': definition.userAgent })
+  };
+
+  const providers = Object.fromEntries(Object.entries(config.providers).map(([provider, providerConfig]) => {
+    const overrides = definition.providers?.[provider] || {};
+    const security = definition.allowedOrigins
+      ? { ...providerConfig.security, allowedOrigins: definition.allowedOrigins }
+      : providerConfig.security;
+
+    return [provider, {
+      ...providerConfig,
+      ...overrides,
+      headers: { ...providerConfig.headers, ...upstreamHeaders, ...overrides.headers },
+      options: { ...providerConfig.options, ...overrides.options },
+      security
+    }];
+  }));
+
+  const security = definition.allowedOrigins
+    ? { ...config.security, allowedOrigins: definition.allowedOrigins }
+    : config.security;
+
+  return { ...config, providers, security };
+}
+
+/**
+ * Hosts, prefixes and defaults claimed by more than one tenant
+ */
+function findConflicts(tenants) {
+  const errors = [];
+  const claimed = new Map();
+
+  const claim = (what, tenant) => {
+    if (claimed.has(what)) {
+      errors.push(`tenants.${tenant.name}: ${what} is already used by tenant ${claimed.get(what)}`);
+    }
+    claimed.set(what, tenant.name);
+  };
+
+  for (const tenant of tenants) {
+    tenant.hosts.forEach((host) => claim(`host ${host}`, tenant));
+    if (tenant.pathPrefix) claim(`path prefix ${tenant.pathPrefix}`, tenant);
+    if (tenant.default) claim('default: true', tenant);
+  }
+
+  return errors;
+}
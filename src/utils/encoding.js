@@ -0,0 +1,67 @@
+import zlib from 'zlib';
+
+/**
+ * Content-Encoding helpers for streaming transforms
+ */
+
+/**
+ * Create a decompression stream for an upstream Content-Encoding
+ * @returns {import('stream').Transform|null} null for identity, throws for unsupported encodings
+ */
+export function createDecompressStream(contentEncoding) {
+  const encoding = (contentEncoding || 'identity').trim().toLowerCase();
+
+  switch (encoding) {
+    case 'identity':
+      return null;
+    case 'gzip':
+    case 'x-gzip':
+      return zlib.createGunzip();
+    case 'br':
+      return zlib.createBrotliDecompress();
+    case 'deflate':
+      return zlib.createInflate();
+    default: {
+      const error = new Error(`Unsupported upstream content encoding '${contentEncoding}'`);
+      error.status = 502;
+      throw error;
+    }
+  }
+}
+
+/**
+ * Pick the best encoding the client accepts and create a compression stream for it
+ * @returns {{ encoding: string, stream: import('stream').Transform }|null}
+ */
+export function createCompressStream(acceptEncoding) {
+  const accepted = parseAcceptEncoding(acceptEncoding);
+
+  if (accepted.has('br')) {
+    return {
+      encoding: 'br',
+      stream: zlib.createBrotliCompress({
+        params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 }
+      })
+    };
+  }
+
+  if (accepted.has('gzip')) {
+    return { encoding: 'gzip', stream: zlib.createGzip() };
+  }
+
+  return null;
+}
+
+function parseAcceptEncoding(acceptEncoding) {
+  const accepted = new Set();
+
+  for (const part of String(acceptEncoding || '').split(',')) {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    const q = params.map((p) => p.trim()).find((p) => p.startsWith('q='));
+    if (name && !(q && Number(q.slice(2)) === 0)) {
+      accepted.add(name);
+    }
+  }
+
+  return accepted;
+}
@@ -0,0 +1,6 @@
+/**
+ * Compile a glob where `*` matches any run of characters (including `/`) into an anchored pattern
+ */
+export function globToRegExp(glob) {
+  return new RegExp(`^${glob.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+}
@@ -1,9 +1,12 @@
+// Levels in order of verbosity; any other LOG_LEVEL (e.g. silent) logs nothing
+export const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
 /**
  * Simple logger utility
  */
 class Logger {
   constructor() {
-    this.level = process.env.LOG_LEVEL || 'info';
+    this.level = normalizeLogLevel(process.env.LOG_LEVEL);
     this.levels = {
       error: 0,
       warn: 1,
@@ -60,4 +63,11 @@ class Logger {
   }
 }
 
+/**
+ * LOG_LEVEL value as the logger reads it: trimmed and lower-cased, info when unset
+ */
+export function normalizeLogLevel(value) {
+  return (value || 'info').trim().toLowerCase();
+}
+
 export const logger = new Logger();
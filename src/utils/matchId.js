@@ -0,0 +1,38 @@
+/**
+ * Match identifiers
+ *
+ * Widgets take a SportRadar match as digits (`42506052`) or a URN (`sr:match:42506052`,
+ * `sr:stage:1234`). Both spellings of a match normalize to the same value, so they share
+ * cache entries; anything else is rejected before it reaches upstream URLs, HTML or scripts.
+ */
+
+const NUMERIC_PATTERN = /^\d{1,12}$/;
+const URN_PATTERN = /^sr:(match|stage):(\d{1,12})$/i;
+
+/**
+ * Parse and normalize a match identifier
+ * @returns {{ type: 'match' | 'stage', id: string, urn: string, value: string }}
+ *   `value` is what widgets receive: the bare number for matches, the URN for stages
+ * @throws {Error} With status 400 when the value is not a match identifier
+ */
+export function parseMatchId(input) {
+  const raw = typeof input === 'number' && Number.isSafeInteger(input) ? String(input) : input;
+  const text = typeof raw === 'string' ? raw.trim() : '';
+
+  if (NUMERIC_PATTERN.test(text)) {
+    const id = String(Number(text));
+    return { type: 'match', id, urn: `sr:match:${id}`, value: id };
+  }
+
+  const urn = text.match(URN_PATTERN);
+  if (urn) {
+    const type = urn[1].toLowerCase();
+    const id = String(Number(urn[2]));
+    return { type, id, urn: `sr:${type}:${id}`, value: type === 'match' ? id : `sr:${type}:${id}` };
+  }
+
+  const shown = typeof raw === 'string' ? JSON.stringify(raw.slice(0, 64)) : typeof raw;
+  const error = new Error(`Invalid matchId ${shown}: expected digits, sr:match:<id> or sr:stage:<id>`);
+  error.status = 400;
+  throw error;
+}
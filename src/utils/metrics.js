@@ -0,0 +1,256 @@
+/**
+ * Prometheus metrics shared by the server, routes and services
+ */
+
+import client from 'prom-client';
+
+export const register = new client.Registry();
+
+client.collectDefaultMetrics({ register, prefix: 'widget_proxy_' });
+
+const httpRequests = new client.Counter({
+  name: 'widget_proxy_http_requests_total',
+  help: 'Requests served, by route family and status code',
+  labelNames: ['family', 'status'],
+  registers: [register]
+});
+
+const httpDuration = new client.Histogram({
+  name: 'widget_proxy_http_request_duration_seconds',
+  help: 'Time to finish responding to a request, by route family',
+  labelNames: ['family'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+const httpBytes = new client.Counter({
+  name: 'widget_proxy_http_response_bytes_total',
+  help: 'Response body bytes written to clients (after compression), by route family',
+  labelNames: ['family'],
+  registers: [register]
+});
+
+const httpInFlight = new client.Gauge({
+  name: 'widget_proxy_http_requests_in_flight',
+  help: 'Requests currently being served, by route family',
+  labelNames: ['family'],
+  registers: [register]
+});
+
+const upstreamDuration = new client.Histogram({
+  name: 'widget_proxy_upstream_request_duration_seconds',
+  help: 'Time until upstream response headers arrive, by provider, host and status',
+  labelNames: ['provider', 'host', 'status'],
+  buckets: [0.025, 0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 30],
+  registers: [register]
+});
+
+const cacheLookups = new client.Counter({
+  name: 'widget_proxy_cache_lookups_total',
+  help: 'Widget and asset cache lookups, by resource type and result (hit, stale, miss, revalidated)',
+  labelNames: ['resource', 'result'],
+  registers: [register]
+});
+
+const cacheEvictions = new client.Counter({
+  name: 'widget_proxy_cache_evictions_total',
+  help: 'Cache entries evicted to respect the key and byte limits, by backend',
+  labelNames: ['backend'],
+  registers: [register]
+});
+
+const rewriteHits = new client.Counter({
+  name: 'widget_proxy_rewrite_hits_total',
+  help: 'Widget loader rewrite rule matches, by provider and rule',
+  labelNames: ['provider', 'rule'],
+  registers: [register]
+});
+
+const webSocketsOpen = new client.Gauge({
+  name: 'widget_proxy_websocket_connections',
+  help: 'WebSocket tunnels currently open, by provider',
+  labelNames: ['provider'],
+  registers: [register]
+});
+
+const webSocketUpgrades = new client.Counter({
+  name: 'widget_proxy_websocket_upgrades_total',
+  help: 'WebSocket upgrade requests, by provider and result (opened, rejected, refused, failed)',
+  labelNames: ['provider', 'result'],
+  registers: [register]
+});
+
+const longLivedOpen = new client.Gauge({
+  name: 'widget_proxy_long_lived_requests',
+  help: 'Long-poll and event-stream feed responses currently open, by provider',
+  labelNames: ['provider'],
+  registers: [register]
+});
+
+const longLivedRequests = new client.Counter({
+  name: 'widget_proxy_long_lived_requests_total',
+  help: 'Long-poll and event-stream feed requests, by provider and result (opened, rejected)',
+  labelNames: ['provider', 'result'],
+  registers: [register]
+});
+
+/**
+ * Route family of a request path: widget, asset, licensing, translations, a feed name or other
+ * @param {Set<string>} [feeds] - Configured feed names; other /api/* segments are 'other', keeping label values bounded
+ */
+export function routeFamily(path, feeds = new Set()) {
+  const proxied = path.match(/^\/proxy\/[^/]+\/([^/]+)(\/.*)?$/);
+  if (proxied) {
+    return proxied[2] ? 'asset' : 'widget';
+  }
+
+  const feed = path.match(/^\/api\/([^/]+)\//);
+  if (feed) {
+    return feeds.has(feed[1]) ? feed[1] : 'other';
+  }
+
+  if (/^\/[^/]+\/licensing$/.test(path)) return 'licensing';
+  if (path.startsWith('/translations/')) return 'translations';
+  if (/^\/(assets|js|css)\//.test(path)) return 'asset';
+
+  return 'other';
+}
+
+/**
+ * Route family classifier for one configuration version, knowing the feeds of every provider
+ * and tenant. It runs before tenant resolution, so tenant path prefixes are stripped here.
+ * @returns {function(string): string}
+ */
+export function createRouteClassifier(config) {
+  const tenants = Object.values(config.tenants || {});
+  const providerConfigs = [
+    ...Object.values(config.providers || {}),
+    ...tenants.flatMap((tenant) => Object.values(tenant.providers || {}))
+  ];
+  const feeds = new Set(providerConfigs.flatMap((providerConfig) => Object.keys(providerConfig.feeds || {})));
+  const prefixes = tenants.map((tenant) => tenant.pathPrefix?.replace(/\/+$/, '')).filter(Boolean);
+
+  return (path) => {
+    const prefix = prefixes.find((candidate) => path === candidate || path.startsWith(`${candidate}/`));
+    return routeFamily(prefix ? path.slice(prefix.length) || '/' : path, feeds);
+  };
+}
+
+/**
+ * Express middleware counting requests, in-flight requests, durations and bytes served.
+ * Mount it before compression so the counted bytes are the ones sent on the wire.
+ * @param {function(string): string} [classify] - Route family of a request path
+ */
+export function metricsMiddleware(classify = routeFamily) {
+  return (req, res, next) => {
+    const family = classify(req.path);
+    const endTimer = httpDuration.startTimer({ family });
+    let bytes = 0;
+    let done = false;
+
+    httpInFlight.inc({ family });
+
+    const write = res.write;
+    const end = res.end;
+    res.write = function (chunk, ...args) {
+      bytes += byteLength(chunk, args[0]);
+      return write.call(this, chunk, ...args);
+    };
+    res.end = function (chunk, ...args) {
+      if (chunk && typeof chunk !== 'function') {
+        bytes += byteLength(chunk, args[0]);
+      }
+      return end.call(this, chunk, ...args);
+    };
+
+    const complete = () => {
+      if (done) return;
+      done = true;
+
+      httpInFlight.dec({ family });
+      httpRequests.inc({ family, status: res.headersSent ? res.statusCode : 499 });
+      httpBytes.inc({ family }, bytes);
+      endTimer();
+    };
+
+    res.on('finish', complete);
+    res.on('close', complete);
+    next();
+  };
+}
+
+/**
+ * Time an upstream call until its response (headers) arrive.
+ * The status label comes from the result's `status` / `statusCode`, or `error`.
+ */
+export async function timeUpstream(provider, targetUrl, task) {
+  const endTimer = upstreamDuration.startTimer({ provider, host: new URL(targetUrl).host });
+
+  try {
+    const result = await task();
+    endTimer({ status: String(result.status ?? result.statusCode) });
+    return result;
+  } catch (error) {
+    endTimer({ status: String(error.response?.status ?? 'error') });
+    throw error;
+  }
+}
+
+/**
+ * Record a cache lookup result ('HIT', 'STALE', 'MISS', 'REVALIDATED')
+ */
+export function recordCacheLookup(resource, cacheStatus) {
+  cacheLookups.inc({ resource, result: cacheStatus.toLowerCase() });
+}
+
+export function recordCacheEviction(backend) {
+  cacheEvictions.inc({ backend });
+}
+
+/**
+ * Add a rewrite stream's per-rule match counts
+ */
+export function recordRewriteHits(provider, hits) {
+  for (const { name, count } of hits) {
+    if (count) {
+      rewriteHits.inc({ provider, rule: name }, count);
+    }
+  }
+}
+
+/**
+ * Record a WebSocket upgrade result; 'opened' tunnels count as open until the returned function is called
+ * @returns {Function} Marks the tunnel closed
+ */
+export function recordWebSocketUpgrade(provider, result) {
+  webSocketUpgrades.inc({ provider, result });
+  return result === 'opened' ? trackOpen(webSocketsOpen, { provider }) : () => {};
+}
+
+/**
+ * Record a long-lived feed request result; 'opened' requests count as open until the returned function is called
+ * @returns {Function} Marks the response finished
+ */
+export function recordLongLivedRequest(provider, result) {
+  longLivedRequests.inc({ provider, result });
+  return result === 'opened' ? trackOpen(longLivedOpen, { provider }) : () => {};
+}
+
+/**
+ * Raise a gauge now and lower it once, when the returned function is first called
+ */
+function trackOpen(gauge, labels) {
+  gauge.inc(labels);
+  let closed = false;
+  return () => {
+    if (!closed) {
+      closed = true;
+      gauge.dec(labels);
+    }
+  };
+}
+
+function byteLength(chunk, encoding) {
+  if (!chunk || typeof chunk === 'function') return 0;
+  return Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+}
@@ -0,0 +1,64 @@
+/**
+ * Request helpers shared by the routes
+ */
+
+// Headers a trusted reverse proxy uses to describe the client-facing URL
+export const FORWARDED_HEADERS = ['X-Forwarded-Proto', 'X-Forwarded-Host', 'X-Forwarded-Port', 'X-Forwarded-Prefix'];
+
+/**
+ * Resolve the public base URL clients use to reach this proxy.
+ * Uses `server.publicBaseUrl` when configured, otherwise derives it from the
+ * request's Host and, for requests from a proxy `security.trustProxy` trusts, the
+ * X-Forwarded-Proto / -Host / -Port / -Prefix headers. Anyone else could forge them
+ * and point the rewritten loader (and its cached copies) at another host.
+ * A tenant path prefix the request came in under is appended.
+ */
+export function resolvePublicBaseUrl(config, req) {
+  const tenantPrefix = req.tenantPrefix || '';
+  const configured = config.server?.publicBaseUrl;
+  if (configured) {
+    return `${configured.replace(/\/+$/, '')}${tenantPrefix}`;
+  }
+
+  const trusted = isFromTrustedProxy(req);
+  // req.protocol already follows X-Forwarded-Proto from trusted proxies only
+  const proto = req.protocol;
+  let host = (trusted && firstHeaderValue(req.get('X-Forwarded-Host'))) || req.get('Host');
+  const port = trusted ? firstHeaderValue(req.get('X-Forwarded-Port')) : undefined;
+  const prefix = trusted ? (firstHeaderValue(req.get('X-Forwarded-Prefix')) || '').replace(/\/+$/, '') : '';
+
+  if (port && !/:\d+$/.test(host) && !isDefaultPort(proto, port)) {
+    host = `${host}:${port}`;
+  }
+
+  return `${proto}://${host}${prefix}${tenantPrefix}`;
+}
+
+/**
+ * Request headers the public base URL was derived from, for `Vary` on responses embedding it
+ */
+export function publicBaseUrlHeaders(config, req) {
+  if (config.server?.publicBaseUrl) {
+    return [];
+  }
+  return isFromTrustedProxy(req) ? FORWARDED_HEADERS : [];
+}
+
+/**
+ * Whether the request's peer is a proxy trusted by the app's `trust proxy` setting
+ */
+function isFromTrustedProxy(req) {
+  const trust = req.app?.get('trust proxy fn');
+  return Boolean(trust && trust(req.socket?.remoteAddress, 0));
+}
+
+/**
+ * Forwarded headers may carry a comma-separated chain; the first entry is the client-facing one
+ */
+function firstHeaderValue(value) {
+  return value ? value.split(',')[0].trim() : undefined;
+}
+
+function isDefaultPort(proto, port) {
+  return (proto === 'https' && port === '443') || (proto === 'http' && port === '80');
+}
@@ -0,0 +1,91 @@
+/**
+ * Retry helpers for upstream requests
+ */
+
+import { setTimeout as sleep } from 'timers/promises';
+
+/**
+ * Methods that are safe to send again after a failure
+ */
+export const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+/**
+ * Upstream statuses worth retrying: the provider or its load balancer is briefly unavailable
+ */
+export const RETRYABLE_STATUSES = new Set([502, 503, 504]);
+
+const TRANSIENT_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+  'ERR_SOCKET_CONNECTION_TIMEOUT'
+]);
+
+/**
+ * A provider's upstream timeout (ms), retry count and backoff settings
+ */
+export function getUpstreamPolicy(providerConfig = {}) {
+  return {
+    timeout: providerConfig.timeout || 30000,
+    retries: providerConfig.retries ?? 0,
+    backoff: {
+      initial: providerConfig.backoff?.initial || 200,
+      max: providerConfig.backoff?.max || 2000,
+      factor: providerConfig.backoff?.factor || 2
+    }
+  };
+}
+
+/**
+ * Whether an error is a network failure, timeout or retryable upstream status
+ */
+export function isTransientError(error) {
+  if (error.circuitOpen) {
+    return false;
+  }
+
+  const status = error.response?.status ?? error.upstreamStatus;
+  if (status !== undefined) {
+    return RETRYABLE_STATUSES.has(status);
+  }
+
+  return TRANSIENT_ERROR_CODES.has(error.code);
+}
+
+/**
+ * Exponential backoff with jitter: between half and all of initial * factor^attempt, capped at max
+ */
+export function backoffDelay(attempt, backoff) {
+  const base = Math.min(backoff.max, backoff.initial * backoff.factor ** attempt);
+  return Math.round(base / 2 + Math.random() * base / 2);
+}
+
+/**
+ * Run a task, retrying transient failures with backoff
+ * @param {(attempt: number) => Promise<*>} task - Called with the zero-based attempt number
+ * @param {Object} options
+ * @param {number} options.retries - Retries after the first attempt
+ * @param {Object} options.backoff - { initial, max, factor } in ms
+ * @param {Function} [options.onRetry] - Called with (error, attempt, delay) before each retry
+ * @param {AbortSignal} [options.signal] - Stops waiting for the next retry
+ */
+export async function withRetries(task, { retries = 0, backoff, onRetry, signal } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isTransientError(error) || signal?.aborted) {
+        throw error;
+      }
+
+      const delay = backoffDelay(attempt, backoff);
+      onRetry?.(error, attempt + 1, delay);
+      await sleep(delay, undefined, { signal });
+    }
+  }
+}
@@ -0,0 +1,78 @@
+import { finished } from 'stream/promises';
+import { DEFAULT_MAX_REPLAY_BYTES, StreamFanout } from './stream.js';
+
+/**
+ * Request coalescing: concurrent callers for the same key share one upstream
+ * request, and its result or error is fanned out to all of them.
+ */
+export class SingleFlight {
+  constructor({ maxReplayBytes = DEFAULT_MAX_REPLAY_BYTES } = {}) {
+    this.pending = new Map();
+    this.coalesced = 0;
+    this.maxReplayBytes = maxReplayBytes;
+  }
+
+  /**
+   * Share a promise between concurrent callers until it settles
+   */
+  run(key, task) {
+    const pending = this.pending.get(key);
+    if (pending) {
+      this.coalesced++;
+      return pending;
+    }
+
+    const promise = task().finally(() => this.pending.delete(key));
+    this.pending.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Share a streaming result ({ ..., body: Readable }) between concurrent callers.
+   * Each caller gets its own copy of the body; the key stays in flight until the
+   * shared body has been fully read, so callers arriving mid-transfer join it.
+   * Once more than `maxReplayBytes` has streamed, the start of the body is no longer
+   * held: the key is released and later callers make their own request.
+   */
+  async stream(key, task) {
+    let pending = this.pending.get(key);
+
+    if (pending) {
+      this.coalesced++;
+    } else {
+      pending = task().then((result) => {
+        const fanout = new StreamFanout(result.body, {
+          maxReplayBytes: this.maxReplayBytes,
+          onOverflow: () => this.release(key, pending)
+        });
+        finished(result.body).catch(() => {}).finally(() => this.release(key, pending));
+        return { result, fanout };
+      });
+      pending.catch(() => this.release(key, pending));
+      this.pending.set(key, pending);
+    }
+
+    const { result, fanout } = await pending;
+    const body = fanout.subscribe();
+    return body ? { ...result, body } : this.stream(key, task);
+  }
+
+  /**
+   * Stop sharing a key's request, unless a newer request has taken its place
+   */
+  release(key, pending) {
+    if (this.pending.get(key) === pending) {
+      this.pending.delete(key);
+    }
+  }
+
+  /**
+   * Coalescing statistics
+   */
+  getStats() {
+    return {
+      inFlight: this.pending.size,
+      coalesced: this.coalesced
+    };
+  }
+}
@@ -0,0 +1,139 @@
+import { PassThrough, pipeline } from 'stream';
+
+/**
+ * Pipe a chain of streams into an Express response.
+ * Headers are only flushed with the first output chunk, so a failure before
+ * that (e.g. an undecodable upstream body) is handed to onError while a proper
+ * error response can still be sent; later failures abort the response.
+ */
+export function pipeToResponse(res, streams, onError) {
+  let closed = false;
+
+  const output = pipeline(streams, (error) => {
+    if (!error || closed) return;
+
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+
+    onError(error);
+  });
+
+  res.on('close', () => {
+    closed = true;
+    if (!res.writableFinished) {
+      output.destroy();
+    }
+  });
+
+  output.pipe(res);
+}
+
+// Bytes of a shared body kept for callers joining mid-transfer
+export const DEFAULT_MAX_REPLAY_BYTES = 1024 * 1024;
+
+/**
+ * Fan a single readable out to any number of subscribers. Up to `maxReplayBytes`
+ * of the chunks read so far are kept so late subscribers replay the body from the
+ * start; past that the replay buffer is dropped and `subscribe()` returns null.
+ * The source is paused while any subscriber is not draining, so a slow client
+ * holds the others back instead of having the body pile up in memory.
+ */
+export class StreamFanout {
+  constructor(source, { maxReplayBytes = DEFAULT_MAX_REPLAY_BYTES, onOverflow = () => {} } = {}) {
+    this.source = source;
+    this.chunks = [];
+    this.bytes = 0;
+    this.maxReplayBytes = maxReplayBytes;
+    this.overflowed = false;
+    this.subscribers = new Set();
+    this.waiting = new Set();
+    this.ended = false;
+    this.error = null;
+
+    source.on('data', (chunk) => {
+      if (!this.overflowed) {
+        this.bytes += chunk.length;
+        if (this.bytes <= this.maxReplayBytes) {
+          this.chunks.push(chunk);
+        } else {
+          this.overflowed = true;
+          this.chunks = [];
+          onOverflow();
+        }
+      }
+
+      for (const subscriber of this.subscribers) {
+        if (!subscriber.write(chunk)) {
+          this.wait(subscriber);
+        }
+      }
+    });
+
+    source.on('end', () => {
+      this.ended = true;
+      for (const subscriber of this.subscribers) {
+        subscriber.end();
+      }
+      this.subscribers.clear();
+    });
+
+    source.on('error', (error) => {
+      this.error = error;
+      for (const subscriber of this.subscribers) {
+        subscriber.destroy(error);
+      }
+      this.subscribers.clear();
+    });
+  }
+
+  /**
+   * Get a readable copy of the source, starting from its first chunk,
+   * or null when the start is no longer held (replay buffer overflowed)
+   */
+  subscribe() {
+    const output = new PassThrough();
+
+    if (this.error) {
+      process.nextTick(() => output.destroy(this.error));
+      return output;
+    }
+
+    if (this.overflowed) {
+      return null;
+    }
+
+    for (const chunk of this.chunks) {
+      output.write(chunk);
+    }
+
+    if (this.ended) {
+      output.end();
+    } else {
+      this.subscribers.add(output);
+      output.on('close', () => {
+        this.subscribers.delete(output);
+        this.release(output);
+      });
+    }
+
+    return output;
+  }
+
+  /**
+   * Pause the source until a subscriber has drained
+   */
+  wait(subscriber) {
+    if (this.waiting.has(subscriber)) return;
+    this.waiting.add(subscriber);
+    this.source.pause();
+    subscriber.once('drain', () => this.release(subscriber));
+  }
+
+  release(subscriber) {
+    if (this.waiting.delete(subscriber) && !this.waiting.size) {
+      this.source.resume();
+    }
+  }
+}
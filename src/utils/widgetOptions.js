@@ -0,0 +1,158 @@
+/**
+ * Widget options (`addWidget` settings) taken from query parameters
+ *
+ * Widget types declare the options they accept in providers.yaml (`widgetTypes.*.options`)
+ * as `{ name: { type, enum, default, description } }`, and named `presets` of option values.
+ * Types:
+ *   keyword  - a bare word such as "topdown" or "bars" (letters, digits, - and _)
+ *   boolean  - true/false, 1/0 or yes/no
+ *   number   - a finite number
+ *   color    - a #rgb / #rrggbb / #rrggbbaa hex color
+ *   url      - an http(s) URL
+ *   url[]    - http(s) URLs, comma-separated or repeated
+ * Values are checked here so that only typed, known settings reach a rendered page.
+ */
+
+export const WIDGET_OPTION_TYPES = ['keyword', 'boolean', 'number', 'color', 'url', 'url[]'];
+
+const KEYWORD_PATTERN = /^[A-Za-z0-9][\w-]{0,63}$/;
+const COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+// JavaScript type of configured values per option type (others are strings)
+const VALUE_TYPES = { boolean: 'boolean', number: 'number', 'url[]': 'array' };
+const TRUE_VALUES = new Set(['true', '1', 'yes']);
+const FALSE_VALUES = new Set(['false', '0', 'no']);
+
+/**
+ * Typed options from query parameters, with spec defaults for options not given
+ * @param {Object} query - Query parameters to read (other parameters must be removed first)
+ * @param {Object} spec - Option specs by name
+ * @returns {Object} Options by name
+ * @throws {Error} Status 400 with `errors` listing every unknown or invalid option
+ */
+export function parseWidgetOptions(query, spec) {
+  const options = {};
+  const errors = [];
+
+  for (const [name, definition] of Object.entries(spec)) {
+    if (definition.default !== undefined) {
+      options[name] = definition.default;
+    }
+  }
+
+  for (const [name, raw] of Object.entries(query)) {
+    const definition = spec[name];
+    if (!definition) {
+      errors.push(`${name}: unknown option`);
+      continue;
+    }
+
+    const { value, problem } = parseValue(raw, definition);
+    if (problem) {
+      errors.push(`${name}: ${problem}`);
+      continue;
+    }
+    options[name] = value;
+  }
+
+  if (errors.length) {
+    const error = new Error(`Invalid widget options: ${errors.join('; ')}`);
+    error.status = 400;
+    error.errors = errors;
+    throw error;
+  }
+
+  return options;
+}
+
+/**
+ * Query parameters for option values given in configuration (presets, defaults)
+ */
+export function toQueryParams(values) {
+  return Object.fromEntries(Object.entries(values).map(([name, value]) => [
+    name,
+    Array.isArray(value) ? value.map(String) : String(value)
+  ]));
+}
+
+/**
+ * Problems with configured option values against a spec
+ * @returns {string[]} Empty when every value is a known, valid option
+ */
+export function checkWidgetOptions(values, spec) {
+  const mistyped = Object.entries(values)
+    .filter(([name, value]) => spec[name] && valueType(value) !== (VALUE_TYPES[spec[name].type] || 'string'))
+    .map(([name]) => `${name}: must be ${spec[name].type === 'url[]' ? 'a list' : `a ${VALUE_TYPES[spec[name].type] || 'string'}`}`);
+  if (mistyped.length) {
+    return mistyped;
+  }
+
+  try {
+    parseWidgetOptions(toQueryParams(values), spec);
+    return [];
+  } catch (error) {
+    return error.errors;
+  }
+}
+
+function valueType(value) {
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Convert one query value to an option's type
+ * @returns {{ value?: *, problem?: string }}
+ */
+function parseValue(raw, definition) {
+  if (definition.type === 'url[]') {
+    const urls = [].concat(raw).flatMap((item) => String(item).split(',')).map((item) => item.trim()).filter(Boolean);
+    const invalid = urls.find((url) => !isHttpUrl(url));
+    return invalid ? { problem: `${JSON.stringify(invalid)} is not an http(s) URL` } : { value: urls };
+  }
+
+  if (typeof raw !== 'string') {
+    return { problem: 'must be given once' };
+  }
+
+  const text = raw.trim();
+  let value;
+
+  switch (definition.type) {
+    case 'boolean':
+      if (TRUE_VALUES.has(text.toLowerCase())) return { value: true };
+      if (FALSE_VALUES.has(text.toLowerCase())) return { value: false };
+      return { problem: 'must be true or false' };
+
+    case 'number':
+      value = Number(text);
+      if (!text || !Number.isFinite(value)) return { problem: 'must be a number' };
+      break;
+
+    case 'color':
+      if (!COLOR_PATTERN.test(text)) return { problem: 'must be a hex color like #278e51' };
+      value = text;
+      break;
+
+    case 'url':
+      if (!isHttpUrl(text)) return { problem: 'must be an http(s) URL' };
+      value = text;
+      break;
+
+    default:
+      if (!KEYWORD_PATTERN.test(text)) return { problem: 'must be a single word' };
+      value = text;
+  }
+
+  if (definition.enum && !definition.enum.includes(value)) {
+    return { problem: `must be one of ${definition.enum.join(', ')}` };
+  }
+
+  return { value };
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
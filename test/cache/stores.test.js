@@ -0,0 +1,158 @@
+import { afterAll, afterEach, beforeAll, describe, expect, test } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import { FileStore, MemoryStore, RedisStore } from '../../src/cache/index.js';
+import { RedisStandIn } from '../helpers/redisStandIn.js';
+
+let tempDir;
+let redis;
+let redisUrl;
+
+beforeAll(async () => {
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'widget-proxy-cache-'));
+  redis = new RedisStandIn();
+  redisUrl = await redis.listen();
+});
+
+afterAll(async () => {
+  await redis.close();
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+const backends = [
+  ['memory', () => new MemoryStore({ maxKeys: 100 })],
+  ['file', () => new FileStore({ directory: path.join(tempDir, `store-${Date.now()}-${Math.random()}`), maxKeys: 100 })],
+  ['redis', () => new RedisStore({ url: redisUrl, keyPrefix: `test-${Date.now()}:` })]
+];
+
+describe.each(backends)('%s store', (backend, createStore) => {
+  let store;
+
+  afterEach(async () => {
+    await store.clear();
+    await store.close();
+  });
+
+  test('round-trips string and binary bodies with their fields', async () => {
+    store = createStore();
+    const binary = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff]);
+
+    await store.set('widget', { body: 'SIR("addWidget")', status: 200, headers: { etag: '"v1"' } }, 60);
+    await store.set('asset', { body: binary, status: 200 }, 60);
+
+    expect(await store.get('widget')).toEqual({ body: 'SIR("addWidget")', status: 200, headers: { etag: '"v1"' } });
+    expect((await store.get('asset')).body.equals(binary)).toBe(true);
+    expect(await store.get('missing')).toBeUndefined();
+  });
+
+  test('lists, peeks, deletes and clears entries', async () => {
+    store = createStore();
+    await store.set('a', { body: 'one' }, 60);
+    await store.set('b', { body: 'two' }, 60);
+
+    expect((await store.keys()).sort()).toEqual(['a', 'b']);
+    const entries = await store.entries();
+    expect(entries.find(({ key }) => key === 'a').expiresAt).toBeGreaterThan(Date.now());
+
+    expect((await store.peek('a')).body).toBe('one');
+    expect((await store.getStats()).hits).toBe(0);
+
+    expect(await store.delete('a')).toBe(true);
+    expect(await store.delete('a')).toBe(false);
+    expect(await store.keys()).toEqual(['b']);
+
+    await store.clear();
+    expect(await store.keys()).toEqual([]);
+  });
+
+  test('reports its backend and counts', async () => {
+    store = createStore();
+    await store.set('a', { body: 'one' }, 60);
+    await store.get('a');
+    await store.get('b');
+
+    expect(await store.getStats()).toMatchObject({ backend, keys: 1, hits: 1, misses: 1, sets: 1 });
+  });
+});
+
+describe.each(backends.slice(0, 2))('%s store limits', (backend, createStore) => {
+  test('expires entries after their TTL', async () => {
+    const store = createStore();
+    await store.set('short', { body: 'x' }, 0.02);
+    await sleep(40);
+
+    expect(await store.get('short')).toBeUndefined();
+    await store.close();
+  });
+});
+
+describe('memory and file store eviction', () => {
+  test.each([
+    ['memory', () => new MemoryStore({ maxKeys: 2 })],
+    ['file', () => new FileStore({ directory: path.join(tempDir, 'lru'), maxKeys: 2 })]
+  ])('%s evicts the least recently used entry', async (backend, createStore) => {
+    const store = createStore();
+    await store.set('a', { body: 'a' }, 60);
+    await store.set('b', { body: 'b' }, 60);
+    await store.get('a');
+    await store.set('c', { body: 'c' }, 60);
+
+    expect((await store.keys()).sort()).toEqual(['a', 'c']);
+    expect((await store.getStats()).evictions).toBe(1);
+    await store.close();
+  });
+
+  test('memory store respects its byte limit', async () => {
+    const store = new MemoryStore({ maxBytes: 64 });
+    await store.set('big', { body: 'x'.repeat(100) }, 60);
+    await store.set('small', { body: 'y' }, 60);
+
+    expect(await store.keys()).toEqual(['small']);
+    await store.close();
+  });
+});
+
+describe('file store', () => {
+  test('keeps entries across restarts', async () => {
+    const directory = path.join(tempDir, 'restart');
+    const first = new FileStore({ directory });
+    await first.set('widget', { body: 'loader', status: 200 }, 60);
+    await first.close();
+
+    const second = new FileStore({ directory });
+    expect(await second.get('widget')).toEqual({ body: 'loader', status: 200 });
+    await second.close();
+  });
+
+  test('fails operations, without crashing, when its directory is unusable', async () => {
+    const blocker = path.join(tempDir, 'not-a-directory');
+    await fs.writeFile(blocker, '');
+
+    const store = new FileStore({ directory: path.join(blocker, 'cache') });
+    await expect(store.get('widget')).rejects.toThrow();
+    await store.close();
+  });
+
+  test('concurrent writes of one key all succeed', async () => {
+    const store = new FileStore({ directory: path.join(tempDir, 'concurrent') });
+    const results = await Promise.all(Array.from({ length: 5 }, (_, i) => store.set('widget', { body: `v${i}` }, 60)));
+
+    expect(results).toEqual([true, true, true, true, true]);
+    expect(await store.keys()).toEqual(['widget']);
+    await store.close();
+  });
+});
+
+describe('redis store', () => {
+  test('prefixes its keys on the server', async () => {
+    const store = new RedisStore({ url: redisUrl, keyPrefix: 'prefixed:' });
+    await store.set('widget', { body: 'loader' }, 60);
+
+    expect(redis.data.has('prefixed:widget')).toBe(true);
+    expect(await store.keys()).toEqual(['widget']);
+    await store.clear();
+    await store.close();
+  });
+});
@@ -0,0 +1,94 @@
+import { afterEach, beforeEach, describe, expect, test } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import { ConfigManager } from '../../src/config/ConfigManager.js';
+import { CONFIG_PATH, readConfig } from '../../src/config/index.js';
+
+describe('ConfigManager', () => {
+  let dir;
+  let configPath;
+  let source;
+  let manager;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'widget-proxy-config-'));
+    configPath = path.join(dir, 'providers.yaml');
+    source = await fs.readFile(CONFIG_PATH, 'utf8');
+    await fs.writeFile(configPath, source);
+    manager = new ConfigManager(await readConfig(configPath), { configPath });
+  });
+
+  afterEach(async () => {
+    manager.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const editTtl = (ttl) => fs.writeFile(configPath, source.replace(/defaultTtl: \d+/, `defaultTtl: ${ttl}`));
+
+  test('swaps in a changed config and announces it', async () => {
+    const announced = [];
+    manager.on('change', (config) => announced.push(config.cache.defaultTtl));
+    await editTtl(123);
+
+    const result = await manager.reload('test');
+
+    expect(result).toMatchObject({ reloaded: true, version: 2 });
+    expect(announced).toEqual([123]);
+    expect(manager.getStatus()).toMatchObject({ version: 2, trigger: 'test', lastError: null });
+  });
+
+  test('keeps the current config when the file is invalid', async () => {
+    await fs.writeFile(configPath, source.replace(/defaultTtl: \d+/, 'defaultTtl: soon'));
+
+    const result = await manager.reload('test');
+
+    expect(result.reloaded).toBe(false);
+    expect(result.errors.join('\n')).toMatch(/cache\.defaultTtl/);
+    expect(manager.getStatus().version).toBe(1);
+  });
+
+  test('rolls back a change a listener rejects', async () => {
+    const applied = [];
+    manager.on('change', (config) => {
+      applied.push(config.cache.defaultTtl);
+      if (config.cache.defaultTtl === 123) throw new Error('route build failed');
+    });
+    await editTtl(123);
+
+    const result = await manager.reload('test');
+
+    expect(result).toMatchObject({ reloaded: false, version: 1, errors: ['route build failed'] });
+    expect(applied).toEqual([123, 300]);
+  });
+
+  test('a reload failing outright rejects its caller but not later reloads', async () => {
+    let failing = true;
+    manager.on('change', () => {
+      if (failing) throw new Error('cannot apply');
+    });
+    await editTtl(123);
+
+    // The rollback announce fails too
+    await expect(manager.reload('first')).rejects.toThrow('cannot apply');
+
+    failing = false;
+    await expect(manager.reload('second')).resolves.toMatchObject({ reloaded: true, version: 2 });
+  });
+
+  test('reloads on changes to the config file only', async () => {
+    const reloads = [];
+    manager.reload = async (trigger) => { reloads.push(trigger); };
+    manager.watch(20);
+
+    await fs.writeFile(path.join(dir, '.providers.yaml.swp'), 'editor state');
+    await fs.writeFile(path.join(dir, 'notes.txt'), 'unrelated');
+    await sleep(150);
+    expect(reloads).toEqual([]);
+
+    await editTtl(123);
+    await sleep(150);
+    expect(reloads).toEqual(['file']);
+  });
+});
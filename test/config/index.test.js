@@ -0,0 +1,80 @@
+import { afterEach, describe, expect, jest, test } from '@jest/globals';
+import fs from 'fs/promises';
+import { CONFIG_PATH, loadConfig, readConfig } from '../../src/config/index.js';
+
+const PREVIOUS_ENV = [];
+
+function setEnv(values) {
+  for (const [name, value] of Object.entries(values)) {
+    PREVIOUS_ENV.push([name, process.env[name]]);
+    process.env[name] = value;
+  }
+}
+
+afterEach(() => {
+  for (const [name, value] of PREVIOUS_ENV.splice(0).reverse()) {
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  }
+  jest.restoreAllMocks();
+});
+
+describe('readConfig environment overrides', () => {
+  test('set nested settings, typed by the schema', async () => {
+    setEnv({
+      WIDGET_PROXY__providers__sportradar__timeout: '2500',
+      WIDGET_PROXY__providers__sportradar__widgetId: '12345',
+      WIDGET_PROXY__security__rateLimit__enabled: 'false',
+      WIDGET_PROXY__security__allowedOrigins: 'https://a.example, https://*.b.example',
+      WIDGET_PROXY__admin__tokens: '[{"name":"ops","token":"secret"}]'
+    });
+
+    const config = await readConfig(CONFIG_PATH);
+
+    expect(config.providers.sportradar.timeout).toBe(2500);
+    expect(config.providers.sportradar.widgetId).toBe('12345');
+    expect(config.security.rateLimit.enabled).toBe(false);
+    expect(config.security.allowedOrigins).toEqual(['https://a.example', 'https://*.b.example']);
+    expect(config.admin.tokens).toEqual([{ name: 'ops', token: 'secret' }]);
+  });
+
+  test('apply after the named shortcuts', async () => {
+    setEnv({ CACHE_TTL: '60', WIDGET_PROXY__cache__defaultTtl: '120', CACHE_BACKEND: 'file' });
+
+    const config = await readConfig(CONFIG_PATH);
+
+    expect(config.cache.defaultTtl).toBe(120);
+    expect(config.cache.backend).toBe('file');
+  });
+
+  test('are validated like the file', async () => {
+    setEnv({ WIDGET_PROXY__cache__maxKeys: 'many', WIDGET_PROXY__cache__typo: '1' });
+
+    await expect(readConfig(CONFIG_PATH)).rejects.toMatchObject({
+      errors: ['cache.maxKeys: must be number, got string', 'cache.typo: unknown setting']
+    });
+  });
+});
+
+describe('loadConfig default configuration', () => {
+  function withUnreadableFile() {
+    jest.spyOn(fs, 'readFile').mockRejectedValueOnce(Object.assign(new Error('ENOENT: no such file'), { code: 'ENOENT' }));
+  }
+
+  test('takes a known LOG_LEVEL in any case', async () => {
+    withUnreadableFile();
+    setEnv({ CONFIG_STRICT: 'false', LOG_LEVEL: ' DEBUG ' });
+
+    expect((await loadConfig()).logging.level).toBe('debug');
+  });
+
+  test('stays valid with an unknown LOG_LEVEL', async () => {
+    withUnreadableFile();
+    setEnv({ CONFIG_STRICT: 'false', LOG_LEVEL: 'verbose' });
+
+    expect((await loadConfig()).logging.level).toBe('info');
+  });
+});
@@ -0,0 +1,11 @@
+import { describe, expect, test } from '@jest/globals';
+import { CONFIG_PATH, readConfig } from '../../src/config/index.js';
+
+describe('config/providers.yaml', () => {
+  test('loads and validates', async () => {
+    const config = await readConfig(CONFIG_PATH);
+
+    expect(config.providers.sportradar.baseUrl).toMatch(/^https:\/\//);
+    expect(Object.keys(config.providers.sportradar.widgetTypes)).toContain('match.lmtPlus');
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, expect, test } from '@jest/globals';
+import { configSchema, schemaAt, validate } from '../../src/config/schema.js';
+
+function createConfig(overrides = {}) {
+  return {
+    providers: {
+      sportradar: {
+        baseUrl: 'https://widgets.example.com',
+        widgetTypes: {
+          'match.lmtPlus': {
+            path: '/loader.js',
+            options: {
+              layout: { type: 'keyword', enum: ['single', 'double'] }
+            },
+            presets: {
+              compact: { layout: 'single' }
+            }
+          }
+        }
+      }
+    },
+    cache: { backend: 'memory', defaultTtl: 300 },
+    ...overrides
+  };
+}
+
+describe('configSchema', () => {
+  test('accepts a minimal configuration', () => {
+    expect(validate(configSchema, createConfig())).toEqual([]);
+  });
+
+  test('requires providers and cache', () => {
+    expect(validate(configSchema, {})).toEqual(['providers: is required', 'cache: is required']);
+  });
+
+  test('reports every problem with its path', () => {
+    const config = createConfig({
+      cache: { backend: 'disk', defaultTtl: -1, maxEntrySize: 1.5 },
+      security: { allowedOrigins: ['kakbet.com'] },
+      logging: { level: 'verbose' }
+    });
+    config.providers.sportradar.baseUrl = 'ftp://widgets.example.com';
+
+    expect(validate(configSchema, config)).toEqual([
+      'providers.sportradar.baseUrl: must be an http(s) URL',
+      'cache.backend: must be one of memory, file, redis',
+      'cache.defaultTtl: must be at least 0',
+      'cache.maxEntrySize: must be an integer',
+      'security.allowedOrigins[0]: must be *, an origin or a wildcard origin like https://*.example.com',
+      'logging.level: must be one of error, warn, info, debug'
+    ]);
+  });
+
+  test('reports unknown settings instead of ignoring them', () => {
+    expect(validate(configSchema, createConfig({ cache: { defaultTTL: 300 } }))).toEqual(['cache.defaultTTL: unknown setting']);
+  });
+
+  test('quotes map keys that are not plain identifiers', () => {
+    const config = createConfig();
+    config.providers.sportradar.widgetTypes['match.lmtPlus'].path = 'loader.js';
+
+    expect(validate(configSchema, config)).toEqual(['providers.sportradar.widgetTypes."match.lmtPlus".path: must match /^\\//']);
+  });
+
+  test('rejects regex rewrites that do not compile', () => {
+    const config = createConfig();
+    config.providers.sportradar.rewrites = [{ type: 'regex', match: '(unclosed' }];
+
+    expect(validate(configSchema, config)).toEqual([
+      expect.stringMatching(/^providers\.sportradar\.rewrites\[0\]: invalid regex/)
+    ]);
+  });
+
+  test('rejects presets that do not fit the widget type\'s options', () => {
+    const config = createConfig();
+    config.providers.sportradar.widgetTypes['match.lmtPlus'].presets.wide = { layout: 'triple' };
+
+    expect(validate(configSchema, config)).toEqual([
+      expect.stringMatching(/^providers\.sportradar\.widgetTypes\."match\.lmtPlus": presets\.wide\.layout/)
+    ]);
+  });
+});
+
+describe('schemaAt', () => {
+  test('finds nodes through fixed keys, maps and lists', () => {
+    expect(schemaAt(configSchema, ['cache', 'defaultTtl'])).toMatchObject({ type: 'number', integer: true });
+    expect(schemaAt(configSchema, ['providers', 'any', 'timeout'])).toMatchObject({ type: 'number' });
+    expect(schemaAt(configSchema, ['security', 'allowedOrigins', '0'])).toMatchObject({ type: 'string', format: 'origin' });
+  });
+
+  test('returns null for undeclared paths', () => {
+    expect(schemaAt(configSchema, ['cache', 'nope'])).toBeNull();
+    expect(schemaAt(configSchema, ['cache', 'defaultTtl', 'deeper'])).toBeNull();
+  });
+});
@@ -0,0 +1,79 @@
+import vm from 'vm';
+
+/**
+ * Just enough of a browser to run the widget scripts (widget/*.js) in a vm context:
+ * elements with classes, attributes and listeners, a document with a head and
+ * `currentScript`, and SIR calls recorded on `window.SIR.q`.
+ */
+export class FakeElement {
+  constructor(tagName) {
+    this.tagName = tagName.toUpperCase();
+    this.attributes = {};
+    this.dataset = {};
+    this.children = [];
+    this.listeners = {};
+    this.isConnected = true;
+    const classes = new Set();
+    this.classList = {
+      add: (...names) => names.forEach((name) => classes.add(name)),
+      remove: (...names) => names.forEach((name) => classes.delete(name)),
+      contains: (name) => classes.has(name),
+      toString: () => [...classes].join(' ')
+    };
+  }
+
+  get className() {
+    return this.classList.toString();
+  }
+
+  setAttribute(name, value) {
+    this.attributes[name] = String(value);
+  }
+
+  getAttribute(name) {
+    return this.attributes[name] ?? null;
+  }
+
+  appendChild(child) {
+    this.children.push(child);
+    return child;
+  }
+
+  addEventListener(event, listener) {
+    (this.listeners[event] ||= []).push(listener);
+  }
+}
+
+/**
+ * Run a script as if loaded from `src`
+ * @returns {{ window: Object, document: Object, elements: Object<string, FakeElement>, logs: Array }}
+ */
+export function runScript(source, { src, dataset = {}, elements = {} } = {}) {
+  const currentScript = Object.assign(new FakeElement('script'), { src });
+  Object.assign(currentScript.dataset, dataset);
+  const logs = [];
+
+  const document = {
+    currentScript,
+    head: new FakeElement('head'),
+    documentElement: new FakeElement('html'),
+    createElement: (tagName) => new FakeElement(tagName),
+    querySelector: (selector) => elements[selector] || null
+  };
+  const console = Object.fromEntries(['log', 'warn', 'error'].map((level) => [level, (...args) => logs.push([level, ...args])]));
+  const window = { location: { href: src }, document };
+
+  vm.runInNewContext(source, {
+    window,
+    document,
+    console,
+    URL,
+    Element: FakeElement,
+    MutationObserver: class {
+      observe() {}
+      disconnect() {}
+    }
+  });
+
+  return { window, document, elements, logs };
+}
@@ -0,0 +1,136 @@
+import net from 'net';
+
+/**
+ * In-process stand-in for a Redis server: speaks RESP over TCP and implements the
+ * commands RedisStore (through ioredis) sends, with per-key expiry. Start with
+ * `listen()`, which resolves with the redis:// URL to connect to.
+ */
+export class RedisStandIn {
+  constructor() {
+    this.data = new Map();
+    this.commands = [];
+    this.server = net.createServer((socket) => this.serve(socket));
+  }
+
+  listen() {
+    return new Promise((resolve) => {
+      this.server.listen(0, '127.0.0.1', () => resolve(`redis://127.0.0.1:${this.server.address().port}/0`));
+    });
+  }
+
+  close() {
+    return new Promise((resolve) => this.server.close(resolve));
+  }
+
+  serve(socket) {
+    let pending = Buffer.alloc(0);
+
+    socket.on('data', (chunk) => {
+      pending = Buffer.concat([pending, chunk]);
+      let parsed;
+      while ((parsed = parseCommand(pending))) {
+        pending = pending.subarray(parsed.length);
+        const [name, ...args] = parsed.command;
+        this.commands.push(name.toString().toUpperCase());
+        socket.write(this.execute(name.toString().toUpperCase(), args));
+        if (name.toString().toUpperCase() === 'QUIT') socket.end();
+      }
+    });
+    socket.on('error', () => socket.destroy());
+  }
+
+  execute(name, args) {
+    switch (name) {
+      case 'PING':
+        return simple('PONG');
+      case 'INFO':
+        return bulk(Buffer.from('# Server\r\nredis_version:7.2.0\r\nloading:0\r\n'));
+      case 'SELECT':
+      case 'QUIT':
+        return simple('OK');
+      case 'GET': {
+        const entry = this.read(args[0]);
+        return bulk(entry?.value ?? null);
+      }
+      case 'SET': {
+        const ex = args.findIndex((arg) => arg.toString().toUpperCase() === 'EX');
+        const expiresAt = ex === -1 ? Infinity : Date.now() + Number(args[ex + 1]) * 1000;
+        this.data.set(args[0].toString(), { value: args[1], expiresAt });
+        return simple('OK');
+      }
+      case 'DEL':
+        return integer(args.filter((key) => this.read(key) && this.data.delete(key.toString())).length);
+      case 'STRLEN':
+        return integer(this.read(args[0])?.value.length ?? 0);
+      case 'PTTL': {
+        const entry = this.read(args[0]);
+        if (!entry) return integer(-2);
+        return integer(entry.expiresAt === Infinity ? -1 : entry.expiresAt - Date.now());
+      }
+      case 'SCAN': {
+        const match = args.findIndex((arg) => arg.toString().toUpperCase() === 'MATCH');
+        const pattern = match === -1 ? '*' : args[match + 1].toString();
+        const regex = new RegExp(`^${pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`);
+        const keys = [...this.data.keys()].filter((key) => this.read(key) && regex.test(key));
+        // Everything in one batch, ending the cursor
+        return `*2\r\n${bulk(Buffer.from('0'))}*${keys.length}\r\n${keys.map((key) => bulk(Buffer.from(key))).join('')}`;
+      }
+      default:
+        return `-ERR unknown command '${name}'\r\n`;
+    }
+  }
+
+  read(key) {
+    const entry = this.data.get(key.toString());
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.data.delete(key.toString());
+      return undefined;
+    }
+    return entry;
+  }
+}
+
+/**
+ * One RESP array of bulk strings from the start of a buffer, or null when incomplete
+ */
+function parseCommand(buffer) {
+  if (!buffer.length) return null;
+
+  let offset = 0;
+  const line = () => {
+    const end = buffer.indexOf('\r\n', offset);
+    if (end === -1) return null;
+    const text = buffer.toString('utf8', offset, end);
+    offset = end + 2;
+    return text;
+  };
+
+  const header = line();
+  if (header === null) return null;
+  const count = Number(header.slice(1));
+  const command = [];
+
+  for (let i = 0; i < count; i++) {
+    const size = line();
+    if (size === null) return null;
+    const length = Number(size.slice(1));
+    if (buffer.length < offset + length + 2) return null;
+    command.push(buffer.subarray(offset, offset + length));
+    offset += length + 2;
+  }
+
+  return { command, length: offset };
+}
+
+function simple(text) {
+  return `+${text}\r\n`;
+}
+
+function integer(value) {
+  return `:${value}\r\n`;
+}
+
+function bulk(value) {
+  if (value === null) return '$-1\r\n';
+  return Buffer.concat([Buffer.from(`$${value.length}\r\n`), value, Buffer.from('\r\n')]);
+}
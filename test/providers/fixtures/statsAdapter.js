@@ -0,0 +1,18 @@
+import { ProviderAdapter } from '../../../src/providers/ProviderAdapter.js';
+
+/**
+ * Adapter module as a deployment would ship one: widget scripts are served per client ID
+ */
+export default class StatsAdapter extends ProviderAdapter {
+  get type() {
+    return 'stats';
+  }
+
+  validate() {
+    return this.providerConfig.options?.clientId ? [] : ['options.clientId: is required by the stats adapter'];
+  }
+
+  resolveWidgetUrl(widgetType) {
+    return `${this.providerConfig.baseUrl}/${this.providerConfig.options.clientId}/${widgetType}.js`;
+  }
+}
@@ -0,0 +1,65 @@
+import { describe, expect, test } from '@jest/globals';
+import path from 'path';
+import { createProviderAdapters, loadAdapterModules, ProviderAdapter } from '../../src/providers/index.js';
+
+const config = (providers) => ({ providers, cache: { defaultTtl: 300 } });
+
+describe('provider adapters', () => {
+  test('use the built-in adapter named like the provider, or the generic one', () => {
+    const adapters = createProviderAdapters(config({
+      sportradar: { baseUrl: 'https://widgets.sir.sportradar.com', widgetId: 'abc' },
+      acme: { baseUrl: 'https://widgets.acme.example' }
+    }));
+
+    expect(adapters.get('sportradar').type).toBe('sportradar');
+    expect(adapters.get('acme').type).toBe('generic');
+  });
+
+  test('load an adapter module by path relative to the working directory', async () => {
+    const settings = config({
+      stats: {
+        adapter: './test/providers/fixtures/statsAdapter.js',
+        baseUrl: 'https://widgets.stats.example',
+        options: { clientId: 'kakbet' }
+      }
+    });
+    await loadAdapterModules(settings);
+    const adapter = createProviderAdapters(settings).get('stats');
+
+    expect(adapter).toBeInstanceOf(ProviderAdapter);
+    expect(adapter.type).toBe('stats');
+    expect(adapter.resolveWidgetUrl('scoreboard')).toBe('https://widgets.stats.example/kakbet/scoreboard.js');
+  });
+
+  test('load an adapter module by absolute path and report its validation problems', async () => {
+    const settings = config({
+      stats: { adapter: path.resolve('test/providers/fixtures/statsAdapter.js'), baseUrl: 'https://widgets.stats.example' }
+    });
+    await loadAdapterModules(settings);
+
+    expect(() => createProviderAdapters(settings)).toThrow(expect.objectContaining({
+      errors: ['providers.stats.options.clientId: is required by the stats adapter']
+    }));
+  });
+
+  test('reject adapter modules that cannot be imported', async () => {
+    const settings = config({ stats: { adapter: './test/providers/fixtures/missing.js' } });
+
+    await expect(loadAdapterModules(settings)).rejects.toThrow('Cannot load provider adapter ./test/providers/fixtures/missing.js');
+  });
+
+  test('reject unknown adapters and modules without a ProviderAdapter subclass', async () => {
+    const settings = config({
+      stats: { adapter: 'statsvendor-adapter' },
+      other: { adapter: './test/providers/fixtures/notAnAdapter.js' }
+    });
+    await loadAdapterModules({ providers: { other: settings.providers.other } });
+
+    expect(() => createProviderAdapters(settings)).toThrow(expect.objectContaining({
+      errors: [
+        'providers.stats.adapter: statsvendor-adapter does not default-export a ProviderAdapter subclass',
+        'providers.other.adapter: ./test/providers/fixtures/notAnAdapter.js does not default-export a ProviderAdapter subclass'
+      ]
+    }));
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, expect, test } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import { createAdminRouter } from '../../src/routes/admin.js';
+
+const TOKEN = 'test-token';
+const config = { admin: { tokens: [{ name: 'ops', token: TOKEN }] } };
+
+function createApp({ proxyService = {}, configManager = {}, tenants: named = {} } = {}) {
+  const tenant = { name: 'default', pathPrefix: '', config: {} };
+  const tenants = { get: (name) => named[name], getDefault: () => tenant };
+  const app = express();
+  app.use('/admin', createAdminRouter(config, proxyService, tenants, configManager));
+  return app;
+}
+
+describe('admin API', () => {
+  test('requires a token', async () => {
+    const response = await request(createApp()).get('/admin/config');
+
+    expect(response.status).toBe(401);
+  });
+
+  test('answers failing cache stats with an error', async () => {
+    const app = createApp({ proxyService: { getCacheStats: async () => { throw new Error('Redis is down'); } } });
+    const response = await request(app).get('/admin/cache/stats').set('X-Admin-Token', TOKEN);
+
+    expect(response.status).toBe(500);
+    expect(response.body).toEqual({ error: 'Admin Error', message: 'Redis is down' });
+  });
+
+  test('answers a failing reload with an error', async () => {
+    const app = createApp({ configManager: { reload: async () => { throw new Error('announce failed'); } } });
+    const response = await request(app).post('/admin/config/reload').set('Authorization', `Bearer ${TOKEN}`);
+
+    expect(response.status).toBe(500);
+    expect(response.body.message).toBe('announce failed');
+  });
+
+  describe('cache warm', () => {
+    const warmed = [];
+    const service = {
+      widgetCacheKey: (provider, widgetType, query) => `widget:${provider}:${widgetType}:${query.matchId}`,
+      purgeCache: async () => [],
+      proxyWidget: async (provider, widgetType, query) => {
+        warmed.push(query.matchId);
+        return { status: 200, cacheStatus: 'MISS', data: 'loader' };
+      }
+    };
+    const app = createApp({ proxyService: { forTenant: () => service } });
+
+    test('normalizes the match ID like the widget route', async () => {
+      const response = await request(app)
+        .post('/admin/cache/warm')
+        .set('X-Admin-Token', TOKEN)
+        .send({ url: '/proxy/sportradar/match.lmtPlus?matchId=sr:match:0061939220' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.cacheKey).toBe('widget:sportradar:match.lmtPlus:61939220');
+      expect(warmed).toEqual(['61939220']);
+    });
+
+    test('rejects malformed match IDs', async () => {
+      const response = await request(app)
+        .post('/admin/cache/warm')
+        .set('X-Admin-Token', TOKEN)
+        .send({ url: '/proxy/sportradar/match.lmtPlus?matchId=1%20OR%201' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('rewrite dry-run', () => {
+    const service = {
+      proxyWidget: async () => ({ status: 200, data: 'load("https://widgets.example.com/assets/app.js")' }),
+      getAdapter: () => ({
+        getRewriteRules: () => [{ name: 'assets', match: 'https://widgets.example.com', replace: '{publicBaseUrl}/proxy/{provider}' }]
+      })
+    };
+    const kakbet = { name: 'kakbet', pathPrefix: '/kakbet', config: { server: { publicBaseUrl: 'https://widgets.kakbet.example' } } };
+    const app = createApp({ proxyService: { forTenant: () => service }, tenants: { kakbet } });
+
+    test('requires a token', async () => {
+      const response = await request(app).get('/admin/rewrites/sportradar/match.lmtPlus');
+
+      expect(response.status).toBe(401);
+    });
+
+    test('reports rule hits as the tenant sees them', async () => {
+      const response = await request(app)
+        .get('/admin/rewrites/sportradar/match.lmtPlus?tenant=kakbet')
+        .set('X-Admin-Token', TOKEN);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        tenant: 'kakbet',
+        provider: 'sportradar',
+        widgetType: 'match.lmtPlus',
+        publicBaseUrl: 'https://widgets.kakbet.example/kakbet',
+        upstreamStatus: 200,
+        rules: [{ name: 'assets', count: 1 }]
+      });
+    });
+
+    test('rejects unknown tenants', async () => {
+      const response = await request(app)
+        .get('/admin/rewrites/sportradar/match.lmtPlus?tenant=nope')
+        .set('X-Admin-Token', TOKEN);
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, expect, test } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import { createProviderAdapters } from '../../src/providers/index.js';
+import { createEmbedRouter } from '../../src/routes/embed.js';
+
+const config = {
+  providers: {
+    sportradar: {
+      baseUrl: 'https://widgets.example.com',
+      widgetId: 'test',
+      widgetTypes: {
+        'match.lmtPlus': {
+          path: '/loader.js',
+          options: {
+            layout: { type: 'keyword', enum: ['topdown', 'single', 'double'], default: 'topdown' },
+            collapsed: { type: 'boolean', default: false },
+            scale: { type: 'number' }
+          },
+          presets: {
+            'mobile-compact': { layout: 'single', collapsed: true }
+          }
+        }
+      }
+    }
+  },
+  security: { allowedOrigins: ['https://kakbet.com'] }
+};
+
+function createApp() {
+  const tenant = { name: 'default', config, adapters: createProviderAdapters(config) };
+  const app = express();
+  app.use('/embed', createEmbedRouter(tenant));
+  return app;
+}
+
+/**
+ * Options passed to SIR("addWidget", ...) in an embed page
+ */
+function widgetOptions(html) {
+  return JSON.parse(html.match(/SIR\("addWidget",".sr-widget-1","match\.lmtPlus",(.*)\);\n/)[1]);
+}
+
+describe('embed pages', () => {
+  test('pass validated query options and the normalized match ID to addWidget', async () => {
+    const response = await request(createApp()).get('/embed/sportradar/match.lmtPlus?matchId=sr:match:42&layout=double');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-security-policy']).toBe("frame-ancestors 'self' https://kakbet.com");
+    expect(widgetOptions(response.text)).toEqual({ layout: 'double', collapsed: false, matchId: '42' });
+  });
+
+  test('include the resize bridge before the SIR bootstrap', async () => {
+    const response = await request(createApp()).get('/embed/sportradar/match.lmtPlus?matchId=42');
+
+    const tag = '<script src="/loader/bridge.js" data-match-id="42" data-origins="https://kakbet.com"></script>';
+    expect(response.text).toContain(tag);
+    expect(response.text.indexOf(tag)).toBeLessThan(response.text.indexOf('(function(a,b,c,d,e,f,g,h,i)'));
+  });
+
+  test('use the widget type\'s defaults for options not given', async () => {
+    const response = await request(createApp()).get('/embed/sportradar/match.lmtPlus?scale=1.25');
+
+    expect(widgetOptions(response.text)).toEqual({ layout: 'topdown', collapsed: false, scale: 1.25 });
+  });
+
+  test('apply defaults, then the preset, then query options', async () => {
+    const response = await request(createApp()).get('/embed/sportradar/match.lmtPlus?preset=mobile-compact&layout=double');
+
+    expect(response.status).toBe(200);
+    expect(widgetOptions(response.text)).toEqual({ layout: 'double', collapsed: true });
+  });
+
+  test('reject unknown presets along with invalid options', async () => {
+    const response = await request(createApp()).get('/embed/sportradar/match.lmtPlus?preset=desktop&scale=big');
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors).toEqual(['preset: must be one of mobile-compact', 'scale: must be a number']);
+  });
+
+  test('do not take inherited object keys for presets', async () => {
+    const response = await request(createApp()).get('/embed/sportradar/match.lmtPlus?preset=constructor');
+
+    expect(response.status).toBe(400);
+  });
+
+  test('reject invalid options', async () => {
+    const response = await request(createApp()).get('/embed/sportradar/match.lmtPlus?layout=</script>&onload=x');
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors).toEqual([
+      'layout: must be a single word',
+      'onload: unknown option'
+    ]);
+  });
+
+  test('reject malformed match IDs before rendering', async () => {
+    const response = await request(createApp()).get('/embed/sportradar/match.lmtPlus?matchId=1%3Balert(1)');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Bad Request');
+  });
+
+  test('answer 404 for unknown widget types', async () => {
+    const response = await request(createApp()).get('/embed/sportradar/match.nope');
+
+    expect(response.status).toBe(404);
+  });
+});
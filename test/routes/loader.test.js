@@ -0,0 +1,92 @@
+import { describe, expect, test } from '@jest/globals';
+import express from 'express';
+import fs from 'fs/promises';
+import path from 'path';
+import request from 'supertest';
+import { createProviderAdapters } from '../../src/providers/index.js';
+import { bridgeScriptTag, createLoaderRouter } from '../../src/routes/loader.js';
+
+const config = {
+  cache: { defaultTtl: 60 },
+  providers: {
+    sportradar: {
+      baseUrl: 'https://widgets.example.com',
+      widgetId: 'test',
+      widgetTypes: { 'match.lmtPlus': { path: '/loader.js' } }
+    }
+  },
+  security: { allowedOrigins: ['https://kakbet.com', 'https://*.kakbet.com'] }
+};
+
+function createApp(tenantConfig = config) {
+  const tenant = { name: 'tipx10', config: tenantConfig, adapters: createProviderAdapters(tenantConfig) };
+  const app = express();
+  app.use('/tipx10/loader', (req, res, next) => {
+    req.tenantPrefix = '/tipx10';
+    next();
+  }, createLoaderRouter(tenant));
+  return app;
+}
+
+describe('loader routes', () => {
+  test.each(['bridge.js', 'host.js'])('serve the resize bridge script %s', async (name) => {
+    const response = await request(createApp()).get(`/tipx10/loader/${name}`);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('application/javascript; charset=utf-8');
+    expect(response.headers['cache-control']).toBe('public, max-age=60');
+    expect(response.text).toBe(await fs.readFile(path.join(process.cwd(), 'widget', name), 'utf8'));
+  });
+
+  test('serve no other widget files', async () => {
+    expect((await request(createApp()).get('/tipx10/loader/sdk.js')).status).toBe(404);
+    expect((await request(createApp()).get('/tipx10/loader/..%2Fpackage.json')).status).toBe(404);
+  });
+
+  test('include the bridge in the preview before the SIR bootstrap, with escaped attributes', async () => {
+    const tenantConfig = { ...config, security: { allowedOrigins: ['https://kakbet.com', 'https://a.example/"><script>'] } };
+
+    const response = await request(createApp(tenantConfig)).get('/tipx10/loader/preview.html?matchId=sr:match:42');
+
+    expect(response.status).toBe(200);
+    const tag = '<script src="/tipx10/loader/bridge.js" data-match-id="42" '
+      + 'data-origins="https://kakbet.com https://a.example/&quot;&gt;&lt;script&gt;"></script>';
+    expect(response.text).toContain(tag);
+    expect(response.text.indexOf(tag)).toBeLessThan(response.text.indexOf('(function(a,b,c,d,e,f,g,h,i)'));
+  });
+
+  test('load the preview widget through the tenant\'s SportRadar provider', async () => {
+    const tenantConfig = { ...config, providers: { sir: { ...config.providers.sportradar, adapter: 'sportradar' } } };
+
+    const response = await request(createApp(tenantConfig)).get('/tipx10/loader/preview.html?matchId=sr:match:0042');
+
+    expect(response.status).toBe(200);
+    expect(response.text).toContain('"/tipx10/proxy/sir/match.lmtPlus?matchId=42"');
+    expect(response.text).not.toContain('widgets.sir.sportradar.com');
+  });
+
+  test('keep plain match IDs numeric and pass stage URNs as strings', async () => {
+    const match = await request(createApp()).get('/tipx10/loader/preview.html?matchId=sr:match:42');
+    const stage = await request(createApp()).get('/tipx10/loader/preview.html?matchId=sr:stage:7');
+
+    expect(match.text).toMatch(/matchId:42\b/);
+    expect(stage.text).toContain('matchId:"sr:stage:7"');
+  });
+
+  test('answer 404 when no provider serves the preview widget', async () => {
+    const tenantConfig = { ...config, providers: { sportradar: { ...config.providers.sportradar, widgetTypes: {} } } };
+
+    expect((await request(createApp(tenantConfig)).get('/tipx10/loader/preview.html')).status).toBe(404);
+  });
+});
+
+describe('bridgeScriptTag', () => {
+  test('escapes the prefix, match ID and origins for attributes', () => {
+    expect(bridgeScriptTag({ prefix: '/a"b', matchId: 'sr:stage:1"', origins: ['https://x.example', '<y>'] }))
+      .toBe('<script src="/a&quot;b/loader/bridge.js" data-match-id="sr:stage:1&quot;" data-origins="https://x.example &lt;y&gt;"></script>');
+  });
+
+  test('leaves out a missing match ID', () => {
+    expect(bridgeScriptTag({})).toBe('<script src="/loader/bridge.js" data-origins=""></script>');
+  });
+});
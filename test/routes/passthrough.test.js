@@ -0,0 +1,92 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, test } from '@jest/globals';
+import express from 'express';
+import http from 'http';
+import request from 'supertest';
+import { createProviderAdapters } from '../../src/providers/index.js';
+import { createPassthroughRouter } from '../../src/routes/passthrough.js';
+import { StreamProxy } from '../../src/services/StreamProxy.js';
+
+const rateLimiter = { middleware: () => (req, res, next) => next() };
+
+describe('feed micro-cache', () => {
+  let upstream;
+  let upstreamPaths = [];
+  let streamProxy;
+  let app;
+
+  beforeAll(async () => {
+    upstream = http.createServer((req, res) => {
+      upstreamPaths.push(req.url);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ path: req.url }));
+    });
+    await new Promise((resolve) => upstream.listen(0, '127.0.0.1', resolve));
+
+    const config = {
+      providers: {
+        acme: {
+          feeds: { 'lt-fn': `http://127.0.0.1:${upstream.address().port}` },
+          longPoll: ['/api/lt-fn/gismo/poll*'],
+          feedCache: {
+            enabled: true,
+            ttl: 1,
+            endpoints: [{ path: '/api/*/gismo/config_*', ttl: 30 }]
+          }
+        }
+      },
+      cache: { defaultTtl: 60 }
+    };
+    streamProxy = new StreamProxy(config);
+
+    app = express();
+    app.use((req, res, next) => {
+      req.tenant = { name: 'default' };
+      next();
+    });
+    app.use(createPassthroughRouter(config, {}, streamProxy, createProviderAdapters(config), rateLimiter));
+  });
+
+  afterAll(async () => {
+    await streamProxy.close();
+    await new Promise((resolve) => upstream.close(resolve));
+  });
+
+  beforeEach(async () => {
+    upstreamPaths = [];
+    await streamProxy.feedCache.store.clear();
+  });
+
+  async function cachedFor(path) {
+    const entries = await streamProxy.feedCache.store.entries();
+    const entry = entries.find(({ key }) => key.endsWith(path));
+    return entry && (entry.expiresAt - Date.now()) / 1000;
+  }
+
+  test('replays a poll from the cache', async () => {
+    const first = await request(app).get('/api/lt-fn/gismo/match_info/1');
+    const second = await request(app).get('/api/lt-fn/gismo/match_info/1');
+
+    expect(first.headers['x-cache']).toBe('MISS');
+    expect(second.headers['x-cache']).toBe('HIT');
+    expect(second.body).toEqual({ path: '/gismo/match_info/1' });
+    expect(upstreamPaths).toEqual(['/gismo/match_info/1']);
+  });
+
+  test('keeps polls for the TTL of the first matching endpoint, or the feed TTL', async () => {
+    await request(app).get('/api/lt-fn/gismo/config_tree/1');
+    await request(app).get('/api/lt-fn/gismo/match_info/1');
+
+    expect(await cachedFor('/gismo/config_tree/1')).toBeGreaterThan(29);
+    expect(await cachedFor('/gismo/match_info/1')).toBeLessThanOrEqual(1);
+  });
+
+  test('never caches long polls', async () => {
+    const first = await request(app).get('/api/lt-fn/gismo/poll/1');
+    const second = await request(app).get('/api/lt-fn/gismo/poll/1');
+
+    expect(first.headers['x-cache']).toBeUndefined();
+    expect(second.headers['x-cache']).toBeUndefined();
+    expect(upstreamPaths).toEqual(['/gismo/poll/1', '/gismo/poll/1']);
+    expect(await cachedFor('/gismo/poll/1')).toBeUndefined();
+  });
+});
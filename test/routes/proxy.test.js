@@ -0,0 +1,65 @@
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals';
+import express from 'express';
+import http from 'http';
+import request from 'supertest';
+import { createProxyRouter } from '../../src/routes/proxy.js';
+import { ProxyService } from '../../src/services/ProxyService.js';
+
+const rateLimiter = { middleware: () => (req, res, next) => next() };
+const matchLookup = { middleware: () => (req, res, next) => next() };
+
+describe('widget route conditional requests', () => {
+  let upstream;
+  let upstreamHits = 0;
+  let app;
+
+  beforeAll(async () => {
+    upstream = http.createServer((req, res) => {
+      upstreamHits++;
+      res.writeHead(200, { 'Content-Type': 'application/javascript', ETag: '"v1"' });
+      res.end('load("https://widgets.example.com/app.js")');
+    });
+    await new Promise((resolve) => upstream.listen(0, '127.0.0.1', resolve));
+
+    const config = {
+      server: { publicBaseUrl: 'https://proxy.example.com' },
+      providers: {
+        acme: {
+          baseUrl: `http://127.0.0.1:${upstream.address().port}`,
+          widgetTypes: { scoreboard: { path: '/scoreboard.js' } },
+          rewrites: [{ name: 'assets', match: 'https://widgets.example.com', replace: '{publicBaseUrl}/proxy/acme' }]
+        }
+      },
+      cache: { backend: 'memory', defaultTtl: 60 }
+    };
+
+    app = express();
+    app.use('/proxy', createProxyRouter(config, new ProxyService(config), rateLimiter, matchLookup));
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => upstream.close(resolve));
+  });
+
+  test('answers a matching If-None-Match with a 304 from the cache', async () => {
+    const first = await request(app).get('/proxy/acme/scoreboard');
+
+    expect(first.status).toBe(200);
+    expect(first.text).toBe('load("https://proxy.example.com/proxy/acme/app.js")');
+    expect(first.headers.etag).toBeDefined();
+
+    const second = await request(app).get('/proxy/acme/scoreboard').set('If-None-Match', first.headers.etag);
+
+    expect(second.status).toBe(304);
+    expect(second.headers['x-cache']).toBe('HIT');
+    expect(second.text).toBe('');
+    expect(upstreamHits).toBe(1);
+  });
+
+  test('sends the script for a stale validator', async () => {
+    const response = await request(app).get('/proxy/acme/scoreboard').set('If-None-Match', '"something-else"');
+
+    expect(response.status).toBe(200);
+    expect(response.text).toBe('load("https://proxy.example.com/proxy/acme/app.js")');
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, expect, test } from '@jest/globals';
+import express from 'express';
+import fs from 'fs/promises';
+import path from 'path';
+import request from 'supertest';
+import { createProviderAdapters } from '../../src/providers/index.js';
+import { createSdkRouter } from '../../src/routes/sdk.js';
+import { ThemeService } from '../../src/services/ThemeService.js';
+import { FakeElement, runScript } from '../helpers/fakeDom.js';
+
+const config = {
+  cache: { defaultTtl: 60 },
+  providers: {
+    sportradar: {
+      baseUrl: 'https://widgets.example.com',
+      widgetId: 'test',
+      widgetTypes: {
+        'match.lmtPlus': {
+          path: '/loader.js',
+          options: {
+            layout: { type: 'keyword', enum: ['topdown', 'single'], default: 'topdown' },
+            scale: { type: 'number' }
+          },
+          presets: { 'mobile-compact': { layout: 'single' } }
+        }
+      }
+    },
+    other: { adapter: 'generic', baseUrl: 'https://other.example.com', widgetTypes: { main: { path: '/main.js' } } }
+  },
+  themes: {
+    kakbet: { primary: '#f00', home: '#00f', away: '#f00', cl: '#000', base: '#fff', variants: { dark: { base: '#000' } } }
+  }
+};
+
+const rateLimiter = { middleware: () => (req, res, next) => next() };
+
+function createApp(tenant = { name: 'tipx10', language: 'pt', theme: '</script><script>alert(1)</script>' }) {
+  const app = express();
+  app.use('/tipx10/sdk', createSdkRouter({ config, adapters: createProviderAdapters(config), ...tenant }, new ThemeService(config), rateLimiter));
+  return app;
+}
+
+/**
+ * The CONFIG literal the server filled in
+ */
+function sdkConfig(js) {
+  return JSON.parse(js.match(/const CONFIG = (.*);\n/)[1]);
+}
+
+describe('sdk routes', () => {
+  test('fill in the tenant\'s settings, widget defaults and presets, escaped for a script', async () => {
+    const response = await request(createApp()).get('/tipx10/sdk/widgets.js');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('application/javascript; charset=utf-8');
+    expect(response.headers['cache-control']).toBe('public, max-age=60');
+    expect(response.text).not.toContain('__WIDGET_PROXY_CONFIG__');
+    expect(response.text.match(/const CONFIG = .*/)[0]).not.toMatch(/[<>]/);
+    expect(sdkConfig(response.text)).toEqual({
+      language: 'pt',
+      theme: '</script><script>alert(1)</script>',
+      palettes: { kakbet: ['dark'] },
+      providers: {
+        sportradar: {
+          'match.lmtPlus': { defaults: { layout: 'topdown' }, presets: { 'mobile-compact': { layout: 'single' } } }
+        }
+      }
+    });
+  });
+
+  test('answer a matching If-None-Match with 304', async () => {
+    const app = createApp();
+    const { headers } = await request(app).get('/tipx10/sdk/widgets.js');
+
+    const response = await request(app).get('/tipx10/sdk/widgets.js').set('If-None-Match', headers.etag);
+
+    expect(headers.etag).toMatch(/^"[\w-]+"$/);
+    expect(response.status).toBe(304);
+  });
+
+  test('answer 500 when the SDK cannot be rendered', async () => {
+    const adapters = { values: () => { throw new Error('adapters unavailable'); } };
+
+    const response = await request(createApp({ name: 'broken', adapters })).get('/tipx10/sdk/widgets.js');
+
+    expect(response.status).toBe(500);
+    expect(response.body).toEqual({ error: 'SDK Error', message: 'adapters unavailable' });
+  });
+});
+
+describe('widget SDK', () => {
+  async function loadSdk(elements) {
+    const { text } = await request(createApp({ name: 'tipx10', language: 'pt', theme: 'kakbet:dark' })).get('/tipx10/sdk/widgets.js');
+    return runScript(text, { src: 'https://widgets.kakbet.com/tipx10/sdk/widgets.js?v=1', elements });
+  }
+
+  test('loads the widget loader and theme from the tenant\'s routes', async () => {
+    const { window, document } = await loadSdk({ '#tracker': new FakeElement('div') });
+
+    window.WidgetProxy('mount', '#tracker', { type: 'match.lmtPlus', matchId: 42, preset: 'mobile-compact', options: { scale: 2 } });
+
+    expect(window.WidgetProxy.baseUrl).toBe('https://widgets.kakbet.com/tipx10');
+    expect(document.head.children.map((child) => child.href || child.src)).toEqual([
+      'https://widgets.kakbet.com/tipx10/themes/kakbet.css?variant=dark',
+      'https://widgets.kakbet.com/tipx10/proxy/sportradar/match.lmtPlus'
+    ]);
+    const [, selector, type, props] = window.SIR.q[0];
+    expect([selector, type, { ...props }]).toEqual(['.wp-widget-1', 'match.lmtPlus', { layout: 'single', scale: 2, matchId: 42 }]);
+  });
+
+  test('leaves an element\'s classes as it found them on unmount', async () => {
+    const plain = new FakeElement('div');
+    const styled = new FakeElement('div');
+    styled.classList.add('sr-widget', 'brand');
+    const { window } = await loadSdk({ '#plain': plain, '#styled': styled });
+
+    window.WidgetProxy.mount('#plain', { type: 'match.lmtPlus' }).unmount();
+    window.WidgetProxy.mount('#styled', { type: 'match.lmtPlus' }).unmount();
+
+    expect(plain.className).toBe('');
+    expect(styled.className).toBe('sr-widget brand');
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, expect, test } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import { createThemesRouter } from '../../src/routes/themes.js';
+import { ThemeService } from '../../src/services/ThemeService.js';
+
+const config = {
+  cache: { defaultTtl: 120 },
+  themes: {
+    kakbet: {
+      formula: 'solid',
+      primary: '#FF0000',
+      home: '#0C0CFF',
+      away: '#FF0000',
+      cl: '#000000',
+      base: '#FFFFFF',
+      variants: { dark: { cl: '#FFFFFF', base: '#10222B' } }
+    }
+  }
+};
+
+const rateLimiter = { middleware: () => (req, res, next) => next() };
+
+function createApp(themes = new ThemeService(config)) {
+  const app = express();
+  app.use('/themes', createThemesRouter(config, themes, rateLimiter));
+  return app;
+}
+
+describe('themes routes', () => {
+  test('serve a rendered stylesheet with an ETag and cache lifetime', async () => {
+    const response = await request(createApp()).get('/themes/kakbet.css?variant=dark');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('text/css; charset=utf-8');
+    expect(response.headers['cache-control']).toBe('public, max-age=120');
+    expect(response.headers.etag).toMatch(/^"[\w-]+"$/);
+    expect(response.text).toContain('background: #10222b;');
+  });
+
+  test('answer a matching If-None-Match with 304', async () => {
+    const app = createApp();
+    const { headers } = await request(app).get('/themes/kakbet.css');
+
+    const response = await request(app).get('/themes/kakbet.css').set('If-None-Match', headers.etag);
+
+    expect(response.status).toBe(304);
+    expect(response.text).toBe('');
+  });
+
+  test.each([
+    ['/themes/sporwin.css', 'Unknown theme sporwin'],
+    ['/themes/kakbet.css?variant=light', 'Unknown theme kakbet:light'],
+    ['/themes/kakbet.css?variant=a&variant=b', 'Unknown theme kakbet:a,b']
+  ])('answer 404 for %s', async (path, message) => {
+    const response = await request(createApp()).get(path);
+
+    expect(response.status).toBe(404);
+    expect(response.body).toEqual({ error: 'Theme Not Found', message });
+  });
+
+  test('answer 500 when rendering fails', async () => {
+    const themes = new ThemeService(config);
+    themes.render = async () => {
+      throw new Error('Invalid theme expression: mix(cl, base');
+    };
+
+    const response = await request(createApp(themes)).get('/themes/kakbet.css');
+
+    expect(response.status).toBe(500);
+    expect(response.body).toEqual({ error: 'Theme Error', message: 'Invalid theme expression: mix(cl, base' });
+  });
+});
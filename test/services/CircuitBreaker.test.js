@@ -0,0 +1,101 @@
+import { afterEach, describe, expect, jest, test } from '@jest/globals';
+import { CircuitBreaker, CircuitBreakers } from '../../src/services/CircuitBreaker.js';
+
+const networkError = () => Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+const fail = (error) => () => Promise.reject(error);
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('CircuitBreaker', () => {
+  test('opens after failureThreshold consecutive failures and then fails fast with a 503', async () => {
+    const breaker = new CircuitBreaker('sportradar', { failureThreshold: 2, resetTimeout: 10000 });
+    const task = jest.fn(fail(networkError()));
+
+    await expect(breaker.run(task)).rejects.toThrow('ECONNREFUSED');
+    expect(breaker.state).toBe('closed');
+    await expect(breaker.run(task)).rejects.toThrow('ECONNREFUSED');
+    expect(breaker.state).toBe('open');
+
+    await expect(breaker.run(task)).rejects.toMatchObject({ status: 503, retryAfter: 10, circuitOpen: true });
+    expect(task).toHaveBeenCalledTimes(2);
+    expect(breaker.getStats()).toMatchObject({ state: 'open', failures: 2, rejected: 1, opened: 1 });
+  });
+
+  test('counts every 5xx answer as a failure, resolved or thrown', async () => {
+    const breaker = new CircuitBreaker('sportradar', { failureThreshold: 3 });
+
+    await breaker.run(async () => ({ statusCode: 500 }));
+    await expect(breaker.run(fail(Object.assign(new Error('Request failed'), { response: { status: 501 } })))).rejects.toThrow();
+    await breaker.run(async () => ({ status: 500 }));
+
+    expect(breaker.state).toBe('open');
+  });
+
+  test('resets the count on answers that prove upstream is up, including 4xx', async () => {
+    const breaker = new CircuitBreaker('sportradar', { failureThreshold: 2 });
+
+    await expect(breaker.run(fail(networkError()))).rejects.toThrow();
+    await breaker.run(async () => ({ statusCode: 404 }));
+    await expect(breaker.run(fail(Object.assign(new Error('Not Found'), { response: { status: 404 } })))).rejects.toThrow();
+    await expect(breaker.run(fail(networkError()))).rejects.toThrow();
+
+    expect(breaker.state).toBe('closed');
+    expect(breaker.consecutiveFailures).toBe(1);
+  });
+
+  test('goes half-open after resetTimeout, lets one trial through and closes when it succeeds', async () => {
+    jest.useFakeTimers();
+    const breaker = new CircuitBreaker('sportradar', { failureThreshold: 1, resetTimeout: 1000 });
+    await expect(breaker.run(fail(networkError()))).rejects.toThrow();
+
+    jest.advanceTimersByTime(1000);
+    let finishTrial;
+    const trial = breaker.run(() => new Promise((resolve) => { finishTrial = resolve; }));
+    expect(breaker.state).toBe('half-open');
+    await expect(breaker.run(async () => 'second')).rejects.toMatchObject({ status: 503 });
+
+    finishTrial({ statusCode: 200 });
+    await trial;
+    expect(breaker.state).toBe('closed');
+    expect(await breaker.run(async () => 'ok')).toBe('ok');
+  });
+
+  test('re-opens when the half-open trial fails', async () => {
+    jest.useFakeTimers();
+    const breaker = new CircuitBreaker('sportradar', { failureThreshold: 1, resetTimeout: 1000 });
+    await expect(breaker.run(fail(networkError()))).rejects.toThrow();
+
+    jest.advanceTimersByTime(1000);
+    await breaker.run(async () => ({ statusCode: 503 }));
+
+    expect(breaker.state).toBe('open');
+    await expect(breaker.run(async () => 'ok')).rejects.toMatchObject({ retryAfter: 1 });
+  });
+
+  test('lets the next trial through when the client abandons one', async () => {
+    jest.useFakeTimers();
+    const breaker = new CircuitBreaker('sportradar', { failureThreshold: 1, resetTimeout: 1000 });
+    await expect(breaker.run(fail(networkError()))).rejects.toThrow();
+
+    jest.advanceTimersByTime(1000);
+    await expect(breaker.run(fail(Object.assign(new Error('aborted'), { name: 'AbortError' })))).rejects.toThrow('aborted');
+
+    expect(breaker.state).toBe('half-open');
+    expect(await breaker.run(async () => 'ok')).toBe('ok');
+    expect(breaker.state).toBe('closed');
+  });
+});
+
+describe('CircuitBreakers', () => {
+  test('configures one breaker per provider and reports unhealthy ones', async () => {
+    const breakers = new CircuitBreakers({ providers: { a: { circuitBreaker: { failureThreshold: 1 } }, b: {} } });
+
+    await expect(breakers.get('a').run(fail(networkError()))).rejects.toThrow();
+    await expect(breakers.get('b').run(fail(networkError()))).rejects.toThrow();
+
+    expect(breakers.getUnhealthy()).toEqual(['a']);
+    expect(breakers.getStats().b).toMatchObject({ state: 'closed', failureThreshold: 5 });
+  });
+});
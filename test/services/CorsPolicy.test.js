@@ -0,0 +1,137 @@
+import { describe, expect, test } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import { CorsPolicy } from '../../src/services/CorsPolicy.js';
+
+const CONFIG = {
+  server: { publicBaseUrl: 'https://widgets.proxy.example' },
+  security: {
+    allowedOrigins: ['https://kakbet.com', 'https://*.kakbet.com'],
+    maxAge: 600
+  },
+  providers: {
+    open: { security: { allowedOrigins: ['*'] } },
+    partner: {
+      security: {
+        allowedOrigins: ['https://partner.example:8443'],
+        allowCredentials: true,
+        allowedMethods: ['GET'],
+        allowedHeaders: ['X-Partner']
+      }
+    }
+  }
+};
+
+function createApp(config = CONFIG) {
+  const app = express();
+  app.use(new CorsPolicy(config).middleware((req) => req.query.provider));
+  app.all('/', (req, res) => res.json({ ok: true }));
+  return app;
+}
+
+describe('CorsPolicy', () => {
+  test('lets requests without an Origin through untouched', async () => {
+    const response = await request(createApp()).get('/');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['access-control-allow-origin']).toBeUndefined();
+    expect(response.headers.vary).toBe('Origin');
+  });
+
+  test.each([
+    'https://kakbet.com',
+    'https://www.kakbet.com',
+    'https://m.eu.kakbet.com',
+    'HTTPS://KAKBET.COM:443'
+  ])('allows %s', async (origin) => {
+    const response = await request(createApp()).get('/').set('Origin', origin);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['access-control-allow-origin']).toBe(origin);
+    expect(response.headers['access-control-expose-headers']).toContain('X-Cache');
+  });
+
+  test.each([
+    'https://evil.com',
+    'https://kakbet.com.evil.com',
+    'https://evilkakbet.com',
+    'http://kakbet.com',
+    'https://kakbet.com:8443',
+    'null'
+  ])('rejects %s with a 403', async (origin) => {
+    const response = await request(createApp()).get('/').set('Origin', origin);
+
+    expect(response.status).toBe(403);
+    expect(response.body).toEqual({ error: 'Forbidden', message: `Origin ${origin} is not allowed` });
+  });
+
+  test('always allows the proxy\'s own public origin', async () => {
+    const response = await request(createApp()).get('/').set('Origin', 'https://widgets.proxy.example');
+
+    expect(response.status).toBe(200);
+  });
+
+  test('answers preflights with the configured methods, headers and max age', async () => {
+    const response = await request(createApp())
+      .options('/')
+      .set('Origin', 'https://kakbet.com')
+      .set('Access-Control-Request-Method', 'POST');
+
+    expect(response.status).toBe(204);
+    expect(response.headers).toMatchObject({
+      'access-control-allow-origin': 'https://kakbet.com',
+      'access-control-allow-methods': 'GET, POST, OPTIONS',
+      'access-control-allow-headers': 'Content-Type, Authorization, X-Requested-With',
+      'access-control-max-age': '600',
+      vary: 'Origin, Access-Control-Request-Method, Access-Control-Request-Headers'
+    });
+  });
+
+  test('answers a bare OPTIONS with Allow', async () => {
+    const response = await request(createApp()).options('/');
+
+    expect(response.status).toBe(204);
+    expect(response.headers.allow).toBe('GET, POST, OPTIONS');
+  });
+
+  test('answers any origin with * for a provider allowing all origins', async () => {
+    const response = await request(createApp()).get('/?provider=open').set('Origin', 'https://anyone.example');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['access-control-allow-origin']).toBe('*');
+  });
+
+  test('applies a provider\'s own security block over the global one', async () => {
+    const app = createApp();
+
+    const partner = await request(app)
+      .options('/?provider=partner')
+      .set('Origin', 'https://partner.example:8443')
+      .set('Access-Control-Request-Method', 'GET');
+    const global = await request(app).get('/?provider=partner').set('Origin', 'https://kakbet.com');
+
+    expect(partner.status).toBe(204);
+    expect(partner.headers).toMatchObject({
+      'access-control-allow-origin': 'https://partner.example:8443',
+      'access-control-allow-credentials': 'true',
+      'access-control-allow-methods': 'GET',
+      'access-control-allow-headers': 'X-Partner'
+    });
+    expect(global.status).toBe(403);
+  });
+
+  test('echoes the origin instead of * when credentials are allowed', async () => {
+    const config = { security: { allowedOrigins: ['*'], allowCredentials: true }, providers: {} };
+
+    const response = await request(createApp(config)).get('/').set('Origin', 'https://anyone.example');
+
+    expect(response.headers['access-control-allow-origin']).toBe('https://anyone.example');
+    expect(response.headers['access-control-allow-credentials']).toBe('true');
+  });
+
+  test('refuses an invalid allowed origin in the configuration', () => {
+    const policy = new CorsPolicy({ security: { allowedOrigins: ['not an origin'] }, providers: {} });
+
+    expect(() => policy.getPolicy()).toThrow("Invalid allowed origin 'not an origin'");
+  });
+});
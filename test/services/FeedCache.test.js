@@ -0,0 +1,100 @@
+import { afterEach, describe, expect, test } from '@jest/globals';
+import { Readable } from 'stream';
+import { finished } from 'stream/promises';
+import { FeedCache, feedTtl } from '../../src/services/FeedCache.js';
+
+describe('feedTtl', () => {
+  test('uses the configured TTL without upstream freshness', () => {
+    expect(feedTtl({}, 2)).toBe(2);
+  });
+
+  test('lets s-maxage / max-age shorten the TTL but never extend it', () => {
+    expect(feedTtl({ 'cache-control': 'public, max-age=1' }, 5)).toBe(1);
+    expect(feedTtl({ 'cache-control': 'max-age=60' }, 5)).toBe(5);
+    expect(feedTtl({ 'cache-control': 'max-age=60, s-maxage=0' }, 5)).toBe(0);
+  });
+
+  test('treats a valueless or malformed max-age as stale', () => {
+    expect(feedTtl({ 'cache-control': 'max-age' }, 5)).toBe(0);
+    expect(feedTtl({ 'cache-control': 'max-age=soon' }, 5)).toBe(0);
+    expect(feedTtl({ 'cache-control': 'max-age=-1' }, 5)).toBe(0);
+  });
+
+  test('lets Expires shorten the TTL when there is no max-age', () => {
+    const date = 'Sun, 18 Oct 2026 12:00:00 GMT';
+
+    expect(feedTtl({ date, expires: 'Sun, 18 Oct 2026 12:00:02 GMT' }, 5)).toBe(2);
+    expect(feedTtl({ date, expires: 'Sun, 18 Oct 2026 11:00:00 GMT' }, 5)).toBe(0);
+    expect(feedTtl({ date, expires: '0' }, 5)).toBe(0);
+    expect(feedTtl({ date, expires: 'Sun, 18 Oct 2026 11:00:00 GMT', 'cache-control': 'max-age=3' }, 5)).toBe(3);
+  });
+
+  test('does not cache responses upstream keeps private', () => {
+    expect(feedTtl({ 'cache-control': 'no-store' }, 5)).toBe(0);
+    expect(feedTtl({ 'cache-control': 'no-cache' }, 5)).toBe(0);
+    expect(feedTtl({ 'cache-control': 'private, max-age=5' }, 5)).toBe(0);
+    expect(feedTtl({ 'set-cookie': ['session=1'] }, 5)).toBe(0);
+  });
+
+  test('only caches responses varying on Accept-Encoding', () => {
+    expect(feedTtl({ vary: 'Accept-Encoding' }, 5)).toBe(5);
+    expect(feedTtl({ vary: 'accept-encoding, Accept-Language' }, 5)).toBe(0);
+    expect(feedTtl({ vary: 'Origin' }, 5)).toBe(0);
+    expect(feedTtl({ vary: '*' }, 5)).toBe(0);
+  });
+});
+
+describe('FeedCache.capture', () => {
+  let cache;
+
+  afterEach(async () => {
+    await cache.close();
+  });
+
+  async function capture(policy, statusCode, headers, chunks) {
+    const body = Readable.from(chunks.map((chunk) => Buffer.from(chunk)));
+    cache.capture(policy, { statusCode, headers, body });
+    await finished(body.resume());
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+
+  test('stores the response without per-connection headers once its body has been read', async () => {
+    cache = new FeedCache();
+    await capture({ key: 'poll', ttl: 1, maxEntrySize: 1024 }, 200, {
+      'content-type': 'application/json',
+      connection: 'keep-alive',
+      date: 'Sun, 18 Oct 2026 12:00:00 GMT'
+    }, ['{"doc":', '[]}']);
+
+    const entry = await cache.get('poll');
+    expect(entry).toMatchObject({ status: 200, headers: { 'content-type': 'application/json' } });
+    expect(entry.body.toString()).toBe('{"doc":[]}');
+  });
+
+  test('keeps an entry for the policy TTL', async () => {
+    cache = new FeedCache();
+    await capture({ key: 'poll', ttl: 2, maxEntrySize: 1024 }, 200, {}, ['{}']);
+
+    const [{ expiresAt }] = await cache.store.entries();
+    expect(expiresAt - Date.now()).toBeGreaterThan(1000);
+    expect(expiresAt - Date.now()).toBeLessThanOrEqual(2000);
+  });
+
+  test('streams but does not store responses above maxEntrySize', async () => {
+    cache = new FeedCache();
+    await capture({ key: 'poll', ttl: 1, maxEntrySize: 8 }, 200, {}, ['12345', '67890']);
+
+    expect(await cache.get('poll')).toBeUndefined();
+    expect((await cache.getStats()).skipped).toEqual({ uncacheable: 0, tooLarge: 1 });
+  });
+
+  test('does not store errors or uncacheable responses', async () => {
+    cache = new FeedCache();
+    await capture({ key: 'error', ttl: 1, maxEntrySize: 1024 }, 500, {}, ['oops']);
+    await capture({ key: 'varies', ttl: 1, maxEntrySize: 1024 }, 200, { vary: 'Cookie' }, ['{}']);
+
+    expect(await cache.get('error')).toBeUndefined();
+    expect(await cache.get('varies')).toBeUndefined();
+    expect((await cache.getStats()).skipped).toEqual({ uncacheable: 2, tooLarge: 0 });
+  });
+});
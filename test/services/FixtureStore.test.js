@@ -0,0 +1,121 @@
+import { afterAll, beforeAll, describe, expect, jest, test } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import { text } from 'stream/consumers';
+import { FixtureStore } from '../../src/services/FixtureStore.js';
+import { logger } from '../../src/utils/logger.js';
+
+const URL = 'https://widgets.example.com/loader/main.js?lang=en';
+
+let tempDir;
+
+beforeAll(async () => {
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'widget-proxy-fixtures-'));
+});
+
+afterAll(async () => {
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+async function until(condition) {
+  for (let i = 0; i < 100 && !(await condition()); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+function createStore(settings) {
+  return new FixtureStore({ dir: path.join(tempDir, `fixtures-${Date.now()}-${Math.random()}`), ...settings });
+}
+
+describe('FixtureStore', () => {
+  test('replays a recorded exchange without scrubbed or hop-by-hop headers', async () => {
+    const recorder = createStore({ mode: 'record' });
+    await recorder.record('GET', URL, 200, {
+      'content-type': 'application/javascript',
+      'set-cookie': 'session=secret',
+      'transfer-encoding': 'chunked',
+      etag: '"v1"'
+    }, Buffer.from('console.log("widget");'));
+
+    const fixture = await createStore({ mode: 'replay', dir: recorder.dir }).replay('GET', URL);
+
+    expect(fixture.status).toBe(200);
+    expect(fixture.headers).toEqual({ 'content-type': 'application/javascript', etag: '"v1"' });
+    expect(fixture.body.toString()).toBe('console.log("widget");');
+  });
+
+  test('keeps binary bodies intact', async () => {
+    const store = createStore({ mode: 'record' });
+    const body = Buffer.from([0x1f, 0x8b, 0x00, 0xff]);
+    await store.record('GET', URL, 200, { 'content-type': 'application/javascript', 'content-encoding': 'gzip' }, body);
+
+    expect((await store.replay('GET', URL)).body).toEqual(body);
+  });
+
+  test('records a captured body once it has streamed through', async () => {
+    const store = createStore({ mode: 'record' });
+    const body = store.capture('GET', URL, 200, { 'content-type': 'text/plain' }, Readable.from([Buffer.from('one,'), Buffer.from('two')]));
+
+    expect(await text(body)).toBe('one,two');
+    await until(() => fs.access(store.getPath('GET', URL)).then(() => true, () => false));
+    expect((await store.replay('GET', URL)).body.toString()).toBe('one,two');
+  });
+
+  test('neither records nor replays requests with a body', async () => {
+    const store = createStore({ mode: 'record', onMiss: 'passthrough' });
+    await store.record('POST', URL, 200, { 'content-type': 'application/json' }, Buffer.from('{"ok":true}'));
+    const upstream = Readable.from([Buffer.from('{}')]);
+
+    expect(store.capture('POST', URL, 200, {}, upstream)).toBe(upstream);
+    await expect(fs.access(store.dir)).rejects.toThrow();
+    expect(await store.replay('POST', URL)).toBeNull();
+  });
+
+  test('keeps concurrent recordings of the same URL whole', async () => {
+    const store = createStore({ mode: 'record' });
+    const warn = jest.spyOn(logger, 'warn');
+
+    try {
+      await Promise.all(Array.from({ length: 10 }, (_, i) => (
+        store.record('GET', URL, 200, { 'content-type': 'text/plain' }, Buffer.from(`body ${i} `.repeat(1000)))
+      )));
+
+      expect(warn).not.toHaveBeenCalledWith('Failed to record fixture', expect.anything());
+    } finally {
+      warn.mockRestore();
+    }
+
+    const files = await fs.readdir(path.dirname(store.getPath('GET', URL)));
+    expect(files).toEqual([path.basename(store.getPath('GET', URL))]);
+    expect((await store.replay('GET', URL)).body.toString()).toMatch(/^(body \d )+$/);
+  });
+
+  test('does not record responses over maxBodySize or 304s', async () => {
+    const store = createStore({ mode: 'record', maxBodySize: 4, onMiss: 'passthrough' });
+    await store.record('GET', URL, 200, {}, Buffer.from('12345'));
+    await store.record('GET', `${URL}&v=2`, 304, {}, Buffer.alloc(0));
+
+    expect(await store.replay('GET', URL)).toBeNull();
+    expect(await store.replay('GET', `${URL}&v=2`)).toBeNull();
+  });
+
+  describe('misses', () => {
+    test('answer 404 with onMiss: notFound', async () => {
+      const fixture = await createStore({ mode: 'replay' }).replay('GET', URL);
+
+      expect(fixture.status).toBe(404);
+      expect(JSON.parse(fixture.body)).toEqual({ error: 'Fixture Not Found', message: `No fixture for GET ${URL}` });
+    });
+
+    test('go upstream with onMiss: passthrough', async () => {
+      expect(await createStore({ mode: 'replay', onMiss: 'passthrough' }).replay('GET', URL)).toBeNull();
+    });
+
+    test('fail with a 502 with onMiss: fail', async () => {
+      await expect(createStore({ mode: 'replay', onMiss: 'fail' }).replay('GET', URL))
+        .rejects.toMatchObject({ status: 502, message: `No fixture for GET ${URL}` });
+    });
+  });
+});
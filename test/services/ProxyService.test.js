@@ -0,0 +1,199 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, test } from '@jest/globals';
+import http from 'http';
+import { Readable } from 'stream';
+import { text } from 'stream/consumers';
+import { ProxyService } from '../../src/services/ProxyService.js';
+
+const service = new ProxyService({ providers: {}, cache: { backend: 'memory' } });
+
+describe('ProxyService.createCacheFillStream', () => {
+  test('hands a body within the limit to onComplete', async () => {
+    const completed = [];
+    const stream = service.createCacheFillStream(8, (body, hash) => completed.push([body.toString(), hash]));
+
+    expect(await text(Readable.from([Buffer.from('1234'), Buffer.from('5678')]).pipe(stream))).toBe('12345678');
+    expect(completed).toEqual([['12345678', '7c222fb2927d828af22f592134e8932480637c0d']]);
+  });
+
+  test('passes an oversized body through without collecting it', async () => {
+    const completed = [];
+    const tooLarge = [];
+    const stream = service.createCacheFillStream(8, (body) => completed.push(body), (size) => tooLarge.push(size));
+
+    expect(await text(Readable.from([Buffer.from('12345'), Buffer.from('67890')]).pipe(stream))).toBe('1234567890');
+    expect(completed).toEqual([]);
+    expect(tooLarge).toEqual([10]);
+  });
+});
+
+/**
+ * Local upstream answering with whatever the current test's handler does, recording each request
+ */
+async function startUpstream() {
+  const upstream = { requests: [], handler: (req, res) => res.end() };
+  upstream.server = http.createServer((req, res) => {
+    upstream.requests.push(req.headers);
+    upstream.handler(req, res);
+  });
+  await new Promise((resolve) => upstream.server.listen(0, '127.0.0.1', resolve));
+  upstream.url = `http://127.0.0.1:${upstream.server.address().port}`;
+  return upstream;
+}
+
+function createService(upstreamUrl, cache = {}) {
+  return new ProxyService({
+    providers: {
+      acme: { baseUrl: upstreamUrl, widgetTypes: { scoreboard: { path: '/scoreboard.js' } }, cache }
+    },
+    cache: { backend: 'memory', defaultTtl: 60 }
+  });
+}
+
+/**
+ * Make the cached entry of the scoreboard widget look as if it expired `seconds` ago
+ */
+async function expireEntry(service, seconds) {
+  const entry = await service.cache.peek(service.widgetCacheKey('acme', 'scoreboard'));
+  entry.expiresAt = Date.now() - seconds * 1000;
+}
+
+describe('ProxyService revalidation', () => {
+  let upstream;
+
+  beforeAll(async () => {
+    upstream = await startUpstream();
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => upstream.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    upstream.requests = [];
+  });
+
+  test('revalidates an expired entry and keeps it for another TTL on a 304', async () => {
+    const service = createService(upstream.url);
+    upstream.handler = (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/javascript', ETag: '"v1"', 'Last-Modified': 'Tue, 01 Sep 2026 10:00:00 GMT' });
+      res.end('loader v1');
+    };
+    expect((await service.proxyWidget('acme', 'scoreboard')).cacheStatus).toBe('MISS');
+
+    await expireEntry(service, 5);
+    upstream.handler = (req, res) => {
+      res.writeHead(304, { ETag: '"v1"', 'Cache-Control': 'max-age=300' });
+      res.end();
+    };
+    const revalidated = await service.proxyWidget('acme', 'scoreboard');
+
+    expect(upstream.requests[1]).toMatchObject({ 'if-none-match': '"v1"', 'if-modified-since': 'Tue, 01 Sep 2026 10:00:00 GMT' });
+    expect(revalidated).toMatchObject({ cacheStatus: 'REVALIDATED', data: 'loader v1', version: '"v1"' });
+    expect(revalidated.headers['Cache-Control']).toBe('max-age=300');
+
+    // Fresh again: no further upstream request
+    expect((await service.proxyWidget('acme', 'scoreboard')).cacheStatus).toBe('HIT');
+    expect(upstream.requests).toHaveLength(2);
+  });
+
+  test('replaces the entry when upstream answers a revalidation with a new version', async () => {
+    const service = createService(upstream.url);
+    upstream.handler = (req, res) => {
+      res.writeHead(200, { ETag: '"v1"' });
+      res.end('loader v1');
+    };
+    await service.proxyWidget('acme', 'scoreboard');
+
+    await expireEntry(service, 5);
+    upstream.handler = (req, res) => {
+      res.writeHead(200, { ETag: '"v2"' });
+      res.end('loader v2');
+    };
+    expect(await service.proxyWidget('acme', 'scoreboard')).toMatchObject({ cacheStatus: 'MISS', data: 'loader v2', version: '"v2"' });
+    expect(await service.proxyWidget('acme', 'scoreboard')).toMatchObject({ cacheStatus: 'HIT', data: 'loader v2' });
+  });
+});
+
+describe('ProxyService stale serving', () => {
+  let upstream;
+
+  beforeAll(async () => {
+    upstream = await startUpstream();
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => upstream.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    upstream.requests = [];
+  });
+
+  function answer(body) {
+    upstream.handler = (req, res) => {
+      res.writeHead(200, { ETag: `"${body}"` });
+      res.end(body);
+    };
+  }
+
+  function fail() {
+    upstream.handler = (req, res) => {
+      res.writeHead(503);
+      res.end();
+    };
+  }
+
+  async function backgroundRefreshesDone(service) {
+    while (service.backgroundRefreshes.size) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+  }
+
+  test('serves a stale entry within stale-while-revalidate and refreshes it in the background', async () => {
+    const service = createService(upstream.url, { staleWhileRevalidate: { scripts: 30 } });
+    answer('loader v1');
+    await service.proxyWidget('acme', 'scoreboard');
+
+    await expireEntry(service, 10);
+    answer('loader v2');
+
+    expect(await service.proxyWidget('acme', 'scoreboard')).toMatchObject({ cacheStatus: 'STALE', data: 'loader v1' });
+    await backgroundRefreshesDone(service);
+    expect(upstream.requests).toHaveLength(2);
+    expect(await service.proxyWidget('acme', 'scoreboard')).toMatchObject({ cacheStatus: 'HIT', data: 'loader v2' });
+  });
+
+  test('fetches upstream before answering once stale-while-revalidate has passed', async () => {
+    const service = createService(upstream.url, { staleWhileRevalidate: { scripts: 30 } });
+    answer('loader v1');
+    await service.proxyWidget('acme', 'scoreboard');
+
+    await expireEntry(service, 60);
+    answer('loader v2');
+
+    expect(await service.proxyWidget('acme', 'scoreboard')).toMatchObject({ cacheStatus: 'MISS', data: 'loader v2' });
+  });
+
+  test('serves a stale entry within stale-if-error when upstream fails', async () => {
+    const service = createService(upstream.url, { staleIfError: { scripts: 600 } });
+    answer('loader v1');
+    await service.proxyWidget('acme', 'scoreboard');
+
+    await expireEntry(service, 120);
+    fail();
+
+    expect(await service.proxyWidget('acme', 'scoreboard')).toMatchObject({ cacheStatus: 'STALE', data: 'loader v1' });
+    expect(upstream.requests).toHaveLength(2);
+  });
+
+  test('answers upstream failures with an error once stale-if-error has passed', async () => {
+    const service = createService(upstream.url, { staleIfError: { scripts: 600 } });
+    answer('loader v1');
+    await service.proxyWidget('acme', 'scoreboard');
+
+    await expireEntry(service, 900);
+    fail();
+
+    await expect(service.proxyWidget('acme', 'scoreboard')).rejects.toMatchObject({ status: 502 });
+  });
+});
@@ -0,0 +1,130 @@
+import { afterEach, describe, expect, jest, test } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import { CONFIG_PATH, readConfig } from '../../src/config/index.js';
+import { RateLimiter } from '../../src/services/RateLimiter.js';
+
+const API_KEY = 'partner-key';
+
+const rateLimit = {
+  enabled: true,
+  windowMs: 60000,
+  max: 2,
+  apiKeys: [API_KEY],
+  buckets: {
+    scripts: { max: 1, windowMs: 30000 },
+    assets: { max: 0 }
+  }
+};
+
+const limiters = [];
+
+function createApp({ settings = rateLimit, trustProxy = false } = {}) {
+  const limiter = new RateLimiter({ security: { rateLimit: settings } });
+  limiters.push(limiter);
+
+  const app = express();
+  app.set('trust proxy', trustProxy);
+  for (const bucket of ['scripts', 'assets', 'feeds']) {
+    app.get(`/${bucket}`, limiter.middleware(bucket), (req, res) => res.json({ ok: true }));
+  }
+  return app;
+}
+
+afterEach(async () => {
+  jest.useRealTimers();
+  await Promise.all(limiters.splice(0).map((limiter) => limiter.close()));
+});
+
+describe('RateLimiter', () => {
+  test('answers requests over the budget with 429, Retry-After and RateLimit-* headers', async () => {
+    const app = createApp();
+
+    const first = await request(app).get('/scripts');
+    const second = await request(app).get('/scripts');
+
+    expect(first.status).toBe(200);
+    expect(first.headers).toMatchObject({
+      'ratelimit-policy': '1;w=30',
+      'ratelimit-limit': '1',
+      'ratelimit-remaining': '0',
+      'ratelimit-reset': '30'
+    });
+    expect(second.status).toBe(429);
+    expect(second.headers['retry-after']).toBe('30');
+    expect(second.body).toEqual({
+      error: 'Too Many Requests',
+      message: 'Rate limit of 1 scripts requests per 30s exceeded',
+      retryAfter: 30
+    });
+  });
+
+  test('counts each bucket separately, with the global budget for buckets without their own', async () => {
+    const app = createApp();
+
+    await request(app).get('/scripts');
+    const feeds = await Promise.all([1, 2, 3].map(() => request(app).get('/feeds')));
+
+    expect(feeds.map(({ status }) => status)).toEqual([200, 200, 429]);
+    expect(feeds[0].headers['ratelimit-policy']).toBe('2;w=60');
+  });
+
+  test('leaves buckets with max: 0 unlimited', async () => {
+    const app = createApp();
+
+    const responses = await Promise.all([1, 2, 3].map(() => request(app).get('/assets')));
+
+    expect(responses.map(({ status }) => status)).toEqual([200, 200, 200]);
+    expect(responses[0].headers['ratelimit-limit']).toBeUndefined();
+  });
+
+  test('passes everything when disabled', async () => {
+    const app = createApp({ settings: { ...rateLimit, enabled: false } });
+
+    await request(app).get('/scripts');
+    expect((await request(app).get('/scripts')).status).toBe(200);
+  });
+
+  test('keys clients with a known API key by the key instead of the IP', async () => {
+    const app = createApp();
+
+    await request(app).get('/scripts');
+    const keyed = await request(app).get('/scripts').set('X-API-Key', API_KEY);
+    const keyedAgain = await request(app).get('/scripts').set('X-API-Key', API_KEY);
+    const unknownKey = await request(app).get('/scripts').set('X-API-Key', 'made-up');
+
+    expect(keyed.status).toBe(200);
+    expect(keyedAgain.status).toBe(429);
+    expect(unknownKey.status).toBe(429);
+  });
+
+  test('starts a new budget once the window has passed', async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    const app = createApp();
+
+    await request(app).get('/scripts');
+    expect((await request(app).get('/scripts')).status).toBe(429);
+
+    jest.advanceTimersByTime(30000);
+    expect((await request(app).get('/scripts')).status).toBe(200);
+  });
+
+  test('ignores X-Forwarded-For under the shipped trustProxy setting', async () => {
+    const config = await readConfig(CONFIG_PATH);
+    const app = createApp({ trustProxy: config.security.trustProxy });
+
+    await request(app).get('/scripts').set('X-Forwarded-For', '203.0.113.1');
+    const spoofed = await request(app).get('/scripts').set('X-Forwarded-For', '203.0.113.2');
+
+    expect(spoofed.status).toBe(429);
+  });
+
+  test('keys clients by X-Forwarded-For behind a trusted proxy', async () => {
+    const app = createApp({ trustProxy: 1 });
+
+    await request(app).get('/scripts').set('X-Forwarded-For', '203.0.113.1');
+    const other = await request(app).get('/scripts').set('X-Forwarded-For', '203.0.113.2');
+
+    expect(other.status).toBe(200);
+  });
+});
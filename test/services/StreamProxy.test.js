@@ -0,0 +1,244 @@
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals';
+import express from 'express';
+import http from 'http';
+import request from 'supertest';
+import { StreamProxy } from '../../src/services/StreamProxy.js';
+
+const TENANT_HEADERS = {
+  kakbet: { Referer: 'https://kakbet.com/' },
+  tipx10: { Referer: 'https://www.tipx10.com/' }
+};
+
+describe('StreamProxy pass-through GETs', () => {
+  let upstream;
+  let upstreamUrl;
+  let hits = 0;
+  let streamProxy;
+  let app;
+
+  beforeAll(async () => {
+    // Answers slowly with the Referer it saw, so concurrent requests overlap
+    upstream = http.createServer((req, res) => {
+      hits++;
+      setTimeout(() => res.end(JSON.stringify({ referer: req.headers.referer })), 50);
+    });
+    await new Promise((resolve) => upstream.listen(0, '127.0.0.1', resolve));
+    upstreamUrl = `http://127.0.0.1:${upstream.address().port}`;
+
+    const config = { providers: { sportradar: { headers: {} } } };
+    streamProxy = new StreamProxy(config);
+
+    app = express();
+    app.get('/:tenant/licensing', (req, res) => {
+      req.tenant = { name: req.params.tenant };
+      streamProxy.proxyRequest(`${upstreamUrl}/licensing`, req, res, {
+        provider: 'sportradar',
+        providerConfig: { headers: TENANT_HEADERS[req.params.tenant] }
+      });
+    });
+  });
+
+  afterAll(async () => {
+    await streamProxy.close();
+    await new Promise((resolve) => upstream.close(resolve));
+  });
+
+  test('coalesces concurrent requests of one tenant', async () => {
+    hits = 0;
+    const responses = await Promise.all([request(app).get('/kakbet/licensing'), request(app).get('/kakbet/licensing')]);
+
+    expect(hits).toBe(1);
+    expect(responses.map((response) => JSON.parse(response.text).referer)).toEqual(['https://kakbet.com/', 'https://kakbet.com/']);
+  });
+
+  test('never shares a response between tenants', async () => {
+    hits = 0;
+    const [kakbet, tipx10] = await Promise.all([request(app).get('/kakbet/licensing'), request(app).get('/tipx10/licensing')]);
+
+    expect(hits).toBe(2);
+    expect(JSON.parse(kakbet.text).referer).toBe('https://kakbet.com/');
+    expect(JSON.parse(tipx10.text).referer).toBe('https://www.tipx10.com/');
+  });
+});
+
+describe('StreamProxy long-lived feeds', () => {
+  let upstream;
+  let streamProxy;
+  let app;
+  const pending = [];
+
+  beforeAll(async () => {
+    // Holds long polls open until the test answers them
+    upstream = http.createServer((req, res) => pending.push(res));
+    await new Promise((resolve) => upstream.listen(0, '127.0.0.1', resolve));
+    const upstreamUrl = `http://127.0.0.1:${upstream.address().port}`;
+
+    streamProxy = new StreamProxy({ providers: { sportradar: {} }, streaming: { maxConnectionsPerClient: 1 } });
+
+    app = express();
+    app.get('/api/lt-fn/poll', (req, res) => {
+      streamProxy.proxyRequest(`${upstreamUrl}/poll`, req, res, { provider: 'sportradar', providerConfig: {}, longLived: true });
+    });
+  });
+
+  afterAll(async () => {
+    await streamProxy.close();
+    await new Promise((resolve) => upstream.close(resolve));
+  });
+
+  test('caps open long polls per client and frees the slot when one ends', async () => {
+    const first = request(app).get('/api/lt-fn/poll').then((response) => response);
+    await until(() => pending.length === 1);
+
+    const rejected = await request(app).get('/api/lt-fn/poll');
+    expect(rejected.status).toBe(429);
+    expect((await streamProxy.getStats()).longLived).toBe(1);
+
+    pending.shift().end('update');
+    expect((await first).text).toBe('update');
+    await until(() => streamProxy.longLived === 0);
+
+    const next = request(app).get('/api/lt-fn/poll').then((response) => response);
+    await until(() => pending.length === 1);
+    pending.shift().end('next update');
+    expect((await next).status).toBe(200);
+  });
+});
+
+describe('StreamProxy clients leaving early', () => {
+  let upstream;
+  let upstreamUrl;
+  let streamProxy;
+  let app;
+  const pending = [];
+
+  beforeAll(async () => {
+    // Never answers on its own; records when our side gives up the request
+    upstream = http.createServer((req, res) => {
+      const exchange = { res, aborted: false };
+      req.socket.on('close', () => { exchange.aborted = true; });
+      pending.push(exchange);
+    });
+    await new Promise((resolve) => upstream.listen(0, '127.0.0.1', resolve));
+    upstreamUrl = `http://127.0.0.1:${upstream.address().port}`;
+
+    streamProxy = new StreamProxy({ providers: { sportradar: {} }, streaming: { idleTimeout: 60000 } });
+
+    app = express();
+    app.get('/api/lt-fn/poll', (req, res) => {
+      streamProxy.proxyRequest(`${upstreamUrl}/poll`, req, res, { provider: 'sportradar', providerConfig: {}, longLived: true });
+    });
+    await new Promise((resolve) => {
+      app.server = app.listen(0, '127.0.0.1', resolve);
+    });
+  });
+
+  afterAll(async () => {
+    await streamProxy.close();
+    await new Promise((resolve) => app.server.close(resolve));
+    upstream.closeAllConnections();
+    await new Promise((resolve) => upstream.close(resolve));
+  });
+
+  test('abort the upstream request when the client closes before upstream answers', async () => {
+    const client = http.get(`http://127.0.0.1:${app.server.address().port}/api/lt-fn/poll`);
+    client.on('error', () => {});
+    await until(() => pending.length === 1);
+
+    client.destroy();
+
+    await until(() => pending[0].aborted);
+    await until(() => streamProxy.longLived === 0);
+    expect(streamProxy.liveConnections.getStats().open).toBe(0);
+  });
+});
+
+describe('StreamProxy upstream policy', () => {
+  let upstream;
+  let upstreamUrl;
+  let streamProxy;
+  let app;
+  let answers = [];
+  let hits = 0;
+
+  beforeAll(async () => {
+    // Answers with the next queued status, or never when the queue says 'hang'
+    upstream = http.createServer((req, res) => {
+      hits++;
+      const status = answers.shift() ?? 200;
+      if (status !== 'hang') res.writeHead(status).end(`status ${status}`);
+    });
+    await new Promise((resolve) => upstream.listen(0, '127.0.0.1', resolve));
+    upstreamUrl = `http://127.0.0.1:${upstream.address().port}`;
+
+    const providerConfig = { timeout: 100, retries: 2, backoff: { initial: 1, max: 5 }, circuitBreaker: { failureThreshold: 2, resetTimeout: 60000 } };
+    const flakyConfig = { circuitBreaker: { failureThreshold: 2, resetTimeout: 60000 } };
+    streamProxy = new StreamProxy({ providers: { sportradar: providerConfig, flaky: flakyConfig } });
+
+    app = express();
+    app.post('/licensing', (req, res) => {
+      streamProxy.proxyRequest(`${upstreamUrl}/licensing`, req, res, { provider: 'sportradar', providerConfig });
+    });
+    app.post('/flaky', (req, res) => {
+      streamProxy.proxyRequest(`${upstreamUrl}/flaky`, req, res, { provider: 'flaky', providerConfig: flakyConfig });
+    });
+    app.get('/translations', (req, res) => {
+      streamProxy.proxyRequest(`${upstreamUrl}/translations?${hits}`, req, res, { provider: 'sportradar', providerConfig });
+    });
+  });
+
+  afterAll(async () => {
+    await streamProxy.close();
+    upstream.closeAllConnections();
+    await new Promise((resolve) => upstream.close(resolve));
+  });
+
+  test('retries idempotent requests on 502 / 503 / 504 and answers with the first success', async () => {
+    hits = 0;
+    answers = [503, 502];
+
+    const response = await request(app).get('/translations');
+
+    expect(response.status).toBe(200);
+    expect(hits).toBe(3);
+  });
+
+  test('does not retry requests with a body', async () => {
+    hits = 0;
+    answers = [503];
+
+    const response = await request(app).post('/licensing').send({});
+
+    expect(response.status).toBe(502);
+    expect(hits).toBe(1);
+  });
+
+  test('answers 504 when upstream does not answer within the timeout, after the retries', async () => {
+    hits = 0;
+    answers = ['hang', 'hang', 'hang'];
+
+    const response = await request(app).get('/translations');
+
+    expect(response.status).toBe(504);
+    expect(response.body.message).toBe('Upstream timed out after 100ms');
+    expect(hits).toBe(3);
+  });
+
+  test('opens the circuit on repeated 5xx answers and then fails fast', async () => {
+    answers = [500, 500];
+    const failures = [await request(app).post('/flaky').send({}), await request(app).post('/flaky').send({})];
+    hits = 0;
+
+    const rejected = await request(app).post('/flaky').send({});
+
+    expect(failures.map(({ status }) => status)).toEqual([500, 500]);
+    expect(rejected.status).toBe(503);
+    expect(rejected.headers['retry-after']).toBe('60');
+    expect(hits).toBe(0);
+  });
+});
+
+async function until(condition) {
+  while (!condition()) await new Promise((resolve) => setTimeout(resolve, 5));
+}
+
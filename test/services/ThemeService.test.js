@@ -0,0 +1,77 @@
+import { describe, expect, test } from '@jest/globals';
+import { renderTemplate, ThemeService } from '../../src/services/ThemeService.js';
+
+const THEMES = {
+  kakbet: {
+    formula: 'solid',
+    primary: '#FF0000',
+    home: '#0C0CFF',
+    away: '#FF0000',
+    cl: '#000000',
+    base: '#FFFFFF',
+    variants: { dark: { cl: '#FFFFFF', base: '#10222B' } }
+  }
+};
+
+const PALETTE = { primary: '#f00', home: '#00f', away: '#f00', cl: '#000000', base: '#ffffff' };
+
+describe('ThemeService', () => {
+  const themes = new ThemeService({ themes: THEMES });
+
+  test('resolves names and variants, and nothing else', () => {
+    expect(themes.resolve('kakbet')).toEqual({ name: 'kakbet', variant: null });
+    expect(themes.resolve('kakbet:dark')).toEqual({ name: 'kakbet', variant: 'dark' });
+    expect(themes.resolve('kakbet:light')).toBeNull();
+    expect(themes.resolve('sporwin')).toBeNull();
+    expect(themes.resolve('constructor')).toBeNull();
+    expect(themes.resolve('kakbet:dark:x')).toBeNull();
+    expect(themes.resolve(['kakbet'])).toBeNull();
+  });
+
+  test('lists themes with their variants and builds their URLs', () => {
+    expect(themes.list()).toEqual({ kakbet: ['dark'] });
+    expect(themes.getUrl({ name: 'kakbet', variant: 'dark' }, '/tipx10')).toBe('/tipx10/themes/kakbet.css?variant=dark');
+  });
+
+  test('renders a variant over the base palette, with a content ETag', async () => {
+    const light = await themes.render({ name: 'kakbet', variant: null });
+    const dark = await themes.render({ name: 'kakbet', variant: 'dark' });
+
+    expect(light.css).toContain('background: #ffffff;');
+    expect(dark.css).toContain('background: #10222b;');
+    expect(light.css).not.toContain('{{');
+    expect(light.css.startsWith('/*')).toBe(false);
+    expect(light.etag).toMatch(/^"[\w-]+"$/);
+    expect(dark.etag).not.toBe(light.etag);
+    expect(await themes.render({ name: 'kakbet', variant: 'dark' })).toBe(dark);
+  });
+});
+
+describe('renderTemplate', () => {
+  test('fills expressions with palette colors and functions, and drops the header comment', () => {
+    const template = '/* header */\na { color: {{ cl }}; background: {{ mix(cl, base, 0.25) }}; border: 1px solid {{ rgba(cl, 0.12) }}; }\n'
+      + 'b { color: {{ contrast(cl) }}; opacity: {{ tone(base, 0.8, 0.6) }}; }\n';
+
+    expect(renderTemplate(template, PALETTE)).toBe(
+      'a { color: #000000; background: #bfbfbf; border: 1px solid rgba(0, 0, 0, 0.12); }\n'
+      + 'b { color: #ffffff; opacity: 0.6; }\n'
+    );
+  });
+
+  test('expands 3-digit colors', () => {
+    expect(renderTemplate('{{ primary }}', PALETTE)).toBe('#ff0000');
+  });
+
+  test.each([
+    '{{ mix(cl, base }}',
+    '{{ mix( }}',
+    '{{ cl base }}',
+    '{{ rgba(cl, 0.5)) }}'
+  ])('rejects the malformed expression %s', (template) => {
+    expect(() => renderTemplate(template, PALETTE)).toThrow('Invalid theme expression');
+  });
+
+  test('rejects unknown functions', () => {
+    expect(() => renderTemplate('{{ lighten(cl, 0.1) }}', PALETTE)).toThrow('Unknown theme function: lighten');
+  });
+});
@@ -0,0 +1,86 @@
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals';
+import http from 'http';
+import { LiveConnections } from '../../src/services/LiveConnections.js';
+import { WebSocketProxy } from '../../src/services/WebSocketProxy.js';
+
+function listen(server) {
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+function upgrade(port) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      port,
+      path: '/api/lt-fn/feed',
+      headers: { Connection: 'Upgrade', Upgrade: 'websocket', 'Sec-WebSocket-Key': 'dGhlIHNhbXBsZSBub25jZQ==', 'Sec-WebSocket-Version': '13' }
+    });
+    req.on('response', (res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+      res.on('error', reject);
+    });
+    req.on('upgrade', () => reject(new Error('unexpected upgrade')));
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+async function until(condition) {
+  while (!condition()) await new Promise((resolve) => setTimeout(resolve, 5));
+}
+
+describe('WebSocketProxy', () => {
+  let upstream;
+  let server;
+  let port;
+  const liveConnections = new LiveConnections();
+
+  beforeAll(async () => {
+    // Refuses upgrades with a chunked body
+    upstream = http.createServer((req, res) => {
+      res.writeHead(403, { 'Content-Type': 'text/plain' });
+      res.write('refused: ');
+      setTimeout(() => res.end('origin not allowed'), 10);
+    });
+    const upstreamPort = await listen(upstream);
+
+    const proxy = new WebSocketProxy({ streaming: { maxConnectionsPerClient: 1 } }, liveConnections);
+    server = http.createServer();
+    server.on('upgrade', (req, socket, head) => {
+      req.ip = '127.0.0.1';
+      proxy.tunnel(req, socket, head, {
+        provider: 'sportradar',
+        providerConfig: { headers: { Referer: 'https://kakbet.com/' } },
+        targetUrl: `ws://127.0.0.1:${upstreamPort}/feed`
+      });
+    });
+    port = await listen(server);
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await new Promise((resolve) => upstream.close(resolve));
+  });
+
+  test('relays a refused upgrade with valid HTTP framing', async () => {
+    const response = await upgrade(port);
+
+    expect(response.status).toBe(403);
+    expect(response.headers.connection).toBe('close');
+    expect(response.body).toBe('refused: origin not allowed');
+  });
+
+  test('rejects upgrades beyond the per-client cap', async () => {
+    await until(() => liveConnections.count('127.0.0.1') === 0);
+    const release = liveConnections.acquire('127.0.0.1', 1);
+    try {
+      const response = await upgrade(port);
+
+      expect(response.status).toBe(429);
+    } finally {
+      release();
+    }
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, expect, test } from '@jest/globals';
+import { Readable } from 'stream';
+import { text } from 'stream/consumers';
+import { applyRewriteRules, RewriteStream } from '../../src/services/rewrite.js';
+
+const RULES = [
+  { name: 'host', match: 'https://widgets.example.com', replace: '{publicBaseUrl}' },
+  { name: 'feed', type: 'regex', match: 'wss://feed\\.example\\.com/(\\w+)', replace: '{publicWsBaseUrl}/feed/$1', maxMatchLength: 64 }
+];
+const CONTEXT = { publicBaseUrl: 'https://proxy.local', publicWsBaseUrl: 'wss://proxy.local' };
+const SCRIPT = 'load("https://widgets.example.com/a.js");connect("wss://feed.example.com/live");load("https://widgets.example.com/b.js");';
+
+function rewriteInChunks(script, size) {
+  const chunks = [];
+  for (let i = 0; i < script.length; i += size) chunks.push(Buffer.from(script.slice(i, i + size)));
+  const stream = new RewriteStream(RULES, CONTEXT);
+  return text(Readable.from(chunks).pipe(stream)).then((output) => ({ output, hits: stream.hits }));
+}
+
+describe('RewriteStream', () => {
+  test.each([1, 3, 7, 16, 1024])('rewrites matches split across %i-byte chunks', async (size) => {
+    const expected = applyRewriteRules(SCRIPT, RULES, CONTEXT);
+
+    const { output, hits } = await rewriteInChunks(SCRIPT, size);
+
+    expect(output).toBe(expected.output);
+    expect(output).toBe('load("https://proxy.local/a.js");connect("wss://proxy.local/feed/live");load("https://proxy.local/b.js");');
+    expect(hits.map(({ name, count }) => [name, count])).toEqual([['host', 2], ['feed', 1]]);
+  });
+
+  test('keeps multi-byte characters split across chunks intact', async () => {
+    const script = 'title("Ставки — live");load("https://widgets.example.com/a.js");';
+    const bytes = Buffer.from(script);
+    const stream = new RewriteStream(RULES, CONTEXT);
+
+    const output = await text(Readable.from([bytes.subarray(0, 8), bytes.subarray(8, 9), bytes.subarray(9)]).pipe(stream));
+
+    expect(output).toBe('title("Ставки — live");load("https://proxy.local/a.js");');
+  });
+});
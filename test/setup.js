@@ -0,0 +1,2 @@
+// Keep test output to failures; set LOG_LEVEL to see the proxy's own logging
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
@@ -0,0 +1,28 @@
+import { describe, expect, test } from '@jest/globals';
+import vm from 'vm';
+import { escapeHtml, scriptValue } from '../../src/utils/html.js';
+
+describe('escapeHtml', () => {
+  test('escapes markup and both quote characters', () => {
+    expect(escapeHtml(`"><script>alert('x')</script>&`))
+      .toBe('&quot;&gt;&lt;script&gt;alert(&#39;x&#39;)&lt;/script&gt;&amp;');
+  });
+
+  test('stringifies non-string values', () => {
+    expect(escapeHtml(42)).toBe('42');
+  });
+});
+
+describe('scriptValue', () => {
+  const VALUE = { matchId: '</script><script>alert(1)</script>', text: 'line\u2028separator\u2029end', n: 1 };
+
+  test('cannot close the surrounding script element', () => {
+    const literal = scriptValue(VALUE);
+
+    expect(literal).not.toMatch(/[<>\u2028\u2029]/);
+  });
+
+  test('evaluates back to the original value', () => {
+    expect(vm.runInNewContext(`(${scriptValue(VALUE)})`)).toEqual(VALUE);
+  });
+});
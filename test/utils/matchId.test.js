@@ -0,0 +1,37 @@
+import { describe, expect, test } from '@jest/globals';
+import { parseMatchId } from '../../src/utils/matchId.js';
+
+describe('parseMatchId', () => {
+  test.each([
+    ['42506052', { type: 'match', id: '42506052', urn: 'sr:match:42506052', value: '42506052' }],
+    [' 0042506052 ', { type: 'match', id: '42506052', urn: 'sr:match:42506052', value: '42506052' }],
+    [42506052, { type: 'match', id: '42506052', urn: 'sr:match:42506052', value: '42506052' }],
+    ['sr:match:42506052', { type: 'match', id: '42506052', urn: 'sr:match:42506052', value: '42506052' }],
+    ['SR:Match:42506052', { type: 'match', id: '42506052', urn: 'sr:match:42506052', value: '42506052' }],
+    ['sr:stage:1234', { type: 'stage', id: '1234', urn: 'sr:stage:1234', value: 'sr:stage:1234' }]
+  ])('normalizes %p', (input, expected) => {
+    expect(parseMatchId(input)).toEqual(expected);
+  });
+
+  test.each([
+    ['', '""'],
+    ['abc', '"abc"'],
+    ['1234567890123', '"1234567890123"'],
+    ['sr:season:1', '"sr:season:1"'],
+    ['1;alert(1)', '"1;alert(1)"'],
+    ['-1', '"-1"'],
+    ['1e5', '"1e5"'],
+    [1.5, 'number'],
+    [['1', '2'], 'object'],
+    [undefined, 'undefined']
+  ])('rejects %p with a 400', (input, shown) => {
+    expect(() => parseMatchId(input)).toThrow(expect.objectContaining({
+      status: 400,
+      message: `Invalid matchId ${shown}: expected digits, sr:match:<id> or sr:stage:<id>`
+    }));
+  });
+
+  test('shows at most 64 characters of a rejected value', () => {
+    expect(() => parseMatchId('x'.repeat(500))).toThrow(`Invalid matchId "${'x'.repeat(64)}"`);
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, expect, test } from '@jest/globals';
+import { createRouteClassifier, routeFamily } from '../../src/utils/metrics.js';
+
+describe('routeFamily', () => {
+  test('classifies widget, asset, licensing and translation paths', () => {
+    expect(routeFamily('/proxy/sportradar/match.lmtPlus')).toBe('widget');
+    expect(routeFamily('/proxy/sportradar/assets/js/chunk.1.js')).toBe('asset');
+    expect(routeFamily('/js/chunk.1.js')).toBe('asset');
+    expect(routeFamily('/984c87dccac74331a2261fd032f80dbf/licensing')).toBe('licensing');
+    expect(routeFamily('/translations/en.json')).toBe('translations');
+    expect(routeFamily('/unknown')).toBe('other');
+  });
+
+  test('labels only configured feeds by name', () => {
+    const feeds = new Set(['lt-fn', 'ws-fn']);
+
+    expect(routeFamily('/api/lt-fn/gismo/match_info/1', feeds)).toBe('lt-fn');
+    expect(routeFamily('/api/x7f3a9/anything', feeds)).toBe('other');
+    expect(routeFamily('/api/lt-fn/gismo/match_info/1')).toBe('other');
+  });
+});
+
+describe('createRouteClassifier', () => {
+  test('knows the feeds of providers and tenant overrides', () => {
+    const classify = createRouteClassifier({
+      providers: { sportradar: { feeds: { 'lt-fn': 'https://lt-fn.example.com' } } },
+      tenants: { kakbet: { providers: { sportradar: { feeds: { 'st-fn': 'https://st-fn.example.com' } } } } }
+    });
+
+    expect(classify('/api/lt-fn/x')).toBe('lt-fn');
+    expect(classify('/api/st-fn/x')).toBe('st-fn');
+    expect(classify('/api/random/x')).toBe('other');
+  });
+
+  test('strips tenant path prefixes', () => {
+    const classify = createRouteClassifier({
+      providers: { sportradar: { feeds: { 'lt-fn': 'https://lt-fn.example.com' } } },
+      tenants: { tipx10: { pathPrefix: '/tipx10/' } }
+    });
+
+    expect(classify('/tipx10/proxy/sportradar/match.lmtPlus')).toBe('widget');
+    expect(classify('/tipx10/api/lt-fn/x')).toBe('lt-fn');
+    expect(classify('/tipx10x/proxy/sportradar/match.lmtPlus')).toBe('other');
+  });
+});
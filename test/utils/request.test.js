@@ -0,0 +1,51 @@
+import { describe, expect, test } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import { CONFIG_PATH, readConfig } from '../../src/config/index.js';
+import { publicBaseUrlHeaders, resolvePublicBaseUrl } from '../../src/utils/request.js';
+
+function createApp(config, trustProxy) {
+  const app = express();
+  app.set('trust proxy', trustProxy);
+  app.get('/', (req, res) => {
+    req.tenantPrefix = req.query.prefix || '';
+    res.json({ url: resolvePublicBaseUrl(config, req), vary: publicBaseUrlHeaders(config, req) });
+  });
+  return app;
+}
+
+const FORWARDED = {
+  'X-Forwarded-Proto': 'https',
+  'X-Forwarded-Host': 'widgets.kakbet.com, internal:8080',
+  'X-Forwarded-Port': '8443',
+  'X-Forwarded-Prefix': '/widgets/'
+};
+
+describe('resolvePublicBaseUrl', () => {
+  test('ignores forwarded headers without a trusted proxy', async () => {
+    const response = await request(createApp({}, false)).get('/').set('Host', 'proxy.local:3001').set(FORWARDED);
+
+    expect(response.body).toEqual({ url: 'http://proxy.local:3001', vary: [] });
+  });
+
+  test('ignores forwarded headers under the shipped configuration', async () => {
+    const config = await readConfig(CONFIG_PATH);
+    const response = await request(createApp(config, config.security.trustProxy)).get('/').set('Host', 'proxy.local:3001').set(FORWARDED);
+
+    expect(response.body).toEqual({ url: 'http://proxy.local:3001', vary: [] });
+  });
+
+  test('follows forwarded headers from a trusted proxy', async () => {
+    const response = await request(createApp({}, 'loopback')).get('/').set('Host', 'proxy.local:3001').set(FORWARDED);
+
+    expect(response.body.url).toBe('https://widgets.kakbet.com:8443/widgets');
+    expect(response.body.vary).toContain('X-Forwarded-Host');
+  });
+
+  test('prefers the configured URL and appends the tenant prefix', async () => {
+    const config = { server: { publicBaseUrl: 'https://widgets.example.com/' } };
+    const response = await request(createApp(config, 'loopback')).get('/?prefix=/tipx10').set(FORWARDED);
+
+    expect(response.body).toEqual({ url: 'https://widgets.example.com/tipx10', vary: [] });
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, expect, jest, test } from '@jest/globals';
+import { backoffDelay, getUpstreamPolicy, isTransientError, withRetries } from '../../src/utils/retry.js';
+
+const BACKOFF = { initial: 1, max: 4, factor: 2 };
+
+describe('isTransientError', () => {
+  test.each([
+    [{ code: 'ECONNRESET' }, true],
+    [{ code: 'ETIMEDOUT' }, true],
+    [{ response: { status: 503 } }, true],
+    [{ upstreamStatus: 502 }, true],
+    [{ response: { status: 500 } }, false],
+    [{ response: { status: 404 } }, false],
+    [{ code: 'ECONNRESET', circuitOpen: true }, false],
+    [{ code: 'ERR_INVALID_URL' }, false]
+  ])('%p -> %p', (error, expected) => {
+    expect(isTransientError(Object.assign(new Error('failed'), error))).toBe(expected);
+  });
+});
+
+describe('backoffDelay', () => {
+  test('grows by factor, stays within half and all of the step and is capped at max', () => {
+    const backoff = { initial: 200, max: 1000, factor: 2 };
+
+    for (let i = 0; i < 20; i++) {
+      expect(backoffDelay(0, backoff)).toBeGreaterThanOrEqual(100);
+      expect(backoffDelay(0, backoff)).toBeLessThanOrEqual(200);
+      expect(backoffDelay(1, backoff)).toBeGreaterThanOrEqual(200);
+      expect(backoffDelay(1, backoff)).toBeLessThanOrEqual(400);
+      expect(backoffDelay(10, backoff)).toBeGreaterThanOrEqual(500);
+      expect(backoffDelay(10, backoff)).toBeLessThanOrEqual(1000);
+    }
+  });
+});
+
+describe('getUpstreamPolicy', () => {
+  test('fills in defaults', () => {
+    expect(getUpstreamPolicy({ timeout: 5000, backoff: { initial: 50 } })).toEqual({
+      timeout: 5000,
+      retries: 0,
+      backoff: { initial: 50, max: 2000, factor: 2 }
+    });
+  });
+});
+
+describe('withRetries', () => {
+  test('retries transient failures until one succeeds', async () => {
+    const onRetry = jest.fn();
+    const task = jest.fn()
+      .mockRejectedValueOnce(Object.assign(new Error('reset'), { code: 'ECONNRESET' }))
+      .mockRejectedValueOnce(Object.assign(new Error('unavailable'), { upstreamStatus: 503 }))
+      .mockResolvedValue('ok');
+
+    expect(await withRetries(task, { retries: 2, backoff: BACKOFF, onRetry })).toBe('ok');
+    expect(task.mock.calls.map(([attempt]) => attempt)).toEqual([0, 1, 2]);
+    expect(onRetry.mock.calls.map(([error, attempt]) => [error.message, attempt])).toEqual([['reset', 1], ['unavailable', 2]]);
+  });
+
+  test('gives up after the configured retries', async () => {
+    const task = jest.fn().mockRejectedValue(Object.assign(new Error('reset'), { code: 'ECONNRESET' }));
+
+    await expect(withRetries(task, { retries: 2, backoff: BACKOFF })).rejects.toThrow('reset');
+    expect(task).toHaveBeenCalledTimes(3);
+  });
+
+  test('does not retry other failures', async () => {
+    const task = jest.fn().mockRejectedValue(Object.assign(new Error('server error'), { response: { status: 500 } }));
+
+    await expect(withRetries(task, { retries: 2, backoff: BACKOFF })).rejects.toThrow('server error');
+    expect(task).toHaveBeenCalledTimes(1);
+  });
+
+  test('stops waiting for a retry when aborted', async () => {
+    const abort = new AbortController();
+    const task = jest.fn().mockRejectedValue(Object.assign(new Error('reset'), { code: 'ECONNRESET' }));
+
+    const result = withRetries(task, { retries: 1, backoff: { initial: 60000, max: 60000, factor: 2 }, signal: abort.signal });
+    await new Promise((resolve) => setImmediate(resolve));
+    abort.abort();
+
+    await expect(result).rejects.toMatchObject({ name: 'AbortError' });
+    expect(task).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, expect, test } from '@jest/globals';
+import { PassThrough, Readable } from 'stream';
+import { text } from 'stream/consumers';
+import { SingleFlight } from '../../src/utils/singleFlight.js';
+
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+describe('SingleFlight.run', () => {
+  test('shares one call between concurrent callers of a key', async () => {
+    const singleFlight = new SingleFlight();
+    const upstream = deferred();
+    let calls = 0;
+    const task = () => {
+      calls++;
+      return upstream.promise;
+    };
+
+    const results = Promise.all([singleFlight.run('a', task), singleFlight.run('a', task), singleFlight.run('a', task)]);
+    expect(singleFlight.getStats()).toEqual({ inFlight: 1, coalesced: 2 });
+    upstream.resolve('result');
+
+    expect(await results).toEqual(['result', 'result', 'result']);
+    expect(calls).toBe(1);
+    expect(singleFlight.getStats()).toEqual({ inFlight: 0, coalesced: 2 });
+  });
+
+  test('keeps different keys apart', async () => {
+    const singleFlight = new SingleFlight();
+
+    const results = await Promise.all([
+      singleFlight.run('a', async () => 'a'),
+      singleFlight.run('b', async () => 'b')
+    ]);
+
+    expect(results).toEqual(['a', 'b']);
+    expect(singleFlight.getStats().coalesced).toBe(0);
+  });
+
+  test('shares a failure and lets the next caller retry', async () => {
+    const singleFlight = new SingleFlight();
+    const upstream = deferred();
+
+    const results = Promise.allSettled([singleFlight.run('a', () => upstream.promise), singleFlight.run('a', () => upstream.promise)]);
+    upstream.reject(new Error('upstream down'));
+
+    expect((await results).map(({ reason }) => reason.message)).toEqual(['upstream down', 'upstream down']);
+    expect(await singleFlight.run('a', async () => 'recovered')).toBe('recovered');
+  });
+});
+
+describe('SingleFlight.stream', () => {
+  test('gives each concurrent caller the whole shared body', async () => {
+    const singleFlight = new SingleFlight();
+    const source = new PassThrough();
+    let calls = 0;
+    const task = async () => {
+      calls++;
+      return { status: 200, body: source };
+    };
+
+    const first = await singleFlight.stream('key', task);
+    source.write('one,');
+    await new Promise((resolve) => setImmediate(resolve));
+    const late = await singleFlight.stream('key', task);
+    source.end('two');
+
+    expect(calls).toBe(1);
+    expect(late.status).toBe(200);
+    expect(await text(first.body)).toBe('one,two');
+    expect(await text(late.body)).toBe('one,two');
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(singleFlight.getStats()).toEqual({ inFlight: 0, coalesced: 1 });
+  });
+
+  test('keeps different keys apart', async () => {
+    const singleFlight = new SingleFlight();
+    const task = (content) => async () => ({ body: Readable.from([Buffer.from(content)]) });
+
+    const [a, b] = await Promise.all([singleFlight.stream('a', task('a')), singleFlight.stream('b', task('b'))]);
+
+    expect(await text(a.body)).toBe('a');
+    expect(await text(b.body)).toBe('b');
+  });
+
+  test('releases the key when the request fails', async () => {
+    const singleFlight = new SingleFlight();
+
+    await expect(singleFlight.stream('key', async () => {
+      throw new Error('upstream down');
+    })).rejects.toThrow('upstream down');
+
+    expect(singleFlight.getStats().inFlight).toBe(0);
+  });
+
+  test('starts a new request for callers arriving after the replay buffer overflowed', async () => {
+    const singleFlight = new SingleFlight({ maxReplayBytes: 4 });
+    const sources = [];
+    const task = async () => {
+      const body = new PassThrough();
+      sources.push(body);
+      return { status: 200, body };
+    };
+
+    const first = await singleFlight.stream('key', task);
+    const firstBody = text(first.body);
+    sources[0].write('12345');
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(singleFlight.getStats().inFlight).toBe(0);
+
+    const second = await singleFlight.stream('key', task);
+    sources[1].end('fresh');
+    sources[0].end('6');
+
+    expect(sources).toHaveLength(2);
+    expect(await firstBody).toBe('123456');
+    expect(await text(second.body)).toBe('fresh');
+  });
+});
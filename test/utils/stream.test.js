@@ -0,0 +1,74 @@
+import { describe, expect, test } from '@jest/globals';
+import { PassThrough } from 'stream';
+import { text } from 'stream/consumers';
+import { StreamFanout } from '../../src/utils/stream.js';
+
+describe('StreamFanout', () => {
+  test('replays the body to subscribers joining mid-transfer', async () => {
+    const source = new PassThrough();
+    const fanout = new StreamFanout(source);
+    const first = fanout.subscribe();
+
+    source.write('one,');
+    await new Promise((resolve) => setImmediate(resolve));
+    const late = fanout.subscribe();
+    source.end('two');
+
+    expect(await text(first)).toBe('one,two');
+    expect(await text(late)).toBe('one,two');
+  });
+
+  test('drops the replay buffer past maxReplayBytes and refuses late subscribers', async () => {
+    const source = new PassThrough();
+    let overflows = 0;
+    const fanout = new StreamFanout(source, { maxReplayBytes: 8, onOverflow: () => overflows++ });
+    const first = fanout.subscribe();
+    const body = text(first);
+
+    source.write('12345678');
+    await new Promise((resolve) => setImmediate(resolve));
+    const second = fanout.subscribe();
+    expect(second).not.toBeNull();
+
+    source.write('9');
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(overflows).toBe(1);
+    expect(fanout.chunks).toEqual([]);
+    expect(fanout.subscribe()).toBeNull();
+
+    source.end('0');
+    expect(await body).toBe('1234567890');
+    expect(await text(second)).toBe('1234567890');
+  });
+
+  test('pauses the source until a slow subscriber drains', async () => {
+    const source = new PassThrough();
+    const fanout = new StreamFanout(source);
+    const fast = fanout.subscribe();
+    const slow = fanout.subscribe();
+    fast.resume();
+
+    source.write(Buffer.alloc(64 * 1024));
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(source.isPaused()).toBe(true);
+
+    slow.resume();
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(source.isPaused()).toBe(false);
+  });
+
+  test('resumes the source when a stalled subscriber goes away', async () => {
+    const source = new PassThrough();
+    const fanout = new StreamFanout(source);
+    const stalled = fanout.subscribe();
+
+    source.write(Buffer.alloc(64 * 1024));
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(source.isPaused()).toBe(true);
+
+    stalled.destroy();
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(source.isPaused()).toBe(false);
+    expect(fanout.subscribers.size).toBe(0);
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, expect, test } from '@jest/globals';
+import { checkWidgetOptions, parseWidgetOptions, toQueryParams } from '../../src/utils/widgetOptions.js';
+
+const SPEC = {
+  layout: { type: 'keyword', enum: ['topdown', 'single'], default: 'topdown' },
+  collapsed: { type: 'boolean' },
+  scale: { type: 'number' },
+  accent: { type: 'color' },
+  logo: { type: 'url' },
+  sponsors: { type: 'url[]', default: [] }
+};
+
+describe('parseWidgetOptions', () => {
+  test('converts query values to their types over the defaults', () => {
+    expect(parseWidgetOptions({
+      layout: 'single',
+      collapsed: 'yes',
+      scale: ' 1.5 ',
+      accent: '#278e51',
+      logo: 'https://cdn.example/logo.png',
+      sponsors: ['https://a.example/1.png,https://b.example/2.png', 'https://c.example/3.png']
+    }, SPEC)).toEqual({
+      layout: 'single',
+      collapsed: true,
+      scale: 1.5,
+      accent: '#278e51',
+      logo: 'https://cdn.example/logo.png',
+      sponsors: ['https://a.example/1.png', 'https://b.example/2.png', 'https://c.example/3.png']
+    });
+  });
+
+  test('fills in defaults for options not given', () => {
+    expect(parseWidgetOptions({}, SPEC)).toEqual({ layout: 'topdown', sponsors: [] });
+  });
+
+  test('rejects unknown and invalid options with a 400 listing every problem', () => {
+    let error;
+    try {
+      parseWidgetOptions({
+        layout: 'sideways',
+        collapsed: 'maybe',
+        scale: 'big',
+        accent: 'red',
+        logo: 'javascript:alert(1)',
+        sponsors: 'https://a.example/1.png,ftp://b.example/2.png',
+        onload: 'alert(1)'
+      }, SPEC);
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.status).toBe(400);
+    expect(error.errors).toEqual([
+      'layout: must be one of topdown, single',
+      'collapsed: must be true or false',
+      'scale: must be a number',
+      'accent: must be a hex color like #278e51',
+      'logo: must be an http(s) URL',
+      'sponsors: "ftp://b.example/2.png" is not an http(s) URL',
+      'onload: unknown option'
+    ]);
+  });
+
+  test('rejects keywords that are not a single word and repeated scalar options', () => {
+    expect(() => parseWidgetOptions({ layout: '"><script>' }, { layout: { type: 'keyword' } }))
+      .toThrow('layout: must be a single word');
+    expect(() => parseWidgetOptions({ scale: ['1', '2'] }, SPEC)).toThrow('scale: must be given once');
+  });
+});
+
+describe('checkWidgetOptions', () => {
+  test('accepts configured values of the declared types', () => {
+    expect(checkWidgetOptions({ layout: 'single', collapsed: false, scale: 2, sponsors: ['https://a.example/1.png'] }, SPEC)).toEqual([]);
+  });
+
+  test('reports values of the wrong JavaScript type', () => {
+    expect(checkWidgetOptions({ collapsed: 'true', scale: '2', sponsors: 'https://a.example/1.png' }, SPEC)).toEqual([
+      'collapsed: must be a boolean',
+      'scale: must be a number',
+      'sponsors: must be a list'
+    ]);
+  });
+
+  test('reports unknown options and invalid values', () => {
+    expect(checkWidgetOptions({ layout: 'sideways', theme: 'dark' }, SPEC)).toEqual([
+      'layout: must be one of topdown, single',
+      'theme: unknown option'
+    ]);
+  });
+});
+
+describe('toQueryParams', () => {
+  test('turns configured values into query strings', () => {
+    expect(toQueryParams({ collapsed: true, scale: 2, sponsors: ['https://a.example/1.png'] }))
+      .toEqual({ collapsed: 'true', scale: '2', sponsors: ['https://a.example/1.png'] });
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Iframe auto-resize bridge, served at /loader/bridge.js and included by the embed and
+ * preview pages before the SIR bootstrap:
+ *
+ *   <script src="/loader/bridge.js" data-match-id="61939220" data-origins="https://kakbet.com https://*.kakbet.com"></script>
+ *
+ * Watches the page's rendered size with a ResizeObserver and posts messages to the
+ * parent window, only when the parent's origin is our own or one of `data-origins`:
+ *   { type: 'widget-load',   height, matchId }           first time the widget has content
+ *   { type: 'widget-resize', height, matchId }           whenever the height changes after that
+ *   { type: 'widget-error',  height, matchId, message }  the widget loader failed or nothing rendered
+ *                                                        in time (a slow widget may still send widget-load)
+ * The host side of the bridge is widget/host.js.
+ */
+(() => {
+  const script = document.currentScript;
+  if (!script || window.parent === window || window.__widgetBridge) return;
+  window.__widgetBridge = true;
+
+  const matchId = script.dataset.matchId || null;
+  const selector = script.dataset.selector || '.sr-widget';
+  const timeout = Number(script.dataset.timeout) || 15000;
+  const origins = (script.dataset.origins || '').split(/\s+/).filter(Boolean);
+
+  const targetOrigin = resolveTargetOrigin();
+  if (!targetOrigin) return;
+
+  let loaded = false;
+  let failed = false;
+  let lastHeight = 0;
+  let frame = 0;
+
+  // The parent's origin when it is allowed to receive our messages, otherwise null
+  function resolveTargetOrigin() {
+    let parentOrigin = null;
+    try {
+      parentOrigin = window.location.ancestorOrigins?.[0] || (document.referrer ? new URL(document.referrer).origin : null);
+    } catch {
+      parentOrigin = null;
+    }
+
+    if (parentOrigin && (parentOrigin === window.location.origin || origins.some((allowed) => originPattern(allowed).test(parentOrigin)))) {
+      return parentOrigin;
+    }
+    return origins.includes('*') ? (parentOrigin || '*') : null;
+  }
+
+  // Same matching as security.allowedOrigins: `*.` is one or more subdomain labels
+  function originPattern(allowed) {
+    if (allowed === '*') return /^/;
+    const source = allowed
+      .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+      .replace('*\\.', '(?:[a-z0-9-]+\\.)+');
+    return new RegExp(`^${source}$`, 'i');
+  }
+
+  function post(type, extra = {}) {
+    window.parent.postMessage({ type, height: lastHeight, matchId, ...extra }, targetOrigin);
+  }
+
+  function fail(message) {
+    if (loaded || failed) return;
+    failed = true;
+    post('widget-error', { message });
+  }
+
+  function measure() {
+    frame = 0;
+    const style = window.getComputedStyle(document.body);
+    const height = Math.ceil(document.body.getBoundingClientRect().height + parseFloat(style.marginTop) + parseFloat(style.marginBottom));
+    const changed = height !== lastHeight;
+    lastHeight = height;
+
+    if (!loaded) {
+      const widget = document.querySelector(selector);
+      if (widget?.childElementCount && widget.getBoundingClientRect().height > 0) {
+        loaded = true;
+        post('widget-load');
+      }
+    } else if (changed) {
+      post('widget-resize');
+    }
+  }
+
+  function schedule() {
+    if (!frame) frame = window.requestAnimationFrame(measure);
+  }
+
+  // The SIR bootstrap marks its loader script with n="SIR"
+  window.addEventListener('error', (event) => {
+    if (event.target instanceof HTMLScriptElement && event.target.getAttribute('n') === 'SIR') {
+      fail('Widget loader failed to load');
+    }
+  }, true);
+
+  function start() {
+    new ResizeObserver(schedule).observe(document.body);
+    // The first render can add content before the body's box changes
+    new MutationObserver(schedule).observe(document.body, { childList: true, subtree: true });
+    schedule();
+
+    window.setTimeout(() => fail(`Widget did not render within ${timeout} ms`), timeout);
+  }
+
+  if (document.body) {
+    start();
+  } else {
+    document.addEventListener('DOMContentLoaded', start);
+  }
+})();
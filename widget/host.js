@@ -0,0 +1,92 @@
+/**
+ * Host side of the iframe resize bridge (widget/bridge.js), served at /loader/host.js:
+ *
+ *   <script src="https://widgets.kakbet.com/loader/host.js"></script>
+ *   <iframe data-widget-frame src="https://widgets.kakbet.com/embed/sportradar/match.lmtPlus?matchId=61939220"></iframe>
+ *
+ * Frames marked with data-widget-frame (or passed to WidgetFrames.attach) are resized to
+ * the widget's height. Each frame fires `widgetload`, `widgetresize` and `widgeterror`
+ * events with `detail` { height, matchId, message }. Messages are only accepted from the
+ * frame's own window and origin. A frame that reports neither load nor error within
+ * `data-timeout` ms (default 20000) fires `widgeterror`, e.g. when the page failed to load.
+ */
+(() => {
+  if (window.WidgetFrames) return;
+
+  const EVENTS = { 'widget-load': 'widgetload', 'widget-resize': 'widgetresize', 'widget-error': 'widgeterror' };
+  const frames = new Map();
+
+  /**
+   * Start resizing a frame; returns a function that stops it
+   * @param {HTMLIFrameElement} iframe
+   * @param {{ minHeight?: number, timeout?: number }} [options]
+   */
+  function attach(iframe, options = {}) {
+    if (frames.has(iframe)) return frames.get(iframe).detach;
+
+    const minHeight = options.minHeight ?? (Number(iframe.dataset.minHeight) || 0);
+    const timeout = options.timeout ?? (Number(iframe.dataset.timeout) || 20000);
+    const state = { minHeight, settled: false, timer: 0, detach: () => detach(iframe) };
+
+    state.timer = window.setTimeout(() => {
+      if (!state.settled) dispatch(iframe, 'widgeterror', { height: 0, matchId: null, message: `No response from widget frame within ${timeout} ms` });
+    }, timeout);
+    iframe.style.overflow = 'hidden';
+    iframe.setAttribute('scrolling', 'no');
+
+    frames.set(iframe, state);
+    return state.detach;
+  }
+
+  function detach(iframe) {
+    const state = frames.get(iframe);
+    if (!state) return;
+    window.clearTimeout(state.timer);
+    frames.delete(iframe);
+  }
+
+  function dispatch(iframe, name, detail) {
+    iframe.dispatchEvent(new CustomEvent(name, { detail }));
+  }
+
+  function frameOrigin(iframe) {
+    try {
+      return new URL(iframe.src, window.location.href).origin;
+    } catch {
+      return null;
+    }
+  }
+
+  window.addEventListener('message', (event) => {
+    const name = EVENTS[event.data?.type];
+    if (!name) return;
+
+    for (const [iframe, state] of frames) {
+      if (iframe.contentWindow !== event.source || frameOrigin(iframe) !== event.origin) continue;
+
+      const { height, matchId = null, message } = event.data;
+      if (Number.isFinite(height) && height > 0) {
+        iframe.style.height = `${Math.max(Math.ceil(height), state.minHeight)}px`;
+      }
+      if (name !== 'widgetresize') {
+        state.settled = true;
+        window.clearTimeout(state.timer);
+      }
+
+      dispatch(iframe, name, { height, matchId, ...(message ? { message: String(message) } : {}) });
+      return;
+    }
+  });
+
+  function attachMarked() {
+    document.querySelectorAll('iframe[data-widget-frame]').forEach((iframe) => attach(iframe));
+  }
+
+  window.WidgetFrames = { attach, detach };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', attachMarked);
+  } else {
+    attachMarked();
+  }
+})();
@@ -0,0 +1,247 @@
+/**
+ * Widget proxy SDK, served per tenant at /sdk/widgets.js
+ *
+ *   <script async src="https://widgets.kakbet.com/sdk/widgets.js"></script>
+ *   <script>
+ *     window.WidgetProxy = window.WidgetProxy || function () { (WidgetProxy.q = WidgetProxy.q || []).push(arguments); };
+ *     WidgetProxy('mount', '#tracker', { type: 'match.lmtPlus', matchId: 61939220, preset: 'mobile-compact', onLoad() {} });
+ *   </script>
+ *
+ * Wraps the SIR loader: it is loaded once, through the proxy's rewritten widget route,
+ * from the origin (and tenant prefix) this script was served from, or `data-base-url`.
+ * Calls queued on the stub above run once the SDK has loaded; calls made before the
+ * loader is ready are queued by SIR itself.
+ *
+ *   mount(el, { type, matchId, preset, language, theme, provider, options, onLoad, onError })
+ *                          -> { element, update(options), unmount() }; el is an element or selector
+ *   update(el, options)    re-renders a mounted widget with merged options
+ *   unmount(el)            removes a widget (also done when its element leaves the page,
+ *                          so SPA route changes need no cleanup)
+ *   on(event, callback) / off(event, callback)   mount, load, update, unmount and error events
+ *
+ * Widget options are the type's defaults, then the preset's values, then `options`.
+ * The loader's language and theme are fixed by the first mount.
+ */
+((window, document) => {
+  const VERSION = '1.0.0';
+  // Tenant settings, filled in by the server (src/routes/sdk.js)
+  const CONFIG = __WIDGET_PROXY_CONFIG__;
+  const EVENTS = ['mount', 'load', 'update', 'unmount', 'error'];
+
+  const queued = window.WidgetProxy;
+  if (queued?.version) return;
+
+  const script = document.currentScript || document.querySelector('script[src*="/sdk/widgets.js"]');
+  const baseUrl = resolveBaseUrl();
+  const mounts = new Map();
+  const listeners = Object.fromEntries(EVENTS.map((event) => [event, new Set()]));
+  let loader = null;
+  let observer = null;
+  let nextId = 0;
+
+  function resolveBaseUrl() {
+    if (script?.dataset.baseUrl) return script.dataset.baseUrl.replace(/\/+$/, '');
+    if (!script?.src) return '';
+    const url = new URL(script.src, window.location.href);
+    return url.origin + url.pathname.replace(/\/sdk\/widgets\.js$/, '');
+  }
+
+  function resolveElement(target) {
+    const element = typeof target === 'string' ? document.querySelector(target) : target;
+    if (!(element instanceof Element)) {
+      throw new Error(`WidgetProxy: no element for ${typeof target === 'string' ? target : 'the given target'}`);
+    }
+    return element;
+  }
+
+  // Widget props: type defaults, then the preset, then explicit options and the match
+  function resolveProps({ provider = 'sportradar', type, preset, matchId, options = {} }) {
+    const widgetType = CONFIG.providers[provider]?.[type];
+    if (!widgetType) {
+      throw new Error(`WidgetProxy: unknown widget type ${provider}/${type}`);
+    }
+    if (preset !== undefined && !Object.hasOwn(widgetType.presets, preset)) {
+      throw new Error(`WidgetProxy: unknown preset ${preset} for ${type} (${Object.keys(widgetType.presets).join(', ') || 'none defined'})`);
+    }
+
+    return {
+      ...widgetType.defaults,
+      ...(preset !== undefined ? widgetType.presets[preset] : {}),
+      ...options,
+      ...(matchId !== undefined ? { matchId } : {})
+    };
+  }
+
+  // A palette name links its generated stylesheet, false the proxy's default theme; both render with SIR theme false
+  function loaderTheme(theme) {
+    const value = String(theme);
+    const [name, variant] = value.split(':');
+    const palette = CONFIG.palettes[name];
+
+    if (value === 'false' || (palette && (variant === undefined || palette.includes(variant)))) {
+      const link = document.createElement('link');
+      link.rel = 'stylesheet';
+      link.href = value === 'false'
+        ? `${baseUrl}/loader/theme.css`
+        : `${baseUrl}/themes/${encodeURIComponent(name)}.css${variant ? `?variant=${encodeURIComponent(variant)}` : ''}`;
+      document.head.appendChild(link);
+      return false;
+    }
+    return value;
+  }
+
+  // Load the SIR loader once; later mounts share its language and theme
+  function ensureLoader({ provider = 'sportradar', type, language = CONFIG.language, theme = CONFIG.theme }) {
+    if (loader) {
+      if (loader.provider !== provider || loader.language !== language || loader.theme !== String(theme)) {
+        console.warn(`WidgetProxy: the widget loader is already set up for ${loader.provider} (${loader.language}, ${loader.theme}); using it`);
+      }
+      return;
+    }
+
+    loader = { provider, language, theme: String(theme), failed: false };
+    if (window.SIR) return;
+
+    const sir = window.SIR = function () { (sir.q = sir.q || []).push(arguments); };
+    sir.l = Date.now();
+    sir.o = { theme: loaderTheme(theme), language };
+
+    const element = document.createElement('script');
+    element.async = true;
+    element.src = `${baseUrl}/proxy/${encodeURIComponent(provider)}/${encodeURIComponent(type)}`;
+    element.setAttribute('n', 'SIR');
+    element.addEventListener('error', () => {
+      loader.failed = true;
+      mounts.forEach((entry) => emit('error', entry, { message: 'Widget loader failed to load' }));
+    });
+    document.head.appendChild(element);
+  }
+
+  function render(entry) {
+    window.SIR('addWidget', entry.selector, entry.options.type, entry.props, () => emit('load', entry));
+  }
+
+  function emit(event, entry, detail = {}) {
+    const payload = { element: entry.element, type: entry.options.type, matchId: entry.props.matchId, ...detail };
+    const callback = entry.options[`on${event[0].toUpperCase()}${event.slice(1)}`];
+
+    for (const listener of [callback, ...listeners[event]]) {
+      if (typeof listener !== 'function') continue;
+      try {
+        listener(payload);
+      } catch (error) {
+        console.error(`WidgetProxy: ${event} listener failed`, error);
+      }
+    }
+  }
+
+  // Unmount widgets whose elements were removed from the page (SPA route changes)
+  function watchRemovals() {
+    if (observer || !mounts.size) return;
+    observer = new MutationObserver(() => {
+      mounts.forEach((entry, element) => {
+        if (!element.isConnected) unmount(element);
+      });
+    });
+    observer.observe(document.documentElement, { childList: true, subtree: true });
+  }
+
+  function mount(target, options = {}) {
+    const element = resolveElement(target);
+    if (mounts.has(element)) {
+      return update(element, options);
+    }
+
+    const entry = {
+      element,
+      options: { ...options },
+      props: resolveProps(options),
+      selector: `.wp-widget-${++nextId}`
+    };
+    // Classes we add, so unmount leaves the element as it found it
+    entry.classes = [entry.selector.slice(1)];
+    if (!element.classList.contains('sr-widget')) entry.classes.push('sr-widget');
+    element.classList.add(...entry.classes);
+    mounts.set(element, entry);
+
+    ensureLoader(options);
+    emit('mount', entry);
+    if (loader.failed) {
+      emit('error', entry, { message: 'Widget loader failed to load' });
+    } else {
+      render(entry);
+    }
+    watchRemovals();
+
+    return handle(element);
+  }
+
+  function update(target, options = {}) {
+    const element = resolveElement(target);
+    const entry = mounts.get(element);
+    if (!entry) {
+      return mount(element, options);
+    }
+
+    const merged = { ...entry.options, ...options, options: { ...entry.options.options, ...options.options } };
+    entry.props = resolveProps(merged);
+    entry.options = merged;
+
+    window.SIR('removeWidget', entry.selector);
+    if (!loader.failed) render(entry);
+    emit('update', entry);
+
+    return handle(element);
+  }
+
+  function unmount(target) {
+    const element = typeof target === 'string' ? document.querySelector(target) : target;
+    const entry = mounts.get(element);
+    if (!entry) return;
+
+    window.SIR('removeWidget', entry.selector);
+    element.classList.remove(...entry.classes);
+    mounts.delete(element);
+    emit('unmount', entry);
+
+    if (!mounts.size && observer) {
+      observer.disconnect();
+      observer = null;
+    }
+  }
+
+  function handle(element) {
+    return {
+      element,
+      update: (options) => update(element, options),
+      unmount: () => unmount(element)
+    };
+  }
+
+  function on(event, callback) {
+    if (!listeners[event]) throw new Error(`WidgetProxy: unknown event ${event} (${EVENTS.join(', ')})`);
+    listeners[event].add(callback);
+  }
+
+  function off(event, callback) {
+    listeners[event]?.delete(callback);
+  }
+
+  const api = { version: VERSION, baseUrl, mount, update, unmount, on, off };
+
+  // WidgetProxy('mount', ...) and WidgetProxy.mount(...) are the same call
+  function WidgetProxy(command, ...args) {
+    if (typeof api[command] !== 'function') throw new Error(`WidgetProxy: unknown command ${command}`);
+    return api[command](...args);
+  }
+  Object.assign(WidgetProxy, api);
+  window.WidgetProxy = WidgetProxy;
+
+  for (const args of queued?.q || []) {
+    try {
+      WidgetProxy(...args);
+    } catch (error) {
+      console.error(error);
+    }
+  }
+})(window, document);